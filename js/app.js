@@ -5,6 +5,8 @@ import { LoadingController } from './core/loader.js';
 import { WireframeAsteroid } from './core/wireframeAsteroid.js';
 import { VectorGameObjects } from './core/vectorGameObjects.js';
 import { SVGHelper } from './core/svgHelper.js';
+import { HULLS, DEFAULT_HULL } from './engine/Hulls.js';
+import { MODES, ARENAS, DEFAULT_MODE, DEFAULT_ARENA } from './engine/Modes.js';
 
 // Debug logging flag - set to false for production
 const DEBUG = false;
@@ -480,6 +482,18 @@ class SpaceLanesApp {
   }
 
   setupRankingsPage() {
+    const filter = document.getElementById('shipFilter');
+    const modeFilter = document.getElementById('modeFilter');
+    const refresh = () => this.displayLeaderboard(filter?.value || null, modeFilter?.value || DEFAULT_MODE);
+    if (filter) {
+      Object.entries(HULLS).forEach(([id, hull]) => filter.add(new Option(hull.name, id)));
+      filter.addEventListener('change', refresh);
+    }
+    if (modeFilter) {
+      Object.entries(MODES).forEach(([id, mode]) => modeFilter.add(new Option(mode.name, id)));
+      modeFilter.value = DEFAULT_MODE;
+      modeFilter.addEventListener('change', refresh);
+    }
     this.displayLeaderboard();
   }
 
@@ -494,6 +508,33 @@ class SpaceLanesApp {
     return `${mins}m ${secs}s`;
   }
 
+  /**
+   * Points per lane multiplier (lane bonus in brackets), kills outside lanes mode, then everything else
+   * Scores saved before lane bonuses were credited have no breakdown; scores
+   * saved before lanes were keyed by multiplier list them by lane number.
+   */
+  _formatBreakdown(breakdown) {
+    if (!breakdown) return '<span class="replay-unavailable">—</span>';
+
+    const parts = breakdown.lanes
+      .map((lane, index) => {
+        if (lane.kills === 0) return null;
+        const bonus = lane.bonus ? ` (${lane.bonus > 0 ? '+' : ''}${lane.bonus.toLocaleString()})` : '';
+        const label = lane.multiplier === undefined ? `Lane ${index + 1}` : `x${lane.multiplier} lanes`;
+        return `${label}: ${lane.points.toLocaleString()}${bonus}`;
+      })
+      .filter(Boolean);
+    if (breakdown.kills?.kills > 0) {
+      parts.push(`Kills: ${breakdown.kills.points.toLocaleString()} (${breakdown.kills.kills})`);
+    }
+    if (breakdown.other > 0) {
+      parts.push(`Other: ${breakdown.other.toLocaleString()}`);
+    }
+    return parts.length > 0
+      ? `<span class="score-breakdown">${parts.join('<br>')}</span>`
+      : '<span class="replay-unavailable">—</span>';
+  }
+
   _getRankBadgeClass(rank) {
     if (rank === 1) return 'rank-1';
     if (rank === 2) return 'rank-2';
@@ -501,17 +542,30 @@ class SpaceLanesApp {
     return 'rank-other';
   }
 
-  displayLeaderboard() {
+  /**
+   * Render the top 20 scores of a mode's leaderboard, optionally only those flown in one hull
+   * Scores saved before hulls or modes existed count as the default hull in lanes mode.
+   * @param {string|null} [hull] - Hull id
+   * @param {string} [mode] - Game mode (see engine/Modes.js)
+   */
+  displayLeaderboard(hull = null, mode = DEFAULT_MODE) {
     const container = document.getElementById('globalLeaderboard');
     if (!container) return;
     
-    const scores = this.storage.getTopScores(20);
+    const scores = (this.storage.getScores() || [])
+      .filter(score => (score.mode || DEFAULT_MODE) === mode)
+      .filter(score => !hull || (score.hull || DEFAULT_HULL) === hull)
+      .slice(0, 20);
 
-    if (!scores || scores.length === 0) {
-      container.innerHTML = '<div class="empty-state">No scores yet. Be the first to play!</div>';
+    if (scores.length === 0) {
+      container.innerHTML = hull
+        ? `<div class="empty-state">No ${HULLS[hull].name} runs in ${MODES[mode].name} yet.</div>`
+        : `<div class="empty-state">No ${MODES[mode].name} scores yet. Be the first to play!</div>`;
       return;
     }
 
+    const replays = this.storage.getReplays() || {};
+
     const table = document.createElement('table');
     table.className = 'rankings-table';
 
@@ -526,8 +580,15 @@ class SpaceLanesApp {
         </td>
         <td>${score.username}</td>
         <td><span class="score-value">${score.score.toLocaleString()}</span></td>
+        <td>${this._formatBreakdown(score.breakdown)}</td>
+        <td>${(HULLS[score.hull] || HULLS[DEFAULT_HULL]).name}${mode === 'space-sim' ? ` • ${(ARENAS[score.arena] || ARENAS[DEFAULT_ARENA]).name}` : ''}</td>
         <td>${this._formatDuration(score.duration)}</td>
         <td>${this._formatDate(score.timestamp)}</td>
+        <td>
+          ${score.replayId && replays[score.replayId]
+            ? `<a href="game.html?replay=${encodeURIComponent(score.replayId)}" class="btn btn-secondary btn-sm">Watch</a>`
+            : '<span class="replay-unavailable">—</span>'}
+        </td>
       `;
       tbody.appendChild(tr);
     });
@@ -538,8 +599,11 @@ class SpaceLanesApp {
           <th>Rank</th>
           <th>Pilot</th>
           <th>Score</th>
+          <th>Earned</th>
+          <th>Ship</th>
           <th>Duration</th>
           <th>Date</th>
+          <th>Replay</th>
         </tr>
       </thead>
     `;
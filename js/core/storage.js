@@ -1,4 +1,6 @@
-﻿console.log('[storage.js] Module loaded');
+﻿import { DEFAULT_MODE } from '../engine/Modes.js';
+
+console.log('[storage.js] Module loaded');
 
 export class StorageManager {
   constructor() {
@@ -7,8 +9,11 @@ export class StorageManager {
       USERS: 'spaceLanes_users',
       CURRENT_USER: 'spaceLanes_currentUser',
       SCORES: 'spaceLanes_scores',
-      SETTINGS: 'spaceLanes_settings'
+      SETTINGS: 'spaceLanes_settings',
+      REPLAYS: 'spaceLanes_replays'
     };
+    // Replays are large, so only the top runs on each mode's board keep theirs
+    this.maxReplays = 20;
     this.init();
   }
   
@@ -26,6 +31,10 @@ export class StorageManager {
     } else {
       console.log('[StorageManager] Scores loaded:', this.getScores().length, 'scores');
     }
+    if (!this.getReplays()) {
+      console.log('[StorageManager] No replays found, creating empty replays object');
+      this.saveReplays({});
+    }
     if (!this.getSettings()) {
       console.log('[StorageManager] No settings found, creating default settings');
       this.saveSettings({ reducedMotion: false, soundEnabled: false });
@@ -145,6 +154,11 @@ export class StorageManager {
    * @param {Object} scoreData - Score information
    * @param {number} scoreData.score - Final score achieved
    * @param {number} scoreData.duration - Game duration in seconds
+   * @param {Object} [scoreData.replay] - Recorded input log for the run (see engine/Replay.js)
+   * @param {string} [scoreData.hull] - Ship hull flown (see engine/Hulls.js)
+   * @param {string} [scoreData.mode] - Game mode, each has its own leaderboard (see engine/Modes.js)
+   * @param {string} [scoreData.arena] - Space-sim arena edges
+   * @param {Object} [scoreData.breakdown] - Points per lane multiplier: { lanes: [{ multiplier, kills, points, bonus }], kills: { kills, points }, other } (see GameEngine.creditKill)
    * @returns {Object} Result with success flag and saved score object
    */
   saveScore(username, scoreData) {
@@ -157,11 +171,31 @@ export class StorageManager {
     const user = users[username];
     if (!user) return { success: false, message: 'User not found' };
     const score = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
       username,
       score: scoreData.score,
       duration: scoreData.duration,
       timestamp: new Date().toISOString()
     };
+    if (typeof scoreData.hull === 'string') {
+      score.hull = scoreData.hull;
+    }
+    if (typeof scoreData.mode === 'string') {
+      score.mode = scoreData.mode;
+    }
+    if (typeof scoreData.arena === 'string') {
+      score.arena = scoreData.arena;
+    }
+    if (scoreData.breakdown && Array.isArray(scoreData.breakdown.lanes)) {
+      score.breakdown = {
+        lanes: scoreData.breakdown.lanes.map(({ multiplier, kills = 0, points = 0, bonus = 0 }) => ({ multiplier, kills, points, bonus })),
+        kills: { kills: scoreData.breakdown.kills?.kills || 0, points: scoreData.breakdown.kills?.points || 0 },
+        other: scoreData.breakdown.other || 0
+      };
+    }
+    if (scoreData.replay) {
+      score.replayId = score.id;
+    }
     user.scores.push(score);
     user.scores.sort((a, b) => b.score - a.score);
     user.scores = user.scores.slice(0, 10);
@@ -173,8 +207,67 @@ export class StorageManager {
     scores.push(score);
     scores.sort((a, b) => b.score - a.score);
     this.saveScores(scores);
+    if (scoreData.replay) {
+      this.saveReplay(score.replayId, scoreData.replay, scores);
+    }
     return { success: true, message: 'Score saved', score };
   }
+
+  getReplays() {
+    try {
+      const data = localStorage.getItem(this.keys.REPLAYS);
+      return data ? JSON.parse(data) : null;
+    } catch (e) {
+      console.error('Failed to read replays from localStorage:', e);
+      return null;
+    }
+  }
+
+  saveReplays(replays) {
+    try {
+      localStorage.setItem(this.keys.REPLAYS, JSON.stringify(replays));
+      return true;
+    } catch (e) {
+      console.error('Failed to save replays to localStorage:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Stores a run's replay and prunes replays that fell off the top of their
+   * mode's board (the leaderboards are per mode, see app.displayLeaderboard)
+   * @param {string} replayId - Id of the score the replay belongs to
+   * @param {Object} replay - Replay log from GameEngine.getReplay()
+   * @param {Array} scores - Global scores, sorted best first
+   * @returns {boolean} True if the replay was kept
+   */
+  saveReplay(replayId, replay, scores) {
+    const keep = new Set();
+    const kept = {};
+    scores.forEach(s => {
+      const mode = s.mode || DEFAULT_MODE;
+      kept[mode] = (kept[mode] || 0) + 1;
+      if (kept[mode] <= this.maxReplays && s.replayId) keep.add(s.replayId);
+    });
+    if (!keep.has(replayId)) return false;
+
+    const replays = this.getReplays() || {};
+    replays[replayId] = replay;
+    Object.keys(replays).forEach(id => {
+      if (!keep.has(id)) delete replays[id];
+    });
+    return this.saveReplays(replays);
+  }
+
+  /**
+   * Looks up the replay recorded for a score
+   * @param {string} replayId - Score's replayId
+   * @returns {Object|null} Replay log, or null if it was pruned or never recorded
+   */
+  getReplay(replayId) {
+    const replays = this.getReplays();
+    return (replays && replays[replayId]) || null;
+  }
   
   getTopScores(limit = 10) {
     return this.getScores().slice(0, limit);
@@ -186,6 +279,133 @@ export class StorageManager {
     return user ? user.scores : [];
   }
   
+  /**
+   * Saved campaign results for a user
+   * @param {string} username - Pilot
+   * @param {string} campaignId - Campaign id (see engine/Campaign.js)
+   * @returns {Object} { sectorId: { stars, bestScore, completedAt } }
+   */
+  getCampaignProgress(username, campaignId) {
+    const users = this.getUsers();
+    const user = users && users[username];
+    return (user && user.campaign && user.campaign[campaignId]) || {};
+  }
+
+  /**
+   * Records a completed sector, keeping the best stars and score
+   * @param {string} username - Pilot
+   * @param {string} campaignId - Campaign id
+   * @param {string} sectorId - Sector (level file) id
+   * @param {Object} result - { stars (1-3), score }
+   * @returns {Object} Result with success flag and the sector's saved record
+   */
+  saveSectorResult(username, campaignId, sectorId, result) {
+    if (!result || !Number.isInteger(result.stars) || typeof result.score !== 'number') {
+      return { success: false, message: 'Invalid sector result' };
+    }
+
+    const users = this.getUsers();
+    const user = users[username];
+    if (!user) return { success: false, message: 'User not found' };
+
+    user.campaign = user.campaign || {};
+    const progress = user.campaign[campaignId] = user.campaign[campaignId] || {};
+    const previous = progress[sectorId];
+    const record = {
+      stars: Math.max(previous ? previous.stars : 0, result.stars),
+      bestScore: Math.max(previous ? previous.bestScore : 0, result.score),
+      completedAt: previous ? previous.completedAt : new Date().toISOString()
+    };
+    progress[sectorId] = record;
+    this.saveUsers(users);
+    return { success: true, message: 'Sector result saved', record, improved: !previous || result.stars > previous.stars };
+  }
+
+  /**
+   * A user's meta-progression: credits and hangar unlocks (see engine/Hangar.js)
+   * @param {string} username - Pilot
+   * @returns {Object} { credits, totalEarned, unlocks: { unlockId: rank }, loadout: { weapon, hull } }
+   */
+  getMetaProgress(username) {
+    const users = this.getUsers();
+    const user = users && users[username];
+    const meta = (user && user.meta) || {};
+    return {
+      credits: meta.credits || 0,
+      totalEarned: meta.totalEarned || 0,
+      unlocks: { ...meta.unlocks },
+      loadout: { weapon: 'default', ...meta.loadout }
+    };
+  }
+
+  /**
+   * Adds credits earned by a finished run
+   * @param {string} username - Pilot
+   * @param {number} amount - Credits to add (whole number, 0 or more)
+   * @returns {Object} Result with success flag and the updated meta progress
+   */
+  addCredits(username, amount) {
+    if (!Number.isInteger(amount) || amount < 0) {
+      return { success: false, message: 'Invalid credit amount' };
+    }
+    return this.updateMeta(username, meta => {
+      meta.credits += amount;
+      meta.totalEarned += amount;
+    });
+  }
+
+  /**
+   * Buys the next rank of a hangar unlock
+   * @param {string} username - Pilot
+   * @param {string} unlockId - Hangar unlock id
+   * @param {number} cost - Price of the rank (see getUnlockCost in engine/Hangar.js)
+   * @returns {Object} Result with success flag and the updated meta progress
+   */
+  purchaseUnlock(username, unlockId, cost) {
+    if (typeof unlockId !== 'string' || !Number.isInteger(cost) || cost < 0) {
+      return { success: false, message: 'Invalid unlock' };
+    }
+    const current = this.getMetaProgress(username);
+    if (current.credits < cost) {
+      return { success: false, message: 'Not enough credits' };
+    }
+    return this.updateMeta(username, meta => {
+      meta.credits -= cost;
+      meta.unlocks[unlockId] = (meta.unlocks[unlockId] || 0) + 1;
+    });
+  }
+
+  /**
+   * Saves the loadout a user starts runs with (fields not given are kept)
+   * @param {string} username - Pilot
+   * @param {Object} loadout - { weapon, hull }
+   * @returns {Object} Result with success flag and the updated meta progress
+   */
+  saveLoadout(username, loadout) {
+    const isName = (value) => value === undefined || typeof value === 'string';
+    if (!loadout || !isName(loadout.weapon) || !isName(loadout.hull)) {
+      return { success: false, message: 'Invalid loadout' };
+    }
+    return this.updateMeta(username, meta => {
+      meta.loadout = { ...meta.loadout, ...loadout };
+    });
+  }
+
+  /**
+   * Applies a change to a user's meta progress and saves it
+   */
+  updateMeta(username, change) {
+    const users = this.getUsers();
+    const user = users[username];
+    if (!user) return { success: false, message: 'User not found' };
+
+    const meta = this.getMetaProgress(username);
+    change(meta);
+    user.meta = meta;
+    this.saveUsers(users);
+    return { success: true, message: 'Progress saved', meta };
+  }
+
   getSettings() {
     try {
       const data = localStorage.getItem(this.keys.SETTINGS);
@@ -0,0 +1,76 @@
+console.log('[Abilities.js] Module loaded');
+
+/**
+ * Active ship abilities (GameEngine.useAbility)
+ * Each hull lists the ones it flies with in `actives` (see Hulls.js); they are
+ * bound to ABILITY_KEYS in that order. Using one costs `energy` from the pool
+ * the shield also runs on (Spaceship.shield.strength) and starts its
+ * `cooldown` (seconds). `type` picks the effect, the other fields tune it:
+ * - dash: jump to the next lane in the held direction (an impulse in space-sim)
+ *   over `duration` seconds, invulnerable for `invulnerability` seconds
+ * - emp: destroys asteroids of the listed `sizes` and enemy fire within `radius`
+ * - timeSlow: everything but the player runs at `timeScale` for `duration` seconds
+ */
+export const ABILITIES = {
+  dash: {
+    name: 'Dash',
+    type: 'dash',
+    color: '#00f0ff',
+    energy: 20,
+    cooldown: 1.5,
+    duration: 0.15,
+    speed: 900,
+    invulnerability: 0.4
+  },
+  phaseShift: {
+    name: 'Phase Shift',
+    type: 'dash',
+    color: '#8b5cf6',
+    energy: 15,
+    cooldown: 1,
+    duration: 0.1,
+    speed: 1100,
+    invulnerability: 0.8
+  },
+  emp: {
+    name: 'EMP',
+    type: 'emp',
+    color: '#7df9ff',
+    energy: 45,
+    cooldown: 8,
+    radius: 250,
+    sizes: ['small']
+  },
+  shockwave: {
+    name: 'Shockwave',
+    type: 'emp',
+    color: '#ffb800',
+    energy: 60,
+    cooldown: 10,
+    radius: 320,
+    sizes: ['small', 'medium']
+  },
+  timeSlow: {
+    name: 'Time Dilation',
+    type: 'timeSlow',
+    color: '#b388ff',
+    energy: 35,
+    cooldown: 12,
+    duration: 4,
+    timeScale: 0.5
+  }
+};
+
+// Keys for ability slots 1-3
+export const ABILITY_KEYS = ['x', 'c', 'v'];
+
+/**
+ * Ability slots for a hull's `actives` (unknown ids are skipped)
+ * @returns {Object[]} [{ id, cooldown }] - cooldown is the time left (seconds)
+ */
+export function createAbilitySlots(ids = []) {
+  return ids
+    .filter(id => ABILITIES[id])
+    .slice(0, ABILITY_KEYS.length)
+    .map(id => ({ id, cooldown: 0 }));
+}
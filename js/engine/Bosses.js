@@ -0,0 +1,137 @@
+console.log('[Bosses.js] Module loaded');
+
+/**
+ * Boss archetypes (prefabs, see ECS.js)
+ * Driven by BossSystem and WeakPointSystem in Systems.js and drawn by the
+ * 'boss' sprite in Renderer.js. The engine scales health.max by
+ * boss.healthPerWave when it spawns one (GameEngine.spawnBoss).
+ *
+ * boss.phases are entered top to bottom as health drops below `from`
+ * (fraction of max health). Each phase lists attack patterns fired on their
+ * own interval - see BOSS_ATTACKS in Systems.js for the patterns.
+ */
+export const BOSS_PREFABS = {
+  juggernaut: {
+    boss: {
+      name: 'Juggernaut',
+      color: '#ff0055',
+      score: 1500,
+      healthPerWave: 60,
+      armor: 0.35, // Damage taken outside the weak point
+      contactDamage: 40,
+      anchorY: 130, // Height it holds once it has entered
+      sides: 8,
+      phases: [
+        {
+          from: 1,
+          moveSpeed: 60,
+          attacks: [{ pattern: 'aimed', interval: 1.4, count: 1, speed: 280, damage: 10 }]
+        },
+        {
+          from: 0.66,
+          moveSpeed: 80,
+          attacks: [{ pattern: 'spread', interval: 1.8, count: 5, arc: 0.9, speed: 260, damage: 8 }]
+        },
+        {
+          from: 0.33,
+          moveSpeed: 110,
+          attacks: [
+            { pattern: 'spread', interval: 1.6, count: 7, arc: 1.2, speed: 280, damage: 8 },
+            { pattern: 'aimed', interval: 0.9, count: 2, spacing: 0.15, speed: 340, damage: 10 }
+          ]
+        }
+      ]
+    },
+    health: { max: 450 },
+    body: { mass: 0, linearDamping: 1, angularDamping: 1, angularVelocity: 0.3 },
+    collider: { layer: 'boss', radius: 95 },
+    weakPoint: { offsetX: 0, offsetY: 55, radius: 26, closed: 4, warning: 1.2, open: 3, multiplier: 3 },
+    sprite: { kind: 'boss' }
+  },
+
+  warden: {
+    boss: {
+      name: 'Warden',
+      color: '#8b5cf6',
+      score: 1800,
+      healthPerWave: 50,
+      armor: 0.25,
+      contactDamage: 35,
+      anchorY: 150,
+      sides: 6,
+      phases: [
+        {
+          from: 1,
+          moveSpeed: 90,
+          attacks: [{ pattern: 'ring', interval: 2.2, count: 12, speed: 200, damage: 8 }]
+        },
+        {
+          from: 0.5,
+          moveSpeed: 120,
+          attacks: [
+            { pattern: 'ring', interval: 1.8, count: 16, speed: 220, damage: 8 },
+            { pattern: 'aimed', interval: 1.2, count: 3, spacing: 0.2, speed: 320, damage: 10 }
+          ]
+        }
+      ]
+    },
+    health: { max: 400 },
+    body: { mass: 0, linearDamping: 1, angularDamping: 1, angularVelocity: 0.3 },
+    collider: { layer: 'boss', radius: 85 },
+    weakPoint: { offsetX: 0, offsetY: 0, radius: 22, closed: 5, warning: 1.0, open: 2.5, multiplier: 4 },
+    sprite: { kind: 'boss' }
+  },
+
+  harbinger: {
+    boss: {
+      name: 'Harbinger',
+      color: '#ffaa00',
+      score: 2200,
+      healthPerWave: 70,
+      armor: 0.3,
+      contactDamage: 45,
+      anchorY: 140,
+      sides: 5,
+      phases: [
+        {
+          from: 1,
+          moveSpeed: 70,
+          attacks: [{ pattern: 'spiral', interval: 0.25, count: 2, turn: 0.45, speed: 220, damage: 6 }]
+        },
+        {
+          from: 0.6,
+          moveSpeed: 90,
+          attacks: [
+            { pattern: 'spiral', interval: 0.22, count: 3, turn: -0.4, speed: 240, damage: 6 },
+            { pattern: 'aimed', interval: 1.5, count: 1, speed: 380, damage: 12 }
+          ]
+        },
+        {
+          from: 0.25,
+          moveSpeed: 130,
+          attacks: [
+            { pattern: 'ring', interval: 1.4, count: 18, speed: 240, damage: 6 },
+            { pattern: 'spread', interval: 1.1, count: 5, arc: 0.7, speed: 320, damage: 8 }
+          ]
+        }
+      ]
+    },
+    health: { max: 500 },
+    body: { mass: 0, linearDamping: 1, angularDamping: 1, angularVelocity: 0.3 },
+    collider: { layer: 'boss', radius: 90 },
+    weakPoint: { offsetX: 0, offsetY: -45, radius: 24, closed: 3.5, warning: 1.2, open: 2.5, multiplier: 3 },
+    sprite: { kind: 'boss' }
+  }
+};
+
+// Order bosses appear in on boss waves that don't name one
+export const BOSS_ROTATION = ['juggernaut', 'warden', 'harbinger'];
+
+/**
+ * Add every boss prefab to a world
+ */
+export function registerBossPrefabs(world) {
+  Object.entries(BOSS_PREFABS).forEach(([name, components]) => {
+    world.registerPrefab(name, components);
+  });
+}
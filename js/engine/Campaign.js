@@ -0,0 +1,87 @@
+import { fetchLevel } from './Levels.js';
+
+console.log('[Campaign.js] Module loaded');
+
+export const CAMPAIGN_VERSION = 1;
+
+/**
+ * Check a campaign definition: { version, id, name, sectors: ['level-name', ...] }
+ * Sectors are played in order; each one is a level file with an objective.
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateCampaign(campaign) {
+  const errors = [];
+  const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+  if (campaign === null || typeof campaign !== 'object' || Array.isArray(campaign)) {
+    fail('campaign', 'must be an object');
+    return errors;
+  }
+
+  if (campaign.version !== CAMPAIGN_VERSION) {
+    fail('version', `must be ${CAMPAIGN_VERSION}`);
+  }
+  if (typeof campaign.id !== 'string' || campaign.id === '') {
+    fail('id', 'must be a non-empty string');
+  }
+  if (!Array.isArray(campaign.sectors) || campaign.sectors.length === 0) {
+    fail('sectors', 'must be a non-empty array of level names');
+    return errors;
+  }
+
+  const seen = new Set();
+  campaign.sectors.forEach((name, i) => {
+    if (typeof name !== 'string' || !/^[a-z0-9_-]+$/i.test(name)) {
+      fail(`sectors[${i}]`, 'must be a level file name (letters, digits, - and _)');
+    } else if (seen.has(name)) {
+      fail(`sectors[${i}]`, `"${name}" is listed twice`);
+    } else {
+      seen.add(name);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Fetch a campaign and every sector's level (browser)
+ * @param {string} name - Campaign file in levelDir (without .json)
+ * @param {string} [levelDir] - Folder holding the campaign and level files
+ * @returns {Promise<Object>} Campaign with sectors as [{ id, level }]
+ */
+export async function fetchCampaign(name, levelDir = 'levels') {
+  const campaign = await fetchLevel(`${levelDir}/${name}.json`);
+  const errors = validateCampaign(campaign);
+  if (errors.length > 0) {
+    throw new Error(`Invalid campaign ${name}: ${errors.join('; ')}`);
+  }
+
+  const levels = await Promise.all(
+    campaign.sectors.map(sector => fetchLevel(`${levelDir}/${sector}.json`))
+  );
+  return {
+    ...campaign,
+    sectors: campaign.sectors.map((id, i) => ({ id, level: levels[i] }))
+  };
+}
+
+/**
+ * Sectors with their saved result and lock state
+ * The first sector is always open; each later one opens once the one before
+ * it has been completed.
+ * @param {Object} campaign - From fetchCampaign()
+ * @param {Object} progress - { sectorId: { stars, bestScore } } (see StorageManager)
+ */
+export function getSectorStatus(campaign, progress = {}) {
+  return campaign.sectors.map((sector, i) => {
+    const result = progress[sector.id] || null;
+    const previous = i > 0 ? progress[campaign.sectors[i - 1].id] : null;
+    return {
+      ...sector,
+      index: i,
+      stars: result ? result.stars : 0,
+      bestScore: result ? result.bestScore : 0,
+      unlocked: i === 0 || Boolean(previous && previous.stars > 0)
+    };
+  });
+}
@@ -0,0 +1,43 @@
+console.log('[Chains.js] Module loaded');
+
+/**
+ * Asteroid variants (Asteroid.setVariant)
+ * Spawned asteroids roll for the explosive variant with the wave's
+ * `explosiveChance`; fragments of a split asteroid are plain rock.
+ */
+export const ASTEROID_VARIANTS = {
+  explosive: {
+    name: 'Volatile',
+    color: 'rgba(200, 90, 50, 0.95)',
+    glow: '#ff6600',
+    blastScale: 3, // Blast radius = asteroid radius * blastScale
+    damage: 45, // Dealt to every asteroid caught in the blast
+    delay: 0.15 // Seconds from the kill to the blast, so chains ripple outwards
+  }
+};
+
+/**
+ * Chain reactions (GameEngine.chainSystem)
+ * Destroying an explosive asteroid starts a chain. Each blast that destroys
+ * another explosive asteroid queues its blast as the next link.
+ */
+export const CHAIN_LIMITS = {
+  maxPending: 24, // Queued blasts across all chains; explosive kills past this shatter without a blast
+  maxLinks: 40 // Blasts per chain
+};
+
+// Base score for each asteroid a blast destroys
+export const CHAIN_KILL_SCORE = { small: 50, medium: 25, large: 15, huge: 5 };
+
+// Bonus once a chain of 2+ links burns out: CHAIN_LINK_BONUS * links * (links - 1)
+export const CHAIN_LINK_BONUS = 25;
+
+// Seconds the HUD keeps showing a finished chain
+export const CHAIN_DISPLAY_TIME = 2;
+
+/**
+ * End-of-chain bonus for a chain of `links` blasts
+ */
+export function getChainBonus(links) {
+  return links < 2 ? 0 : CHAIN_LINK_BONUS * links * (links - 1);
+}
@@ -2,6 +2,11 @@ import { Vector2D } from './Vector2D.js';
 
 console.log('[Collision.js] Module loaded');
 
+// Scratch shapes for overlapsStarPolygon, segmentEntry and barEntry (avoid allocating per test)
+const FAN_TRIANGLE = [null, null, null];
+const POINT_SEGMENT = [null, null];
+const BAR_EDGES = [{ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 0 }];
+
 /**
  * Collision detection and resolution system
  */
@@ -49,8 +54,172 @@ export class CollisionSystem {
     );
   }
 
+  /**
+   * Separating Axis Theorem test for two convex polygons ([{ x, y }] in world
+   * space, either winding). A two-point polygon is a line segment.
+   */
+  static polygonsOverlap(poly1, poly2) {
+    return !this.hasSeparatingAxis(poly1, poly2) && !this.hasSeparatingAxis(poly2, poly1);
+  }
+
+  /**
+   * True if the normal of one of `poly`'s edges separates it from `other`
+   */
+  static hasSeparatingAxis(poly, other) {
+    const edges = poly.length === 2 ? 1 : poly.length;
+
+    for (let i = 0; i < edges; i++) {
+      const a = poly[i];
+      const b = poly[(i + 1) % poly.length];
+      const axisX = a.y - b.y;
+      const axisY = b.x - a.x;
+
+      let min1 = Infinity;
+      let max1 = -Infinity;
+      for (const point of poly) {
+        const projection = point.x * axisX + point.y * axisY;
+        min1 = Math.min(min1, projection);
+        max1 = Math.max(max1, projection);
+      }
+
+      let min2 = Infinity;
+      let max2 = -Infinity;
+      for (const point of other) {
+        const projection = point.x * axisX + point.y * axisY;
+        min2 = Math.min(min2, projection);
+        max2 = Math.max(max2, projection);
+      }
+
+      if (max1 < min2 || max2 < min1) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Convex polygon against a star-shaped outline (every vertex visible from
+   * `center`, like an asteroid). The outline is tested as a fan of triangles
+   * from the centre, so dents in it count as misses.
+   */
+  static overlapsStarPolygon(convex, center, outline) {
+    const triangle = FAN_TRIANGLE;
+    triangle[0] = center;
+
+    for (let i = 0; i < outline.length; i++) {
+      triangle[1] = outline[i];
+      triangle[2] = outline[(i + 1) % outline.length];
+      if (this.polygonsOverlap(convex, triangle)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Convex polygon against a circle: the centre is inside the polygon, or
+   * one of its edges passes within `radius` of it
+   */
+  static polygonOverlapsCircle(poly, center, radius) {
+    const radiusSq = radius * radius;
+    let side = 0;
+    let inside = true;
+
+    for (let i = 0; i < poly.length; i++) {
+      const a = poly[i];
+      const b = poly[(i + 1) % poly.length];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const px = center.x - a.x;
+      const py = center.y - a.y;
+
+      // Nearest point on the edge
+      const lengthSq = ex * ex + ey * ey;
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSq)) : 0;
+      const dx = px - ex * t;
+      const dy = py - ey * t;
+      if (dx * dx + dy * dy < radiusSq) return true;
+
+      // Inside = on the same side of every edge (either winding)
+      const cross = Math.sign(ex * py - ey * px);
+      if (cross !== 0) {
+        if (side === 0) side = cross;
+        else if (cross !== side) inside = false;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * How far along a segment (0-1) it first enters an outline ([{ x, y }],
+   * convex or star-shaped around `center`) - for ordering swept hits.
+   * With a `halfWidth` the segment is swept as a bar that wide across it.
+   * @returns {number|null} 0 if it starts inside, null if it misses
+   */
+  static segmentEntry(start, end, center, outline, halfWidth = 0) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (halfWidth > 0 && lengthSq > 0) {
+      return this.barEntry(start, end, center, outline, halfWidth, lengthSq);
+    }
+
+    POINT_SEGMENT[0] = start;
+    POINT_SEGMENT[1] = start;
+    if (this.overlapsStarPolygon(POINT_SEGMENT, center, outline)) return 0;
+
+    let first = null;
+
+    for (let i = 0; i < outline.length; i++) {
+      const a = outline[i];
+      const b = outline[(i + 1) % outline.length];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const denominator = dx * ey - dy * ex;
+      if (denominator === 0) continue; // Parallel to this edge
+
+      const t = ((a.x - start.x) * ey - (a.y - start.y) * ex) / denominator;
+      const u = ((a.x - start.x) * dy - (a.y - start.y) * dx) / denominator;
+      if (t >= 0 && t <= 1 && u >= 0 && u <= 1 && (first === null || t < first)) {
+        first = t;
+      }
+    }
+    return first;
+  }
+
+  /**
+   * segmentEntry for a bar: the first of its two ends crossing an edge of
+   * the outline, or its front running into a vertex between them
+   */
+  static barEntry(start, end, center, outline, halfWidth, lengthSq) {
+    const length = Math.sqrt(lengthSq);
+    const nx = -(end.y - start.y) / length * halfWidth;
+    const ny = (end.x - start.x) / length * halfWidth;
+    const [startLeft, endLeft, startRight, endRight] = BAR_EDGES;
+    startLeft.x = start.x + nx; startLeft.y = start.y + ny;
+    endLeft.x = end.x + nx; endLeft.y = end.y + ny;
+    startRight.x = start.x - nx; startRight.y = start.y - ny;
+    endRight.x = end.x - nx; endRight.y = end.y - ny;
+
+    POINT_SEGMENT[0] = startLeft;
+    POINT_SEGMENT[1] = startRight;
+    if (this.overlapsStarPolygon(POINT_SEGMENT, center, outline)) return 0;
+
+    let first = this.segmentEntry(startLeft, endLeft, center, outline);
+    const right = this.segmentEntry(startRight, endRight, center, outline);
+    if (right !== null && (first === null || right < first)) first = right;
+
+    for (const vertex of outline) {
+      const ox = vertex.x - start.x;
+      const oy = vertex.y - start.y;
+      const t = (ox * (end.x - start.x) + oy * (end.y - start.y)) / lengthSq;
+      const across = Math.abs(ox * nx + oy * ny) / halfWidth;
+      if (t >= 0 && t <= 1 && across <= halfWidth && (first === null || t < first)) {
+        first = t;
+      }
+    }
+    return first;
+  }
+
   /**
    * Resolve collision between two physics bodies (elastic collision)
+   * @returns {number} Impulse applied along the normal (0 if already separating)
    */
   static resolveCollision(obj1, obj2, restitution = 0.8) {
     // Calculate collision normal
@@ -63,7 +232,7 @@ export class CollisionSystem {
     const velocityAlongNormal = Vector2D.dot(relativeVelocity, normal);
     
     // Do not resolve if velocities are separating
-    if (velocityAlongNormal > 0) return;
+    if (velocityAlongNormal > 0) return 0;
     
     // Calculate impulse scalar
     const e = Math.min(obj1.restitution, obj2.restitution) * restitution;
@@ -82,6 +251,45 @@ export class CollisionSystem {
       const impulse2 = Vector2D.multiply(impulse, obj2.inverseMass);
       obj2.velocity.add(impulse2);
     }
+
+    return j;
+  }
+
+  /**
+   * Friction between two touching circles: the surfaces drag on each other at
+   * the contact point, so glancing hits trade spin as well as speed. Applied
+   * with applyForceAtPoint (as the force that delivers the impulse over the
+   * next step of `deltaTime`), capped by `friction` x the normal impulse.
+   */
+  static applyContactFriction(obj1, obj2, radius1, normalImpulse, deltaTime) {
+    if (normalImpulse <= 0 || deltaTime <= 0) return;
+
+    const normal = Vector2D.subtract(obj2.position, obj1.position).normalize();
+    const contact = Vector2D.add(obj1.position, Vector2D.multiply(normal, radius1));
+    const r1 = Vector2D.subtract(contact, obj1.position);
+    const r2 = Vector2D.subtract(contact, obj2.position);
+
+    // Surface velocities at the contact point (v + w x r)
+    const relativeVelocity = new Vector2D(
+      obj2.velocity.x - obj2.angularVelocity * r2.y - (obj1.velocity.x - obj1.angularVelocity * r1.y),
+      obj2.velocity.y + obj2.angularVelocity * r2.x - (obj1.velocity.y + obj1.angularVelocity * r1.x)
+    );
+    const tangent = new Vector2D(-normal.y, normal.x);
+    const slide = Vector2D.dot(relativeVelocity, tangent);
+    if (slide === 0) return;
+
+    const cross1 = r1.x * tangent.y - r1.y * tangent.x;
+    const cross2 = r2.x * tangent.y - r2.y * tangent.x;
+    const effectiveMass = obj1.inverseMass + obj2.inverseMass +
+      cross1 * cross1 * obj1.inverseInertia + cross2 * cross2 * obj2.inverseInertia;
+    if (effectiveMass <= 0) return;
+
+    const limit = Math.min(obj1.friction, obj2.friction) * normalImpulse;
+    const j = Math.max(-limit, Math.min(limit, -slide / effectiveMass));
+    const force = Vector2D.multiply(tangent, j / deltaTime);
+
+    obj2.applyForceAtPoint(force, contact);
+    obj1.applyForceAtPoint(Vector2D.multiply(force, -1), contact);
   }
 
   /**
@@ -107,6 +315,7 @@ export class CollisionSystem {
 
   /**
    * Check line-circle intersection (for laser/projectile hits)
+   * `t` is where the segment enters the circle: 0 when it starts inside.
    */
   static lineCircleIntersection(lineStart, lineEnd, circlePos, radius) {
     const line = Vector2D.subtract(lineEnd, lineStart);
@@ -115,6 +324,12 @@ export class CollisionSystem {
     const a = line.dot(line);
     const b = 2 * circleToStart.dot(line);
     const c = circleToStart.dot(circleToStart) - radius * radius;
+
+    // Starts inside (or is a point inside) the circle
+    if (c <= 0) {
+      return { point: new Vector2D(lineStart.x, lineStart.y), t: 0 };
+    }
+    if (a === 0) return null;
     
     const discriminant = b * b - 4 * a * c;
     
@@ -0,0 +1,228 @@
+import { PhysicsBody } from './PhysicsBody.js';
+
+console.log('[ECS.js] Module loaded');
+
+/**
+ * Drop destroyed entities from a list in place (keeps cached query arrays valid)
+ */
+function removeDead(list) {
+  let count = 0;
+  for (let i = 0; i < list.length; i++) {
+    if (list[i].alive) list[count++] = list[i];
+  }
+  list.length = count;
+}
+
+/**
+ * Lightweight entity/component/system layer
+ *
+ * An entity is a plain object whose properties are its components
+ * (entity.body, entity.lifetime, ...). Prefabs describe entity types as data;
+ * systems hold the behaviour and run once per step over the entities that have
+ * the components they need. New hazards, enemies or pickups are added by
+ * registering prefabs and systems - GameEngine.update() just calls world.update().
+ */
+export class World {
+  /**
+   * @param {Object} [context] - Passed to every system (the GameEngine)
+   */
+  constructor(context = null) {
+    this.context = context;
+    this.entities = [];
+    this.systems = [];
+    this.prefabs = new Map();
+    this.componentFactories = new Map();
+    this.queries = new Map(); // 'a|b' -> { names, entities }
+    this.pendingRemoval = [];
+    this.nextId = 1;
+
+    // PhysicsBody is a component: prefab data { x, y, mass, ... } becomes a body
+    this.registerComponent('body', (data) => {
+      const { x = 0, y = 0, mass = 1, velocity, ...props } = data;
+      const body = new PhysicsBody(x, y, mass);
+      if (velocity) body.velocity.set(velocity.x, velocity.y);
+      return Object.assign(body, props);
+    });
+  }
+
+  /**
+   * Build a component from data with a factory (e.g. to create class instances)
+   * Components without a factory are shallow copies of their data.
+   */
+  registerComponent(name, factory) {
+    this.componentFactories.set(name, factory);
+  }
+
+  /**
+   * Define an entity type as data: { componentName: componentData, ... }
+   */
+  registerPrefab(name, components) {
+    this.prefabs.set(name, components);
+  }
+
+  hasPrefab(name) {
+    return this.prefabs.has(name);
+  }
+
+  /**
+   * Add a system; systems run in ascending priority (then registration order)
+   * A system is an object with update(deltaTime, world, context) and optionally
+   * onEntityAdded(entity, world, context) / onEntityRemoved(entity, world, context).
+   */
+  addSystem(system, priority = 0) {
+    system.priority = priority;
+    this.systems.push(system);
+    this.systems.sort((a, b) => a.priority - b.priority);
+    return system;
+  }
+
+  /**
+   * Create an entity from a prefab
+   * @param {string} name - Registered prefab name
+   * @param {Object} [overrides] - Per-component data merged over the prefab's;
+   *   components not in the prefab are added, null removes one
+   */
+  spawn(name, overrides = {}) {
+    const prefab = this.prefabs.get(name);
+    if (!prefab) {
+      throw new Error(`Unknown prefab: ${name}`);
+    }
+
+    const components = {};
+    for (const key of new Set([...Object.keys(prefab), ...Object.keys(overrides)])) {
+      if (overrides[key] === null) continue;
+      components[key] = { ...prefab[key], ...overrides[key] };
+    }
+
+    return this.createEntity(components, name);
+  }
+
+  /**
+   * Create an entity from component data
+   */
+  createEntity(components = {}, prefab = null) {
+    const entity = { id: this.nextId++, prefab, alive: true };
+
+    for (const name of Object.keys(components)) {
+      const factory = this.componentFactories.get(name);
+      entity[name] = factory ? factory(components[name], entity) : { ...components[name] };
+    }
+
+    // Shortcut to the body's position (same vector) for the broadphase and distance checks
+    if (entity.body) {
+      entity.position = entity.body.position;
+    }
+
+    this.entities.push(entity);
+    for (const query of this.queries.values()) {
+      if (this.matches(entity, query.names)) query.entities.push(entity);
+    }
+    for (const system of this.systems) {
+      if (system.onEntityAdded) system.onEntityAdded(entity, this, this.context);
+    }
+
+    return entity;
+  }
+
+  /**
+   * Add a component to an existing entity
+   */
+  addComponent(entity, name, data = {}) {
+    const factory = this.componentFactories.get(name);
+    entity[name] = factory ? factory(data, entity) : { ...data };
+    this.refreshQueries(entity);
+    return entity[name];
+  }
+
+  /**
+   * Remove a component from an entity
+   */
+  removeComponent(entity, name) {
+    if (entity[name] === undefined) return;
+    delete entity[name];
+    this.refreshQueries(entity);
+  }
+
+  /**
+   * Mark an entity for removal; it leaves queries once the current system finishes
+   */
+  destroy(entity) {
+    if (!entity.alive) return;
+    entity.alive = false;
+    this.pendingRemoval.push(entity);
+  }
+
+  /**
+   * Live entities that have all the named components
+   * The returned array is cached and kept up to date - don't modify it.
+   */
+  query(...names) {
+    const key = names.join('|');
+    let query = this.queries.get(key);
+    if (!query) {
+      query = { names, entities: this.entities.filter(e => e.alive && this.matches(e, names)) };
+      this.queries.set(key, query);
+    }
+    return query.entities;
+  }
+
+  /**
+   * Number of live entities with all the named components
+   */
+  count(...names) {
+    return this.query(...names).length;
+  }
+
+  /**
+   * Run every system for one step
+   */
+  update(deltaTime) {
+    for (const system of this.systems) {
+      system.update(deltaTime, this, this.context);
+      this.flushRemovals();
+    }
+  }
+
+  /**
+   * Remove every entity (new run)
+   */
+  clear() {
+    this.entities.forEach(entity => this.destroy(entity));
+    this.flushRemovals();
+  }
+
+  matches(entity, names) {
+    for (let i = 0; i < names.length; i++) {
+      if (entity[names[i]] === undefined) return false;
+    }
+    return true;
+  }
+
+  refreshQueries(entity) {
+    if (!entity.alive) return;
+    for (const query of this.queries.values()) {
+      const index = query.entities.indexOf(entity);
+      const matches = this.matches(entity, query.names);
+      if (matches && index === -1) query.entities.push(entity);
+      if (!matches && index !== -1) query.entities.splice(index, 1);
+    }
+  }
+
+  flushRemovals() {
+    if (this.pendingRemoval.length === 0) return;
+
+    const removed = this.pendingRemoval;
+    this.pendingRemoval = [];
+
+    removeDead(this.entities);
+    for (const query of this.queries.values()) {
+      removeDead(query.entities);
+    }
+
+    for (const entity of removed) {
+      for (const system of this.systems) {
+        if (system.onEntityRemoved) system.onEntityRemoved(entity, this, this.context);
+      }
+    }
+  }
+}
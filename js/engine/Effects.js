@@ -1,36 +1,72 @@
+import { defaultRandom } from './Random.js';
+import { ObjectPool } from './Pool.js';
+
 console.log('[Effects.js] Module loaded');
 
 /**
  * Particle system for visual effects
  */
 export class ParticleSystem {
-  constructor() {
+  constructor(rng = defaultRandom) {
     console.log('[ParticleSystem] Constructor called');
+    // Random source for particle spread (engine passes a seeded fork)
+    this.rng = rng;
     this.particles = [];
     this.maxParticles = 1000;
+
+    // Particles are recycled rather than allocated per effect
+    this.pool = new ObjectPool('particle', () => ({}), {
+      reset: (p) => {
+        p.life = 1.0;
+        p.rotation = 0;
+        p.rotationSpeed = 0;
+      },
+      maxSize: this.maxParticles,
+      prewarm: 200
+    });
     console.log('[ParticleSystem] Initialized with max', this.maxParticles, 'particles');
   }
 
+  /**
+   * Take a particle from the pool and add it to the live list
+   */
+  spawnParticle() {
+    const p = this.pool.acquire();
+    this.particles.push(p);
+    return p;
+  }
+
+  /**
+   * Return the particle at an index to the pool
+   * Swap-removes, so only call it while iterating backwards.
+   */
+  removeParticle(index) {
+    const p = this.particles[index];
+    const last = this.particles.pop();
+    if (index < this.particles.length) {
+      this.particles[index] = last;
+    }
+    this.pool.release(p);
+  }
+
   /**
    * Create explosion effect
    */
   createExplosion(x, y, count = 30, color = '#ff0055', speed = 200) {
     for (let i = 0; i < count; i++) {
-      const angle = (Math.PI * 2 * i) / count + (Math.random() - 0.5) * 0.5;
-      const velocity = speed * (0.5 + Math.random() * 0.5);
+      const angle = (Math.PI * 2 * i) / count + (this.rng.next() - 0.5) * 0.5;
+      const velocity = speed * (0.5 + this.rng.next() * 0.5);
       
-      this.particles.push({
-        x: x,
-        y: y,
-        vx: Math.cos(angle) * velocity,
-        vy: Math.sin(angle) * velocity,
-        life: 1.0,
-        maxLife: 0.5 + Math.random() * 0.5,
-        size: 3 + Math.random() * 5,
-        color: color,
-        type: 'explosion',
-        decay: 0.5 + Math.random() * 0.5
-      });
+      const p = this.spawnParticle();
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(angle) * velocity;
+      p.vy = Math.sin(angle) * velocity;
+      p.maxLife = 0.5 + this.rng.next() * 0.5;
+      p.size = 3 + this.rng.next() * 5;
+      p.color = color;
+      p.type = 'explosion';
+      p.decay = 0.5 + this.rng.next() * 0.5;
     }
   }
 
@@ -39,23 +75,21 @@ export class ParticleSystem {
    */
   createDebris(x, y, count = 15, color = '#888888') {
     for (let i = 0; i < count; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const velocity = 50 + Math.random() * 150;
+      const angle = this.rng.next() * Math.PI * 2;
+      const velocity = 50 + this.rng.next() * 150;
       
-      this.particles.push({
-        x: x,
-        y: y,
-        vx: Math.cos(angle) * velocity,
-        vy: Math.sin(angle) * velocity,
-        life: 1.0,
-        maxLife: 1.0 + Math.random(),
-        size: 2 + Math.random() * 4,
-        color: color,
-        type: 'debris',
-        rotation: Math.random() * Math.PI * 2,
-        rotationSpeed: (Math.random() - 0.5) * 5,
-        decay: 0.3 + Math.random() * 0.3
-      });
+      const p = this.spawnParticle();
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(angle) * velocity;
+      p.vy = Math.sin(angle) * velocity;
+      p.maxLife = 1.0 + this.rng.next();
+      p.size = 2 + this.rng.next() * 4;
+      p.color = color;
+      p.type = 'debris';
+      p.rotation = this.rng.next() * Math.PI * 2;
+      p.rotationSpeed = (this.rng.next() - 0.5) * 5;
+      p.decay = 0.3 + this.rng.next() * 0.3;
     }
   }
 
@@ -65,21 +99,19 @@ export class ParticleSystem {
   createThrust(x, y, angle, color = '#ff9933') {
     const count = 3;
     for (let i = 0; i < count; i++) {
-      const spread = (Math.random() - 0.5) * 0.5;
-      const velocity = 100 + Math.random() * 50;
+      const spread = (this.rng.next() - 0.5) * 0.5;
+      const velocity = 100 + this.rng.next() * 50;
       
-      this.particles.push({
-        x: x,
-        y: y,
-        vx: Math.cos(angle + Math.PI + spread) * velocity,
-        vy: Math.sin(angle + Math.PI + spread) * velocity,
-        life: 1.0,
-        maxLife: 0.3,
-        size: 3 + Math.random() * 3,
-        color: color,
-        type: 'thrust',
-        decay: 2.0
-      });
+      const p = this.spawnParticle();
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(angle + Math.PI + spread) * velocity;
+      p.vy = Math.sin(angle + Math.PI + spread) * velocity;
+      p.maxLife = 0.3;
+      p.size = 3 + this.rng.next() * 3;
+      p.color = color;
+      p.type = 'thrust';
+      p.decay = 2.0;
     }
   }
 
@@ -89,21 +121,19 @@ export class ParticleSystem {
   createShieldHit(x, y, color = '#00f0ff') {
     const count = 20;
     for (let i = 0; i < count; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const velocity = 100 + Math.random() * 100;
+      const angle = this.rng.next() * Math.PI * 2;
+      const velocity = 100 + this.rng.next() * 100;
       
-      this.particles.push({
-        x: x,
-        y: y,
-        vx: Math.cos(angle) * velocity,
-        vy: Math.sin(angle) * velocity,
-        life: 1.0,
-        maxLife: 0.4,
-        size: 2 + Math.random() * 3,
-        color: color,
-        type: 'shield',
-        decay: 1.5
-      });
+      const p = this.spawnParticle();
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(angle) * velocity;
+      p.vy = Math.sin(angle) * velocity;
+      p.maxLife = 0.4;
+      p.size = 2 + this.rng.next() * 3;
+      p.color = color;
+      p.type = 'shield';
+      p.decay = 1.5;
     }
   }
 
@@ -113,18 +143,16 @@ export class ParticleSystem {
   createTrail(x, y, vx, vy, color = '#00f0ff') {
     if (this.particles.length > this.maxParticles * 0.9) return;
     
-    this.particles.push({
-      x: x + (Math.random() - 0.5) * 5,
-      y: y + (Math.random() - 0.5) * 5,
-      vx: vx * 0.3 + (Math.random() - 0.5) * 20,
-      vy: vy * 0.3 + (Math.random() - 0.5) * 20,
-      life: 1.0,
-      maxLife: 0.3 + Math.random() * 0.2,
-      size: 1 + Math.random() * 2,
-      color: color,
-      type: 'trail',
-      decay: 1.5
-    });
+    const p = this.spawnParticle();
+    p.x = x + (this.rng.next() - 0.5) * 5;
+    p.y = y + (this.rng.next() - 0.5) * 5;
+    p.vx = vx * 0.3 + (this.rng.next() - 0.5) * 20;
+    p.vy = vy * 0.3 + (this.rng.next() - 0.5) * 20;
+    p.maxLife = 0.3 + this.rng.next() * 0.2;
+    p.size = 1 + this.rng.next() * 2;
+    p.color = color;
+    p.type = 'trail';
+    p.decay = 1.5;
   }
 
   /**
@@ -136,18 +164,16 @@ export class ParticleSystem {
       const angle = (Math.PI * 2 * i) / count;
       const velocity = 150;
       
-      this.particles.push({
-        x: x,
-        y: y,
-        vx: Math.cos(angle) * velocity,
-        vy: Math.sin(angle) * velocity,
-        life: 1.0,
-        maxLife: 0.6,
-        size: 2 + Math.random() * 3,
-        color: color,
-        type: 'collect',
-        decay: 1.0
-      });
+      const p = this.spawnParticle();
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(angle) * velocity;
+      p.vy = Math.sin(angle) * velocity;
+      p.maxLife = 0.6;
+      p.size = 2 + this.rng.next() * 3;
+      p.color = color;
+      p.type = 'collect';
+      p.decay = 1.0;
     }
   }
 
@@ -159,22 +185,20 @@ export class ParticleSystem {
     const baseAngle = direction.angle ? direction.angle() : 0;
     
     for (let i = 0; i < count; i++) {
-      const spread = (Math.random() - 0.5) * Math.PI;
+      const spread = (this.rng.next() - 0.5) * Math.PI;
       const angle = baseAngle + spread;
-      const velocity = 150 + Math.random() * 100;
+      const velocity = 150 + this.rng.next() * 100;
       
-      this.particles.push({
-        x: x,
-        y: y,
-        vx: Math.cos(angle) * velocity,
-        vy: Math.sin(angle) * velocity,
-        life: 1.0,
-        maxLife: 0.3 + Math.random() * 0.3,
-        size: 2 + Math.random() * 3,
-        color: color,
-        type: 'sparks',
-        decay: 1.2
-      });
+      const p = this.spawnParticle();
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(angle) * velocity;
+      p.vy = Math.sin(angle) * velocity;
+      p.maxLife = 0.3 + this.rng.next() * 0.3;
+      p.size = 2 + this.rng.next() * 3;
+      p.color = color;
+      p.type = 'sparks';
+      p.decay = 1.2;
     }
   }
 
@@ -184,26 +208,24 @@ export class ParticleSystem {
   createBlackHoleEffect(x, y, radius) {
     const count = 5;
     for (let i = 0; i < count; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const distance = radius + Math.random() * 50;
+      const angle = this.rng.next() * Math.PI * 2;
+      const distance = radius + this.rng.next() * 50;
       
-      this.particles.push({
-        x: x + Math.cos(angle) * distance,
-        y: y + Math.sin(angle) * distance,
-        vx: 0,
-        vy: 0,
-        life: 1.0,
-        maxLife: 1.0,
-        size: 3 + Math.random() * 2,
-        color: '#9933ff',
-        type: 'blackhole',
-        decay: 0.5,
-        orbitX: x,
-        orbitY: y,
-        orbitRadius: distance,
-        orbitAngle: angle,
-        orbitSpeed: 2.0
-      });
+      const p = this.spawnParticle();
+      p.x = x + Math.cos(angle) * distance;
+      p.y = y + Math.sin(angle) * distance;
+      p.vx = 0;
+      p.vy = 0;
+      p.maxLife = 1.0;
+      p.size = 3 + this.rng.next() * 2;
+      p.color = '#9933ff';
+      p.type = 'blackhole';
+      p.decay = 0.5;
+      p.orbitX = x;
+      p.orbitY = y;
+      p.orbitRadius = distance;
+      p.orbitAngle = angle;
+      p.orbitSpeed = 2.0;
     }
   }
 
@@ -222,7 +244,7 @@ export class ParticleSystem {
         p.y = p.orbitY + Math.sin(p.orbitAngle) * p.orbitRadius;
         
         if (p.orbitRadius < 5) {
-          this.particles.splice(i, 1);
+          this.removeParticle(i);
           continue;
         }
       } else {
@@ -246,7 +268,7 @@ export class ParticleSystem {
       
       // Remove dead particles
       if (p.life <= 0) {
-        this.particles.splice(i, 1);
+        this.removeParticle(i);
       }
     }
   }
@@ -288,7 +310,8 @@ export class ParticleSystem {
    * Clear all particles
    */
   clear() {
-    this.particles = [];
+    this.pool.releaseAll(this.particles);
+    this.particles.length = 0;
   }
 
   /**
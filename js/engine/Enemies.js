@@ -0,0 +1,108 @@
+console.log('[Enemies.js] Module loaded');
+
+/**
+ * Enemy ship prefabs (see ECS.js)
+ * Flown by EnemySystem in Systems.js and drawn by the 'enemy' sprite in
+ * Renderer.js. Ships always arrive as a squad (GameEngine.spawnFormation):
+ * enemy.squad gives the default formation, size and how long members hold
+ * their slot before diving at the player (null = never).
+ *
+ * steering.faceTarget ships turn their guns on the player with lookAt() and
+ * slide to their slot; the others fly nose-first, turning with rotateTowards().
+ * weapon.cone is how far off the nose (radians) the player can be for a shot.
+ */
+export const ENEMY_PREFABS = {
+  fighter: {
+    enemy: {
+      name: 'Fighter',
+      color: '#ff5aa8',
+      score: 150,
+      contactDamage: 25,
+      squad: { pattern: 'v', count: 5, spacing: 55, speed: 70, diveAfter: 3 }
+    },
+    health: { max: 20 },
+    body: { mass: 1, linearDamping: 1, angularDamping: 1 },
+    collider: { layer: 'enemy', radius: 16 },
+    steering: { maxSpeed: 220, diveSpeed: 300, turnRate: 3 },
+    weapon: { interval: 1.6, speed: 320, damage: 8, cone: 0.35 },
+    despawnBelow: { margin: 60 },
+    lifetime: { duration: 30, age: 0 },
+    sprite: { kind: 'enemy', shape: 'dart' }
+  },
+
+  interceptor: {
+    enemy: {
+      name: 'Interceptor',
+      color: '#00ff88',
+      score: 200,
+      contactDamage: 20,
+      squad: { pattern: 'wave', count: 4, spacing: 70, speed: 90, diveAfter: 2 }
+    },
+    health: { max: 12 },
+    body: { mass: 0.6, linearDamping: 1, angularDamping: 1 },
+    collider: { layer: 'enemy', radius: 13 },
+    steering: { maxSpeed: 300, diveSpeed: 420, turnRate: 4.5 },
+    weapon: { interval: 2.2, speed: 380, damage: 6, cone: 0.25 },
+    despawnBelow: { margin: 60 },
+    lifetime: { duration: 30, age: 0 },
+    sprite: { kind: 'enemy', shape: 'dart' }
+  },
+
+  gunship: {
+    enemy: {
+      name: 'Gunship',
+      color: '#ffb800',
+      score: 350,
+      contactDamage: 35,
+      squad: { pattern: 'line', count: 3, spacing: 140, speed: 35, diveAfter: null }
+    },
+    health: { max: 60 },
+    body: { mass: 3, linearDamping: 1, angularDamping: 1 },
+    collider: { layer: 'enemy', radius: 26 },
+    steering: { maxSpeed: 120, turnRate: 0, faceTarget: true },
+    weapon: { interval: 1.8, speed: 260, damage: 10, cone: Math.PI },
+    despawnBelow: { margin: 60 },
+    lifetime: { duration: 40, age: 0 },
+    sprite: { kind: 'enemy', shape: 'gunship' }
+  }
+};
+
+/**
+ * Formation layouts: (index, count, spacing) => slot offset from the squad's anchor
+ * Negative y is further back (above) in the formation.
+ */
+export const FORMATIONS = {
+  // Leader in front, wingmen alternating left/right behind
+  v(i, count, spacing) {
+    const rank = Math.ceil(i / 2);
+    const side = i % 2 === 1 ? -1 : 1;
+    return { x: side * rank * spacing, y: -rank * spacing * 0.8 };
+  },
+
+  // Abreast, centred on the anchor
+  line(i, count, spacing) {
+    return { x: (i - (count - 1) / 2) * spacing, y: 0 };
+  },
+
+  // Single file
+  column(i, count, spacing) {
+    return { x: 0, y: -i * spacing };
+  },
+
+  // Abreast, swaying side to side as it advances (see formation.sway)
+  wave(i, count, spacing) {
+    return { x: (i - (count - 1) / 2) * spacing, y: -(i % 2) * spacing * 0.5 };
+  }
+};
+
+// Sideways sway (pixels) of 'wave' formations
+export const FORMATION_SWAY = 80;
+
+/**
+ * Add every enemy prefab to a world
+ */
+export function registerEnemyPrefabs(world) {
+  Object.entries(ENEMY_PREFABS).forEach(([name, components]) => {
+    world.registerPrefab(name, components);
+  });
+}
@@ -1,27 +1,65 @@
 import { Spaceship } from './Spaceship.js';
 import { Asteroid, Projectile, PowerUp } from './GameObjects.js';
 import { CollisionSystem } from './Collision.js';
+import { SpatialHash } from './SpatialHash.js';
+import { ObjectPool } from './Pool.js';
+import { World } from './ECS.js';
+import { registerCoreSystems } from './Systems.js';
+import { registerHazardPrefabs } from './Hazards.js';
+import { registerBossPrefabs, BOSS_PREFABS, BOSS_ROTATION } from './Bosses.js';
+import { registerEnemyPrefabs, FORMATIONS, FORMATION_SWAY } from './Enemies.js';
+import { createUpgradeRanks, drawUpgradeChoices } from './Upgrades.js';
+import { HULLS, DEFAULT_HULL, getHull } from './Hulls.js';
+import { MODES, ARENAS, DEFAULT_MODE, DEFAULT_ARENA } from './Modes.js';
+import { ABILITIES, ABILITY_KEYS, createAbilitySlots } from './Abilities.js';
+import { POWER_UPS } from './PowerUps.js';
+import { ASTEROID_VARIANTS, CHAIN_LIMITS, CHAIN_KILL_SCORE, CHAIN_DISPLAY_TIME, getChainBonus } from './Chains.js';
+import { DEFAULT_LANES, LANE_SHIFT_DEFAULTS, LANE_PUSH_SPEED, validateLaneConfig, createLaneLayout, planLaneShift, getNearestLane } from './Lanes.js';
+import { WEAPONS, MAX_WEAPON_LEVEL, createWeaponSlot, getWeaponLevelMultiplier, registerWeaponPrefabs } from './Weapons.js';
+import { createEndlessLevel, validateLevel, normalizeLevel, rateObjective } from './Levels.js';
 import { ParticleSystem, StarField } from './Effects.js';
 import { Vector2D } from './Vector2D.js';
+import { SeededRandom } from './Random.js';
+import { ReplayRecorder, ReplayPlayer } from './Replay.js';
+import { CanvasRenderer, NullRenderer } from './Renderer.js';
+import { DOMInput } from './Input.js';
 
 console.log('[GameEngine.js] Module loaded');
 
+// High-resolution clock for the frame-time readout (browser and Node)
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
 /**
  * Main Game Engine
- * Handles physics, rendering, game logic
+ * Handles physics and game logic; drawing and input are pluggable so the
+ * simulation can run headless (pass a null canvas, e.g. in Node)
  */
 export class GameEngine {
+  /**
+   * @param {HTMLCanvasElement|null} canvas - Target canvas, or null for a headless engine
+   * @param {Object} [config] - Game settings (see this.config), plus:
+   * @param {Object} [config.renderer] - Renderer override (defaults to CanvasRenderer, or NullRenderer when headless)
+   * @param {Object} [config.input] - Input source (defaults to DOMInput; see ScriptedInput for headless runs)
+   * @param {number} [config.width] - Simulation width when headless
+   * @param {number} [config.height] - Simulation height when headless
+   */
   constructor(canvas, config = {}) {
     console.log('[GameEngine] Constructor called with config:', config);
+    // Renderer and input are objects, not settings - keep them out of config (and replays)
+    const { renderer, input, ...settings } = config;
+    config = settings;
+
     this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
-    this.width = canvas.width;
-    this.height = canvas.height;
+    this.renderer = renderer || (canvas ? new CanvasRenderer(canvas) : new NullRenderer());
+    this.ctx = this.renderer.ctx;
+    this.width = canvas ? canvas.width : (config.width || 960);
+    this.height = canvas ? canvas.height : (config.height || 540);
     console.log('[GameEngine] Canvas dimensions:', this.width, 'x', this.height);
 
     // Game state
-    this.state = 'menu'; // menu, playing, paused, gameover
+    this.state = 'menu'; // menu, playing, paused, levelup (choosing an upgrade), gameover, complete (level objective met)
     this.score = 0;
+    this.scoreBreakdown = { lanes: [], kills: { kills: 0, points: 0 }, other: 0 }; // Where the score came from (see creditKill())
     this.wave = 1;
     this.kills = 0;
     this.time = 0;
@@ -32,18 +70,39 @@ export class GameEngine {
     this.projectiles = [];
     this.powerUps = [];
 
+    // Seeded random source - every gameplay roll goes through this.rng so the
+    // same seed and inputs reproduce the same run. Cosmetic effects use a fork
+    // so toggling them never shifts the gameplay sequence.
+    this.seed = SeededRandom.normalizeSeed(config.seed ?? SeededRandom.randomSeed());
+    this.rng = new SeededRandom(this.seed);
+    this.fxRng = this.rng.fork(1);
+
     // Systems
-    this.particles = new ParticleSystem();
+    this.particles = new ParticleSystem(this.fxRng);
     this.starField = new StarField(this.width, this.height, 150);
     this.collision = new CollisionSystem();
 
     // Input handling
     this.keys = {};
-    this.mouse = { x: 0, y: 0, down: false };
+    this.mouse = { x: 0, y: 0, down: false, pressed: false };
 
     // Game settings
     this.config = {
-      mode: 'lane-shooter', // 'lane-shooter' or 'space-sim'
+      mode: DEFAULT_MODE, // 'lane-shooter' or 'space-sim' (see Modes.js)
+      arena: DEFAULT_ARENA, // Space-sim edges: 'wrap' or 'bounded'
+      seed: null, // Fixed run seed (number or string); null picks a fresh seed per run
+      recordReplay: true, // Record per-frame input so the run can be replayed
+      fixedTimeStep: 1 / 60, // Simulation step (seconds), independent of display refresh rate
+      maxStepsPerFrame: 5, // Catch-up limit - longer stalls are dropped instead of simulated
+      broadphaseCellSize: 100, // Spatial hash cell size (pixels)
+      stressAsteroids: 0, // Stress mode: keep this many asteroids alive (player can't die)
+      asteroidCollisions: true, // Asteroids bounce off each other (see collideAsteroids)
+      asteroidImpactThreshold: 120, // Collision impulse above which rocks crack each other
+      asteroidImpactDamage: 0.3, // Damage per unit of impulse above the threshold (x inverse mass)
+      projectileKnockback: 3, // Impulse per point of damage a shot pushes a rock with
+      level: null, // Level definition (see Levels.js); null uses the endless level tuned below
+      loadout: null, // Hangar bonuses { weapon, hullBonus, shieldBonus } (see Hangar.js); null = stock ship
+      hull: DEFAULT_HULL, // Ship flown (see Hulls.js)
       asteroidSpawnRate: 2.0, // seconds
       asteroidSpawnIncrease: 0.85, // multiply each wave
       powerUpChance: 0.15,
@@ -51,20 +110,60 @@ export class GameEngine {
       scrollSpeed: 50,
       difficultyMultiplier: 1.0,
       bossWaveInterval: 5, // Boss every N waves
+      upgradeChoices: 3, // Upgrade cards offered per level-up
       fixedPlayerY: null, // Will be set on start for lane-shooter mode
       // Lane-shooter movement tuning
       maxSpeedX: 450, // Max horizontal velocity (pixels/sec)
       accelX: 2800, // Acceleration when input pressed
       decelX: 2000, // Deceleration when input released
       frictionX: 0.92, // Velocity damping per frame (when no input)
-      laneCount: 3,
-      lanePadding: 120,
+      lanes: DEFAULT_LANES, // Lane count, spawn weights and score multipliers (see Lanes.js)
       ...config
     };
 
-    // Calculate lane positions
-    const laneSpacing = (this.width - this.config.lanePadding * 2) / (this.config.laneCount - 1);
-    this.lanes = Array.from({ length: this.config.laneCount }, (_, i) => this.config.lanePadding + laneSpacing * i);
+    // Snapshot of tunables that runs modify (wave scaling, speed power-ups)
+    this.baseConfig = { ...this.config };
+
+    // Persistent broadphase for asteroid/projectile/power-up/hazard checks,
+    // updated incrementally as entities move, spawn and despawn
+    this.broadphase = new SpatialHash(this.config.broadphaseCellSize);
+    this.queryBuffer = [];
+
+    // Pools for short-lived objects; removed entities are returned at the end
+    // of the step so references held during the step stay valid
+    this.pools = {
+      projectile: new ObjectPool('projectile',
+        () => new Projectile(Vector2D.zero(), Vector2D.zero(), 0),
+        { reset: (proj, ...args) => proj.reset(...args), prewarm: 64 }
+      ),
+      asteroid: new ObjectPool('asteroid',
+        () => new Asteroid(0, 0, 'small'),
+        { reset: (asteroid, ...args) => asteroid.reset(...args), prewarm: 32 }
+      ),
+      floatingText: new ObjectPool('floatingText', () => ({}), {
+        reset: (text, x, y, content, color, size) => {
+          text.x = x;
+          text.y = y;
+          text.text = content;
+          text.color = color;
+          text.size = size;
+          text.alpha = 1.0;
+          text.velocityY = -40; // Float upward slower
+          text.lifetime = 2.0; // Stay longer
+          text.age = 0;
+        },
+        maxSize: 100
+      })
+    };
+
+    // Live lane layout; wave events can merge, split, narrow or close lanes
+    // during a run (see LANE_SHIFTS). this.lanes mirrors the x positions.
+    this.laneSystem = {
+      layout: [],
+      shift: null, // Active shift: { type, lanes, warning, duration, elapsed, from, to, final }
+      queue: [] // Shift events waiting for the active one to finish
+    };
+    this.resetLanes();
     
     // Lane-shooter movement state
     this.laneMovement = {
@@ -78,17 +177,29 @@ export class GameEngine {
       floatingTexts: [], // For score popups, notifications
       damageFlash: { active: false, alpha: 0, timer: 0 },
       shieldPulse: { active: false, alpha: 0, timer: 0 },
-      powerUpTimers: {}, // Track active power-up durations
+      powerUpTimers: {}, // Timed power-up effects by type: { timer, duration, stacks } (see PowerUps.js)
       debugMode: false, // Toggle with F12
+      debugHulls: false, // Collision shapes in the debug view (F12 again)
       fps: 0,
       frameCount: 0,
       fpsTimer: 0
     };
 
+    // Fixed-step loop state (see advance())
+    this.simulationLoop = {
+      accumulator: 0,
+      alpha: 1 // Interpolation factor between the previous and current step
+    };
+
     // Timers
     this.asteroidSpawnTimer = 0;
     this.waveTimer = 0;
-    this.waveInterval = 30; // seconds per wave
+
+    // Active level and the current wave's settings (see beginWave())
+    this.level = null;
+    this.waveSettings = null;
+    this.waveEvents = []; // Remaining timed events of the current wave
+    this.objective = null; // Progress towards the level's objective (campaign sectors)
 
     // Advanced game systems
     this.comboSystem = {
@@ -101,147 +212,232 @@ export class GameEngine {
 
     this.bossSystem = {
       active: false,
-      boss: null,
+      boss: null, // World entity (see Bosses.js); BossSystem keeps these fields current
       phase: 1,
-      maxPhases: 3
+      maxPhases: 3,
+      encounters: 0 // Bosses spawned this run (picks the next archetype)
     };
 
     this.weaponSystem = {
+      baseWeapon: 'default', // Hangar starting weapon - always carried, never runs out
       currentWeapon: 'default',
-      weapons: {
-        default: { damage: 10, fireRate: 0.2, projectileSpeed: 800, color: '#00f0ff' },
-        laser: { damage: 5, fireRate: 0.05, projectileSpeed: 1000, color: '#ff00ff', duration: 15 },
-        missile: { damage: 30, fireRate: 0.5, projectileSpeed: 600, color: '#ff6600', homing: true, duration: 20 },
-        shotgun: { damage: 8, fireRate: 0.4, projectileSpeed: 700, color: '#ffff00', spread: 3, duration: 18 }
-      },
-      activeWeaponTimer: 0
+      weapons: WEAPONS,
+      inventory: {}, // Carried weapons by id, in pickup order: { level, ammo, heat, overheated } (see Weapons.js)
+      charge: 0, // Seconds the fire button has been held with a charge weapon
+      cycleHeld: 0, // Weapon cycle input last step (1 next, -1 previous) - switching is per key press
+      beam: null // Last beam shot { x1, y1, x2, y2, color, timer, duration } for the renderer
+    };
+
+    this.abilitySystem = {
+      slots: [], // The hull's active abilities { id, cooldown } on ABILITY_KEYS (see Abilities.js)
+      held: [], // Ability keys held last step - each press triggers once
+      dash: null, // Lane dash in progress { toX, velocity, timer }
+      timeScale: 1, // Speed of everything but the player (time-slow)
+      timeSlowTimer: 0,
+      pulse: null // Last EMP ring { x, y, radius, color, timer, duration } for the renderer
     };
 
     this.upgradeSystem = {
       level: 1,
       experience: 0,
       experienceToNext: 100,
-      skillPoints: 0,
-      upgrades: {
-        damage: 0,
-        fireRate: 0,
-        health: 0,
-        speed: 0,
-        shield: 0
-      }
+      skillPoints: 0, // Level-ups not yet spent on an upgrade
+      upgrades: createUpgradeRanks(), // Rank taken of each UPGRADE_TREE entry
+      choices: [], // Cards on offer while state is 'levelup'
+      history: [] // Upgrades taken this run, in order (run summary)
     };
 
+    // Entity/component/system world - hazards (and any type registered as a
+    // prefab plus systems) live here and are stepped by world.update()
+    this.world = new World(this);
+    registerCoreSystems(this.world);
+    registerHazardPrefabs(this.world);
+    registerBossPrefabs(this.world);
+    registerEnemyPrefabs(this.world);
+    registerWeaponPrefabs(this.world);
+
     // Environmental hazards
-    this.hazards = [];
     this.hazardSpawnTimer = 0;
     this.hazardSpawnInterval = 15; // seconds
 
-    // Chain reaction system
-    this.chainReactions = [];
+    // Chain reactions (see Chains.js): queued blasts in simulation time,
+    // the chain the HUD shows and the run's longest chain
+    this.chainSystem = { detonations: [], display: null, displayTimer: 0, best: 0 };
+
+    // Extra Life power-ups held (each one revives the ship once)
+    this.extraLives = 0;
+
+    // Replay system - recorder for live runs, player for playback. While a
+    // replay is loaded, `saved` keeps the viewer's own config (see endReplay)
+    this.replaySystem = {
+      recorder: null,
+      player: null,
+      saved: null
+    };
 
     // Performance monitoring
     this.fps = 60;
     this.frameCount = 0;
     this.lastFpsUpdate = 0;
+    this.perf = {
+      simulationMs: 0, // Time spent in update() for the last frame
+      renderMs: 0,
+      steps: 0
+    };
 
     // Camera shake
     this.shake = { x: 0, y: 0, intensity: 0, duration: 0 };
 
     // Setup
     this.setupPlayer();
-    this.bindInput();
+    this.input = input || (canvas ? new DOMInput(canvas) : null);
+    if (this.input) {
+      this.input.attach(this);
+    }
   }
 
   /**
-   * Initialize player spaceship
+   * Initialize player spaceship from the chosen hull, with the hangar loadout's bonuses
    */
   setupPlayer() {
+    const loadout = this.config.loadout || {};
+    const hull = getHull(this.config.hull);
     this.player = new Spaceship(this.width / 2, this.height - 100, {
-      width: 40,
-      height: 50,
-      mass: 1.5,
-      thrustPower: 800,
-      lateralThrustPower: 600,
-      maxSpeed: 500,
-      health: 100,
-      color: '#00f0ff'
+      ...hull.stats,
+      health: hull.stats.health + (loadout.hullBonus || 0),
+      color: hull.color,
+      sprite: hull.sprite,
+      outline: hull.outline,
+      upright: this.config.mode !== 'space-sim',
+      invulnerabilityTime: hull.ability.invulnerabilityTime
     });
+
+    if (loadout.shieldBonus) {
+      this.player.shield.maxStrength += loadout.shieldBonus;
+      this.player.shield.strength = this.player.shield.maxStrength;
+    }
   }
 
   /**
-   * Bind keyboard and mouse input
+   * Set the hull flown from the next run on
+   * @param {string} id - HULLS key
+   * @returns {boolean} False if there is no such hull
    */
-  bindInput() {
-    window.addEventListener('keydown', (e) => {
-      this.keys[e.key.toLowerCase()] = true;
-      
-      // Toggle debug mode with F12
-      if (e.key === 'F12') {
-        e.preventDefault();
-        this.uiSystem.debugMode = !this.uiSystem.debugMode;
-        console.log('[Engine] Debug mode:', this.uiSystem.debugMode);
-      }
-      
-      // Prevent default for game keys
-      if (['w', 'a', 's', 'd', ' ', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright'].includes(e.key.toLowerCase())) {
-        e.preventDefault();
-      }
-    });
+  setHull(id) {
+    if (!Object.hasOwn(HULLS, id)) {
+      console.error('[Engine] Unknown hull:', id);
+      return false;
+    }
+    this.getLiveConfigs().forEach(config => { config.hull = id; });
+    return true;
+  }
 
-    window.addEventListener('keyup', (e) => {
-      this.keys[e.key.toLowerCase()] = false;
-    });
+  /**
+   * Configs the next live run starts from: the viewer's saved ones while a
+   * replay is loaded, so picks made during playback outlast it (see endReplay)
+   * @returns {Object[]} [config, baseConfig]
+   */
+  getLiveConfigs() {
+    const saved = this.replaySystem.saved;
+    return saved ? [saved.config, saved.baseConfig] : [this.config, this.baseConfig];
+  }
 
-    this.canvas.addEventListener('mousemove', (e) => {
-      const rect = this.canvas.getBoundingClientRect();
-      this.mouse.x = e.clientX - rect.left;
-      this.mouse.y = e.clientY - rect.top;
+  /**
+   * Set the game mode used from the next run on
+   * @param {string} mode - MODES key
+   * @param {string} [arena] - ARENAS key (space-sim edges)
+   * @returns {boolean} False if the mode or arena is unknown
+   */
+  setMode(mode, arena = this.getLiveConfigs()[0].arena) {
+    if (!Object.hasOwn(MODES, mode) || !Object.hasOwn(ARENAS, arena)) {
+      console.error('[Engine] Unknown mode:', mode, arena);
+      return false;
+    }
+    this.getLiveConfigs().forEach(config => {
+      config.mode = mode;
+      config.arena = arena;
     });
+    return true;
+  }
 
-    this.canvas.addEventListener('mousedown', (e) => {
-      this.mouse.down = true;
-      if (this.state === 'playing') {
-        this.playerFire();
-      }
-    });
+  /**
+   * Keep a body inside the space-sim arena: wrap it to the opposite edge or
+   * bounce it off the walls, depending on config.arena
+   */
+  confineToArena(body, width, height = width, restitution = 0.8) {
+    if (this.config.arena === 'wrap') {
+      CollisionSystem.wrapAround(body.position, width, height, this.width, this.height);
+    } else {
+      CollisionSystem.bounceOffBounds(body, width, height, this.width, this.height, restitution);
+    }
+  }
 
-    this.canvas.addEventListener('mouseup', () => {
-      this.mouse.down = false;
-    });
+  /**
+   * Space-sim spawn point just outside a random edge, heading into the arena
+   * Points near the player are mirrored to the far side.
+   * @param {number} offset - Distance outside the edge
+   * @returns {Object} { x, y, angle }
+   */
+  getArenaSpawn(offset) {
+    let x;
+    let y;
+    switch (Math.floor(this.rng.next() * 4)) {
+      case 0: x = this.rng.next() * this.width; y = -offset; break;
+      case 1: x = this.width + offset; y = this.rng.next() * this.height; break;
+      case 2: x = this.rng.next() * this.width; y = this.height + offset; break;
+      default: x = -offset; y = this.rng.next() * this.height;
+    }
 
-    // Touch support
-    this.canvas.addEventListener('touchstart', (e) => {
-      e.preventDefault();
-      const rect = this.canvas.getBoundingClientRect();
-      const touch = e.touches[0];
-      this.mouse.x = touch.clientX - rect.left;
-      this.mouse.y = touch.clientY - rect.top;
-      this.mouse.down = true;
-      if (this.state === 'playing') {
-        this.playerFire();
-      }
-    });
+    if (this.player && Math.hypot(x - this.player.position.x, y - this.player.position.y) < 200) {
+      x = this.width - x;
+      y = this.height - y;
+    }
 
-    this.canvas.addEventListener('touchend', (e) => {
-      e.preventDefault();
-      this.mouse.down = false;
-    });
+    // Aim somewhere in the middle of the arena
+    const targetX = this.width * (0.25 + this.rng.next() * 0.5);
+    const targetY = this.height * (0.25 + this.rng.next() * 0.5);
+    return { x, y, angle: Math.atan2(targetY - y, targetX - x) };
+  }
+
+  /**
+   * Set the lane layout (lane-shooter mode)
+   * @param {Object} lanes - { count, padding, spawnWeights, scoreMultipliers } (see createLaneConfig)
+   * @returns {boolean} False if the config is invalid
+   */
+  setLanes(lanes) {
+    const errors = validateLaneConfig(lanes);
+    if (errors.length > 0) {
+      console.error('[Engine] Invalid lane config:', errors);
+      return false;
+    }
+    this.getLiveConfigs().forEach(config => { config.lanes = lanes; });
+    if (!this.replaySystem.saved) {
+      this.resetLanes();
+    }
+    return true;
+  }
+
+  /**
+   * Set the hangar loadout used from the next run on
+   * @param {Object|null} loadout - { weapon, hullBonus, shieldBonus } from createLoadout(), or null for the stock ship
+   * @returns {boolean} False if the starting weapon is unknown
+   */
+  setLoadout(loadout) {
+    if (loadout && loadout.weapon && !this.weaponSystem.weapons[loadout.weapon]) {
+      console.error('[Engine] Unknown starting weapon:', loadout.weapon);
+      return false;
+    }
+    this.getLiveConfigs().forEach(config => { config.loadout = loadout; });
+    return true;
   }
 
   /**
    * UI Helper: Create floating text notification
    */
   createFloatingText(x, y, text, color = '#ffaa00', size = 20) {
-    this.uiSystem.floatingTexts.push({
-      x, y,
-      text,
-      color,
-      size,
-      alpha: 1.0,
-      velocityY: -40, // Float upward slower
-      lifetime: 2.0, // Stay longer
-      age: 0
-    });
+    this.uiSystem.floatingTexts.push(
+      this.pools.floatingText.acquire(x, y, text, color, size)
+    );
   }
 
   /**
@@ -268,6 +464,22 @@ export class GameEngine {
   handleInput(deltaTime) {
     if (!this.player || this.state !== 'playing') return;
 
+    // Cycle weapons (Q next, Z previous), once per key press
+    const cycle = (this.keys['q'] ? 1 : 0) - (this.keys['z'] ? 1 : 0);
+    if (cycle !== 0 && cycle !== this.weaponSystem.cycleHeld) {
+      this.cycleWeapon(cycle);
+    }
+    this.weaponSystem.cycleHeld = cycle;
+
+    // Active abilities, once per key press
+    ABILITY_KEYS.forEach((key, index) => {
+      const held = !!this.keys[key];
+      if (held && !this.abilitySystem.held[index]) {
+        this.useAbility(index);
+      }
+      this.abilitySystem.held[index] = held;
+    });
+
     if (this.config.mode === 'lane-shooter') {
       // Lane shooter mode: responsive velocity-based horizontal movement
       
@@ -318,9 +530,22 @@ export class GameEngine {
       const maxSpeed = this.config.maxSpeedX;
       this.player.velocity.x = Math.max(-maxSpeed, Math.min(maxSpeed, this.player.velocity.x));
 
-      // Fire weapon (spacebar or mouse)
-      if (this.keys[' '] || this.mouse.down) {
-        this.playerFire();
+      // A dash overrides steering until the ship reaches its lane
+      if (this.abilitySystem.dash) {
+        this.player.velocity.x = this.abilitySystem.dash.velocity;
+      }
+
+      // A closed lane shoves the ship towards the nearest open one
+      const push = this.getLanePush();
+      if (push !== null) {
+        this.player.velocity.x = push;
+      }
+
+      // Fire weapon (spacebar or mouse); charge weapons fire on release
+      if (this.keys[' '] || this.mouse.down || this.mouse.pressed) {
+        this.pullTrigger(deltaTime);
+      } else {
+        this.releaseTrigger();
       }
 
       // Shield toggle
@@ -388,8 +613,10 @@ export class GameEngine {
       }
 
       // Fire weapon
-      if (this.keys[' '] || this.mouse.down) {
-        this.playerFire();
+      if (this.keys[' '] || this.mouse.down || this.mouse.pressed) {
+        this.pullTrigger(deltaTime);
+      } else {
+        this.releaseTrigger();
       }
 
       // Shield toggle
@@ -401,53 +628,314 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Use the ability in a slot: needs it off cooldown and enough shared energy
+   * (the shield's strength)
+   * @param {number} index - Slot (ABILITY_KEYS order)
+   * @returns {boolean} True if the ability fired
+   */
+  useAbility(index) {
+    const slot = this.abilitySystem.slots[index];
+    if (!slot || !this.player || slot.cooldown > 0) return false;
+
+    const ability = ABILITIES[slot.id];
+    const shield = this.player.shield;
+    if (shield.strength < ability.energy) {
+      this.createFloatingText(this.player.position.x, this.player.position.y - 50, 'LOW ENERGY', '#ff6600', 16);
+      return false;
+    }
+
+    let used = false;
+    switch (ability.type) {
+      case 'dash':
+        used = this.dash(ability);
+        break;
+      case 'emp':
+        used = this.empBlast(ability);
+        break;
+      case 'timeSlow':
+        this.abilitySystem.timeScale = ability.timeScale;
+        this.abilitySystem.timeSlowTimer = ability.duration;
+        used = true;
+        break;
+    }
+    if (!used) return false;
+
+    shield.strength -= ability.energy;
+    if (shield.strength <= 0) shield.active = false;
+    slot.cooldown = ability.cooldown;
+    this.createFloatingText(this.player.position.x, this.player.position.y - 50, ability.name.toUpperCase(), ability.color, 18);
+    return true;
+  }
+
+  /**
+   * Dash ability: to the next lane in the held direction (lane-shooter) or a
+   * burst of speed (space-sim), with a moment of invulnerability
+   * @returns {boolean} False if there is nowhere to dash to
+   */
+  dash(ability) {
+    const player = this.player;
+    const direction = (this.keys['a'] || this.keys['arrowleft'] ? -1 : 0) + (this.keys['d'] || this.keys['arrowright'] ? 1 : 0);
+
+    if (this.config.mode === 'lane-shooter') {
+      if (direction === 0) return false;
+      const x = player.position.x;
+      const lanes = this.laneSystem.layout
+        .filter(lane => lane.open && (direction > 0 ? lane.x > x + 10 : lane.x < x - 10))
+        .map(lane => lane.x);
+      if (lanes.length === 0) return false;
+
+      const toX = direction > 0 ? Math.min(...lanes) : Math.max(...lanes);
+      this.abilitySystem.dash = { toX, velocity: (toX - x) / ability.duration, timer: ability.duration };
+    } else {
+      const heading = direction !== 0
+        ? Vector2D.multiply(player.getRightVector(), direction)
+        : player.getForwardVector();
+      player.velocity.add(heading.multiply(ability.speed));
+    }
+
+    player.invulnerable = true;
+    player.invulnerabilityTimer = Math.max(player.invulnerabilityTimer, ability.invulnerability);
+    this.particles.createThrust(player.position.x, player.position.y, direction > 0 ? Math.PI : 0, ability.color);
+    return true;
+  }
+
+  /**
+   * EMP ability: destroys asteroids of the ability's sizes and enemy fire around the ship
+   * @returns {boolean} Always true - the blast goes off even with nothing in range
+   */
+  empBlast(ability) {
+    const { x, y } = this.player.position;
+    const center = this.player.position.clone();
+
+    // Own result array - destroying asteroids re-enters the broadphase
+    this.broadphase.query(x, y, ability.radius, 'asteroid').forEach(asteroid => {
+      if (!this.asteroids.includes(asteroid) || !ability.sizes.includes(asteroid.size)) return;
+      if (Vector2D.distance(center, asteroid.position) > ability.radius + asteroid.radius) return;
+      this.destroyAsteroid(asteroid);
+    });
+
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const proj = this.projectiles[i];
+      if (!proj.hostile || Vector2D.distance(center, proj.position) > ability.radius) continue;
+      this.particles.createShieldHit(proj.position.x, proj.position.y, ability.color);
+      this.removeEntity('projectile', proj, i);
+    }
+
+    this.abilitySystem.pulse = { x, y, radius: ability.radius, color: ability.color, timer: 0.4, duration: 0.4 };
+    this.screenShake(6, 0.2);
+    return true;
+  }
+
+  /**
+   * Tick ability cooldowns, a dash in progress, time-slow and the EMP ring
+   */
+  updateAbilities(deltaTime) {
+    const abilities = this.abilitySystem;
+    abilities.slots.forEach(slot => {
+      slot.cooldown = Math.max(0, slot.cooldown - deltaTime);
+    });
+
+    if (abilities.dash) {
+      abilities.dash.timer -= deltaTime;
+      if (abilities.dash.timer <= 0) {
+        this.player.position.x = abilities.dash.toX;
+        this.player.velocity.x = 0;
+        abilities.dash = null;
+      }
+    }
+
+    if (abilities.timeSlowTimer > 0) {
+      abilities.timeSlowTimer -= deltaTime;
+      if (abilities.timeSlowTimer <= 0) {
+        abilities.timeSlowTimer = 0;
+        abilities.timeScale = 1;
+      }
+    }
+
+    if (abilities.pulse) {
+      abilities.pulse.timer -= deltaTime;
+      if (abilities.pulse.timer <= 0) abilities.pulse = null;
+    }
+  }
+
   getCurrentLane() {
-    if (!this.player) return 1; // Default to middle lane
-    
-    const playerX = this.player.position.x;
-    let closestLane = 0;
-    let minDist = Infinity;
-    
-    this.lanes.forEach((laneX, index) => {
-      const dist = Math.abs(playerX - laneX);
-      if (dist < minDist) {
-        minDist = dist;
-        closestLane = index;
+    if (!this.player) return Math.floor((this.lanes.length - 1) / 2); // Default to middle lane
+    return getNearestLane(this.lanes, this.player.position.x);
+  }
+
+  /**
+   * Score multiplier for a lane (defaults to the player's current lane)
+   */
+  getLaneScoreMultiplier(lane = this.getCurrentLane()) {
+    if (this.config.mode !== 'lane-shooter') return 1;
+    return this.laneSystem.layout[lane]?.scoreMultiplier ?? 1;
+  }
+
+  /**
+   * Back to the configured lane layout, dropping any shifts in progress
+   */
+  resetLanes() {
+    this.laneSystem.layout = createLaneLayout(this.config.lanes, this.width);
+    this.laneSystem.shift = null;
+    this.laneSystem.queue = [];
+    this.lanes = this.laneSystem.layout.map(lane => lane.x);
+  }
+
+  /**
+   * Stretch the live lane layout to a new canvas width
+   * @param {number} ratio - New width / old width
+   */
+  scaleLanes(ratio) {
+    const { layout, shift } = this.laneSystem;
+    layout.forEach(lane => { lane.x *= ratio; });
+    if (shift && shift.from) {
+      shift.from.forEach(lane => { lane.x *= ratio; });
+      shift.final.forEach(lane => { lane.x *= ratio; });
+      shift.to = shift.to.map(x => x * ratio);
+    }
+    this.lanes = layout.map(lane => lane.x);
+  }
+
+  /**
+   * Queue a scripted lane shift ({ lanes: <shift>, lane, warning, duration, amount })
+   * Shifts run one at a time: telegraphed, then animated (see updateLanes())
+   */
+  queueLaneShift(event) {
+    if (this.config.mode !== 'lane-shooter') return;
+    this.laneSystem.queue.push(event);
+  }
+
+  /**
+   * Advance lane shifts and push the ship out of closed lanes
+   */
+  updateLanes(deltaTime) {
+    const lanes = this.laneSystem;
+
+    // Next queued shift; skipped if it can't happen in the current layout
+    while (!lanes.shift && lanes.queue.length > 0) {
+      const event = lanes.queue.shift();
+      const plan = planLaneShift(lanes.layout, event, { lane: this.getCurrentLane(), config: this.config.lanes, width: this.width });
+      if (!plan) continue;
+      lanes.shift = {
+        type: event.lanes,
+        ...plan,
+        warning: event.warning ?? LANE_SHIFT_DEFAULTS.warning,
+        duration: event.duration ?? LANE_SHIFT_DEFAULTS.duration,
+        elapsed: 0
+      };
+    }
+
+    const shift = lanes.shift;
+    if (shift) {
+      if (shift.warning > 0) {
+        shift.warning -= deltaTime;
+      } else {
+        // Lanes slide from their old to their new positions
+        shift.elapsed += deltaTime;
+        const t = Math.min(1, shift.elapsed / shift.duration);
+        lanes.layout = shift.from.map((lane, i) => ({ ...lane, x: lane.x + (shift.to[i] - lane.x) * t }));
+        if (t >= 1) {
+          lanes.layout = shift.final;
+          lanes.shift = null;
+        }
+        this.lanes = lanes.layout.map(lane => lane.x);
       }
+    }
+  }
+
+  /**
+   * Sideways velocity pushing the ship out of a closed lane, or null if it's in an open one
+   */
+  getLanePush() {
+    const layout = this.laneSystem.layout;
+    const x = this.player.position.x;
+    if (layout[getNearestLane(this.lanes, x)].open) return null;
+
+    let target = null;
+    layout.forEach(lane => {
+      if (lane.open && (target === null || Math.abs(lane.x - x) < Math.abs(target - x))) target = lane.x;
     });
-    
-    return closestLane;
+    return target === null ? null : Math.sign(target - x) * LANE_PUSH_SPEED;
+  }
+
+  /**
+   * Fire button held: charge weapons build up charge, the rest fire when ready
+   */
+  pullTrigger(deltaTime) {
+    const weapon = this.weaponSystem.weapons[this.weaponSystem.currentWeapon];
+    if (!weapon.chargeTime) {
+      this.playerFire();
+      return;
+    }
+    if (this.player.weapons.cooldown > 0) return;
+    this.weaponSystem.charge = Math.min(weapon.chargeTime, this.weaponSystem.charge + deltaTime);
+  }
+
+  /**
+   * Fire button released: let go of a charged shot
+   */
+  releaseTrigger() {
+    if (this.weaponSystem.charge <= 0) return;
+
+    const weapon = this.weaponSystem.weapons[this.weaponSystem.currentWeapon];
+    const charge = this.weaponSystem.charge / weapon.chargeTime;
+    this.weaponSystem.charge = 0;
+    this.playerFire(charge);
   }
 
   /**
    * Player fires weapon (simplified for lane-shooter)
+   * @param {number} [charge=0] - How fully a charge weapon was charged (0-1)
    */
-  playerFire() {
+  playerFire(charge = 0) {
     const weaponType = this.weaponSystem.currentWeapon;
     const weapon = this.weaponSystem.weapons[weaponType];
+    const slot = this.weaponSystem.inventory[weaponType];
+    if (slot.overheated) return;
 
-    // Use player's fireRate for the current weapon
-    this.player.weapons.fireRate = weapon.fireRate;
+    const upgrades = this.upgradeSystem.upgrades;
+
+    // Use player's fireRate for the current weapon (hull abilities can speed it up)
+    const ability = getHull(this.config.hull).ability;
+    const overdrive = ability.fireRateBonus && this.comboSystem.count >= ability.minCombo ? 1 + ability.fireRateBonus : 1;
+    this.player.weapons.fireRate = Math.max(0.04, weapon.fireRate * Math.pow(0.95, upgrades.fireRate) / overdrive);
 
     const projectileData = this.player.fire();
     if (!projectileData) return;
 
-    const baseDamage = weapon.damage * (1 + this.upgradeSystem.upgrades.damage * 0.1);
+    const damage = weapon.chargeTime ? weapon.damage + (weapon.maxDamage - weapon.damage) * charge : weapon.damage;
+    let baseDamage = damage * getWeaponLevelMultiplier(slot.level) * (1 + upgrades.damage * 0.1);
+    if (upgrades.critical > 0 && this.rng.chance(upgrades.critical * 0.1)) {
+      baseDamage *= 2;
+    }
+
+    // Piercing Rounds power-up: shots pass through extra targets
+    const pierce = this.getPowerUpStacks('piercing') > 0 ? POWER_UPS.piercing.pierce : 0;
+    const launch = (proj) => {
+      proj.pierce = pierce;
+      this.addEntity('projectile', proj);
+    };
 
     switch (weaponType) {
       case 'default': {
-        const proj = new Projectile(
-          projectileData.position,
-          projectileData.velocity,
-          projectileData.angle,
-          baseDamage
-        );
-        proj.color = weapon.color;
-        this.projectiles.push(proj);
+        // Twin Cannons: two shots side by side instead of one
+        const offsets = upgrades.twinShot > 0 ? [-8, 8] : [0];
+        const { direction } = projectileData;
+        offsets.forEach(offset => {
+          const proj = this.pools.projectile.acquire(
+            new Vector2D(projectileData.position.x - direction.y * offset, projectileData.position.y + direction.x * offset),
+            projectileData.velocity,
+            projectileData.angle,
+            baseDamage
+          );
+          proj.color = weapon.color;
+          launch(proj);
+        });
         break;
       }
       case 'laser': {
-        const proj = new Projectile(
+        const proj = this.pools.projectile.acquire(
           projectileData.position,
           projectileData.velocity,
           projectileData.angle,
@@ -455,12 +943,13 @@ export class GameEngine {
         );
         proj.color = weapon.color;
         proj.width = 3;
-        proj.height = 40;
-        this.projectiles.push(proj);
+        proj.length = 40;
+        proj.height = proj.length;
+        launch(proj);
         break;
       }
       case 'missile': {
-        const proj = new Projectile(
+        const proj = this.pools.projectile.acquire(
           projectileData.position,
           projectileData.velocity,
           projectileData.angle,
@@ -470,8 +959,9 @@ export class GameEngine {
         proj.homing = true;
         proj.homingStrength = 2.5;
         proj.width = 8;
-        proj.height = 16;
-        this.projectiles.push(proj);
+        proj.length = 16;
+        proj.height = proj.length;
+        launch(proj);
         break;
       }
       case 'shotgun': {
@@ -479,198 +969,429 @@ export class GameEngine {
         for (let i = 0; i < spreadCount; i++) {
           const angleOffset = (i - Math.floor(spreadCount / 2)) * 0.15;
           const velocity = Vector2D.fromAngle(projectileData.angle + angleOffset, weapon.projectileSpeed);
-          const proj = new Projectile(
+          const proj = this.pools.projectile.acquire(
             projectileData.position,
             velocity,
             projectileData.angle + angleOffset,
             baseDamage
           );
           proj.color = weapon.color;
-          this.projectiles.push(proj);
+          launch(proj);
         }
         break;
       }
+      case 'beam':
+        this.fireBeam(projectileData.position, projectileData.angle, weapon, baseDamage, weapon.pierce + slot.level - 1);
+        break;
+      case 'charge': {
+        // The longer the charge, the bigger the round
+        const proj = this.pools.projectile.acquire(
+          projectileData.position,
+          Vector2D.fromAngle(projectileData.angle, weapon.projectileSpeed),
+          projectileData.angle,
+          baseDamage
+        );
+        proj.color = weapon.color;
+        proj.width = 8 + charge * 16;
+        proj.length = proj.width * 1.5;
+        proj.height = proj.length;
+        launch(proj);
+        break;
+      }
+      case 'mines':
+        this.world.spawn('mine', {
+          mine: { damage: baseDamage, blastRadius: weapon.blastRadius },
+          body: {
+            x: projectileData.position.x,
+            y: projectileData.position.y,
+            velocity: Vector2D.fromAngle(projectileData.angle, 260)
+          },
+          sprite: { color: weapon.color }
+        });
+        break;
     }
+
+    this.spendWeaponShot(weaponType);
   }
 
   /**
-   * Spawn asteroid with difficulty scaling
+   * Hitscan beam: damages up to `pierce` asteroids and enemy ships along the
+   * ray, nearest first. A boss stops the beam (open weak points take the hit).
    */
-  spawnAsteroid() {
-    if (this.asteroids.length >= this.config.maxAsteroids) return;
-    if (this.bossSystem.active) return; // Don't spawn during boss fight
-
-    // Spawn position with lane-based bias (lane-shooter mode)
-    const margin = 100;
-    let x = margin + Math.random() * (this.width - margin * 2);
-    
-    if (this.config.mode === 'lane-shooter' && this.player) {
-      // Bias spawn toward active lanes based on multipliers
-      // Lane 1 (left): 0.8x spawn rate (safer)
-      // Lane 2 (center): 1.0x spawn rate
-      // Lane 3 (right): 1.3x spawn rate (more dangerous)
-      
-      const laneWidth = (this.width - margin * 2) / 3;
-      const lane1Center = margin + laneWidth * 0.5;
-      const lane2Center = margin + laneWidth * 1.5;
-      const lane3Center = margin + laneWidth * 2.5;
-      
-      // Weighted random lane selection
-      const rand = Math.random();
-      const totalWeight = 0.8 + 1.0 + 1.3; // Sum of lane spawn multipliers
-      
-      if (rand < 0.8 / totalWeight) {
-        // Lane 1 (left) - fewer spawns
-        x = lane1Center + (Math.random() - 0.5) * laneWidth * 0.8;
-      } else if (rand < (0.8 + 1.0) / totalWeight) {
-        // Lane 2 (center) - normal spawns
-        x = lane2Center + (Math.random() - 0.5) * laneWidth * 0.8;
-      } else {
-        // Lane 3 (right) - more spawns
-        x = lane3Center + (Math.random() - 0.5) * laneWidth * 0.8;
-      }
-      
-      // Ensure within bounds
-      x = Math.max(margin, Math.min(this.width - margin, x));
+  fireBeam(origin, angle, weapon, damage, pierce) {
+    const direction = Vector2D.fromAngle(angle, 1);
+    const far = Vector2D.add(origin, Vector2D.multiply(direction, weapon.range));
+    let end = far;
+
+    // Raycast targets need a position and radius - wrap world entities
+    const boss = this.bossSystem.boss;
+    const targets = this.asteroids.slice();
+    this.world.query('enemy', 'collider').forEach(entity => {
+      targets.push({ position: entity.position, radius: entity.collider.radius, entity });
+    });
+    if (boss) {
+      targets.push({ position: boss.position, radius: boss.collider.radius, entity: boss });
     }
-    
-    const y = -50;
 
-    // Random size with difficulty-based weights
-    const sizes = ['small', 'medium', 'large', 'huge'];
-    const baseWeights = [0.4, 0.35, 0.2, 0.05];
-    
-    // Adjust weights based on wave (harder = more large asteroids)
-    const difficultyFactor = Math.min(this.wave / 10, 1.5);
-    const weights = baseWeights.map((w, i) => 
-      i >= 2 ? w * (1 + difficultyFactor * 0.5) : w * (1 - difficultyFactor * 0.2)
-    );
-    
-    const rand = Math.random();
-    let size = 'small';
-    let cumulative = 0;
-    
-    for (let i = 0; i < sizes.length; i++) {
-      cumulative += weights[i];
-      if (rand < cumulative) {
-        size = sizes[i];
+    for (let hits = 0; hits < pierce; hits++) {
+      const hit = CollisionSystem.raycast(origin, direction, weapon.range, targets);
+      if (!hit) break;
+      targets.splice(targets.indexOf(hit.object), 1);
+      const target = hit.object;
+
+      if (target.entity === boss && boss) {
+        const weakPoint = boss.weakPoint;
+        const weakPointHit = !!weakPoint && weakPoint.state === 'open' && !!CollisionSystem.lineCircleIntersection(
+          origin,
+          far,
+          new Vector2D(boss.position.x + weakPoint.offsetX, boss.position.y + weakPoint.offsetY),
+          weakPoint.radius
+        );
+        this.damageBoss(boss, damage, hit.point, weakPointHit);
+        end = hit.point;
         break;
       }
-    }
-
-    // Random velocity with difficulty scaling
-    const angle = Math.PI / 2 + (Math.random() - 0.5) * 0.5;
-    const baseSpeed = 80 + Math.random() * 120;
-    const speed = baseSpeed * (1 + this.config.difficultyMultiplier * 0.3);
-    const velocity = Vector2D.fromAngle(angle, speed);
 
-    const asteroid = new Asteroid(x, y, size, velocity);
+      if (target.entity) {
+        if (target.entity.alive) {
+          this.damageEnemy(target.entity, damage, { position: hit.point, velocity: Vector2D.multiply(direction, 300) });
+        }
+        continue;
+      }
 
-    // Scale stats based on wave
-    const waveFactor = 1 + (this.wave - 1) * 0.1;
-    asteroid.health *= waveFactor;
-    asteroid.maxHealth *= waveFactor;
-    asteroid.damage = (asteroid.sizeMap[size] / 2) * waveFactor; // Collision damage scales with size and wave
-    
-    // Add rotation for more dynamic visuals
-    asteroid.angularVelocity = (Math.random() - 0.5) * 3;
-    
-    // Safety check: Don't spawn too close to player (lane-shooter mode)
-    if (this.config.mode === 'lane-shooter' && this.player) {
-      const safeDistance = 200;
-      const dx = asteroid.position.x - this.player.position.x;
-      const dy = asteroid.position.y - this.player.position.y;
-      const distSq = dx * dx + dy * dy;
-      
-      // If too close horizontally (Y distance is already safe due to spawn at top), shift horizontally
-      if (Math.abs(dx) < safeDistance && dy < safeDistance) {
-        // Move asteroid away horizontally
-        asteroid.position.x += (dx > 0 ? 1 : -1) * (safeDistance - Math.abs(dx));
-        // Clamp to bounds
-        const margin = 100;
-        asteroid.position.x = Math.max(margin, Math.min(this.width - margin, asteroid.position.x));
+      // Chain reactions from an earlier hit may already have destroyed it
+      if (!this.asteroids.includes(target)) continue;
+      this.particles.createDamageSparks(hit.point.x, hit.point.y, Vector2D.multiply(direction, 300), weapon.color);
+      if (target.takeDamage(damage)) {
+        this.destroyAsteroid(target);
       }
     }
-    
-    this.asteroids.push(asteroid);
-  }
 
-  /**
-   * Spawn boss asteroid
-   */
-  spawnBoss() {
-    console.log('[Engine] Spawning Boss!');
-    
-    const x = this.width / 2;
-    const y = -100;
-    
-    const boss = new Asteroid(x, y, 'huge', new Vector2D(0, 50));
-    boss.isBoss = true;
-    boss.health = 200 + (this.wave * 50); // Scale with wave
-    boss.maxHealth = boss.health;
-    boss.color = '#ff0055';
-    boss.damage = 40;
-    boss.scoreValue = 1000;
-    boss.radius *= 1.5; // Make it bigger
-    
-    this.bossSystem.boss = boss;
-    this.bossSystem.active = true;
-    this.bossSystem.phase = 1;
-    this.asteroids.push(boss);
-    
-    this.screenShake(15, 0.5);
+    this.weaponSystem.beam = {
+      x1: origin.x,
+      y1: origin.y,
+      x2: end.x,
+      y2: end.y,
+      color: weapon.color,
+      timer: 0.12,
+      duration: 0.12
+    };
   }
 
   /**
-   * Spawn environmental hazard
+   * Blow up a player mine, damaging asteroids, enemy ships and bosses in its blast
    */
-  spawnHazard() {
-    if (this.config.mode === 'lane-shooter') {
-      const activeLane = this.getCurrentLane();
-      const laneX = this.lanes[activeLane];
-
-      const hazard = {
-        type: 'blackhole',
-        position: new Vector2D(
-          this.player.position.x + 200, // Spawn to the right of the player
-          this.player.position.y + 100 // Spawn below the player
-        ),
-        velocity: new Vector2D(0, 0), // No movement
-        radius: 80, // Slightly larger
-        strength: 250, // Amplified gravity
-        duration: 15,
-        timer: 0,
-        active: true,
-        telegraph: true,
-        telegraphTimer: 2.0 // Amplified telegraph time
-      };
-      
-      this.hazards.push(hazard);
-      console.log('[Engine] Blackhole spawning in lane:', activeLane);
+  detonateMine(entity) {
+    if (!entity.alive) return;
+
+    const { damage, blastRadius } = entity.mine;
+    const position = entity.position.clone();
+    this.world.destroy(entity);
+
+    this.particles.createExplosion(position.x, position.y, 40, entity.sprite.color, 260);
+    this.screenShake(8, 0.2);
+
+    // Own result arrays - destroying asteroids re-enters the broadphase
+    this.broadphase.query(position.x, position.y, blastRadius, 'asteroid').forEach(asteroid => {
+      if (!this.asteroids.includes(asteroid)) return;
+      if (Vector2D.distance(position, asteroid.position) > blastRadius + asteroid.radius) return;
+      if (asteroid.takeDamage(damage)) {
+        this.destroyAsteroid(asteroid);
+      }
+    });
+
+    this.broadphase.query(position.x, position.y, blastRadius, 'enemy').forEach(ship => {
+      if (!ship.alive || Vector2D.distance(position, ship.position) > blastRadius + ship.collider.radius) return;
+      this.damageEnemy(ship, damage, { position: ship.position, velocity: Vector2D.subtract(ship.position, position) });
+    });
+
+    const boss = this.bossSystem.boss;
+    if (boss && Vector2D.distance(position, boss.position) <= blastRadius + boss.collider.radius) {
+      this.damageBoss(boss, damage, boss.position);
+    }
+  }
+
+  /**
+   * Use up ammo or build heat for a shot; empty weapons are dropped
+   */
+  spendWeaponShot(id) {
+    const weapon = this.weaponSystem.weapons[id];
+    const slot = this.weaponSystem.inventory[id];
+
+    if (weapon.heat) {
+      slot.heat = Math.min(1, slot.heat + weapon.heat.perShot);
+      if (slot.heat >= 1) {
+        slot.overheated = true;
+        this.createFloatingText(this.player.position.x, this.player.position.y - 50, 'OVERHEATED', '#ff6600', 16);
+      }
+    }
+
+    if (slot.ammo !== null && --slot.ammo <= 0) {
+      delete this.weaponSystem.inventory[id];
+      this.createFloatingText(this.player.position.x, this.player.position.y - 50, `${weapon.name} empty`, '#aaaaaa', 16);
+      this.equipWeapon(this.weaponSystem.baseWeapon);
+    }
+  }
+
+  /**
+   * Add a weapon to the inventory and switch to it; a weapon already carried
+   * levels up (to MAX_WEAPON_LEVEL) and is refilled instead
+   */
+  collectWeapon(id) {
+    const weapon = this.weaponSystem.weapons[id];
+    const slot = this.weaponSystem.inventory[id];
+
+    if (!slot) {
+      this.weaponSystem.inventory[id] = createWeaponSlot(id);
     } else {
-      // Space-sim mode: Random hazard types and positions
-      const types = ['blackhole', 'nebula', 'meteor_shower'];
-      const type = types[Math.floor(Math.random() * types.length)];
+      slot.level = Math.min(MAX_WEAPON_LEVEL, slot.level + 1);
+      if (slot.ammo !== null) slot.ammo = weapon.ammo;
+      slot.heat = 0;
+      slot.overheated = false;
+    }
+
+    this.equipWeapon(id);
+    const level = this.weaponSystem.inventory[id].level;
+    this.createFloatingText(this.player.position.x, this.player.position.y - 50, level > 1 ? `${weapon.name} Lv${level}` : weapon.name, weapon.color, 18);
+  }
+
+  /**
+   * Switch to a carried weapon
+   * @returns {boolean} False if the weapon isn't in the inventory
+   */
+  equipWeapon(id) {
+    if (!this.weaponSystem.inventory[id]) return false;
+    this.weaponSystem.currentWeapon = id;
+    this.weaponSystem.charge = 0;
+    return true;
+  }
+
+  /**
+   * Switch to the next (1) or previous (-1) weapon in the inventory
+   */
+  cycleWeapon(direction = 1) {
+    const ids = Object.keys(this.weaponSystem.inventory);
+    if (ids.length < 2) return false;
+
+    const index = ids.indexOf(this.weaponSystem.currentWeapon);
+    return this.equipWeapon(ids[(index + direction + ids.length) % ids.length]);
+  }
+
+  /**
+   * Spawn asteroid with difficulty scaling
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Ignore the asteroid cap and boss pause (stress mode)
+   * @param {number} [options.y] - Spawn height (defaults to just above the screen; lane-shooter only)
+   */
+  spawnAsteroid(options = {}) {
+    if (!options.force) {
+      if (this.asteroids.length >= this.waveSettings.maxAsteroids) return;
+      if (this.bossSystem.active) return; // Don't spawn during boss fight
+    }
+
+    // Space-sim rocks come in from every edge
+    const arenaSpawn = this.config.mode === 'space-sim' ? this.getArenaSpawn(60) : null;
+
+    // Spawn position with lane-based bias (lane-shooter mode)
+    const margin = 100;
+    let x = arenaSpawn ? arenaSpawn.x : margin + this.rng.next() * (this.width - margin * 2);
+    
+    if (this.config.mode === 'lane-shooter' && this.player) {
+      // Bias spawn toward open lanes by their spawn weights (riskier lanes see more rocks)
+      const layout = this.laneSystem.layout;
+      const lane = Number(this.rng.weighted(layout.map(entry => entry.open ? entry.spawnWeight : 0)));
+      const laneSpacing = (layout[layout.length - 1].x - layout[0].x) / (layout.length - 1) || this.width;
+      x = layout[lane].x + this.rng.spread(laneSpacing * 0.5);
+
+      // Ensure within bounds
+      x = Math.max(margin, Math.min(this.width - margin, x));
+    }
+    
+    const y = arenaSpawn ? arenaSpawn.y : options.y ?? -50;
+
+    // Random size from the wave's weights
+    const size = this.rng.weighted(this.getSizeWeights());
+
+    // Random velocity with difficulty scaling
+    const angle = (arenaSpawn ? arenaSpawn.angle : Math.PI / 2) + this.rng.spread(0.5);
+    const baseSpeed = 80 + this.rng.next() * 120;
+    const speed = baseSpeed * (1 + this.waveSettings.difficulty * 0.3);
+    const velocity = Vector2D.fromAngle(angle, speed);
+
+    const asteroid = this.pools.asteroid.acquire(x, y, size, velocity, this.rng);
+    asteroid.inArena = !arenaSpawn;
+    if (this.rng.chance(this.waveSettings.explosiveChance)) {
+      asteroid.setVariant('explosive');
+    }
+
+    // Scale stats based on wave
+    const waveFactor = 1 + (this.wave - 1) * 0.1;
+    asteroid.health *= waveFactor;
+    asteroid.maxHealth *= waveFactor;
+    asteroid.damage = (asteroid.sizeMap[size] / 2) * waveFactor; // Collision damage scales with size and wave
+    
+    // Add rotation for more dynamic visuals
+    asteroid.angularVelocity = this.rng.spread(3);
+    
+    // Safety check: Don't spawn too close to player (lane-shooter mode)
+    if (this.config.mode === 'lane-shooter' && this.player) {
+      const safeDistance = 200;
+      const dx = asteroid.position.x - this.player.position.x;
+      const dy = asteroid.position.y - this.player.position.y;
+      const distSq = dx * dx + dy * dy;
       
-      const hazard = {
-        type,
-        position: new Vector2D(
-          Math.random() * this.width,
-          Math.random() * this.height
-        ),
-        radius: type === 'blackhole' ? 80 : 150,
-        strength: type === 'blackhole' ? 200 : 0.5,
-        duration: 10 + Math.random() * 10,
-        timer: 0,
-        active: true
+      // If too close horizontally (Y distance is already safe due to spawn at top), shift horizontally
+      if (Math.abs(dx) < safeDistance && dy < safeDistance) {
+        // Move asteroid away horizontally
+        asteroid.position.x += (dx > 0 ? 1 : -1) * (safeDistance - Math.abs(dx));
+        // Clamp to bounds
+        const margin = 100;
+        asteroid.position.x = Math.max(margin, Math.min(this.width - margin, asteroid.position.x));
+      }
+    }
+    
+    this.addEntity('asteroid', asteroid);
+  }
+
+  /**
+   * Bounce asteroids off each other (config.asteroidCollisions). Mass sets who
+   * gets knocked further, contact friction trades spin, and impacts harder than
+   * config.asteroidImpactThreshold crack both rocks (the lighter one more).
+   */
+  collideAsteroids(deltaTime) {
+    const asteroids = this.asteroids;
+    const { asteroidImpactThreshold, asteroidImpactDamage } = this.config;
+
+    // Each pair is resolved once, by its earlier asteroid, in list order (deterministic)
+    for (let i = 0; i < asteroids.length; i++) {
+      asteroids[i].collisionIndex = i;
+    }
+
+    const impacts = [];
+    for (let i = 0; i < asteroids.length; i++) {
+      const a = asteroids[i];
+      const nearby = this.broadphase.query(a.position.x, a.position.y, a.radius, 'asteroid', this.queryBuffer);
+
+      for (const b of nearby) {
+        if (b.collisionIndex <= i || !CollisionSystem.checkCircleCollision(a, b, a.radius, b.radius)) continue;
+
+        CollisionSystem.separateObjects(a, b, a.radius, b.radius);
+        const impulse = CollisionSystem.resolveCollision(a, b);
+        CollisionSystem.applyContactFriction(a, b, a.radius, impulse, deltaTime);
+        this.broadphase.update(a, a.radius);
+        this.broadphase.update(b, b.radius);
+
+        if (impulse > asteroidImpactThreshold) {
+          impacts.push({ a, b, damage: (impulse - asteroidImpactThreshold) * asteroidImpactDamage });
+        }
+      }
+    }
+
+    // Damage after the sweep - breaking rocks changes the asteroid list
+    for (const { a, b, damage } of impacts) {
+      const t = a.radius / (a.radius + b.radius);
+      this.particles.createDebris(
+        a.position.x + (b.position.x - a.position.x) * t,
+        a.position.y + (b.position.y - a.position.y) * t,
+        6,
+        a.color
+      );
+
+      [a, b].forEach(asteroid => {
+        if (!this.asteroids.includes(asteroid)) return; // Already broken by an earlier impact
+        if (asteroid.takeDamage(damage * asteroid.inverseMass)) {
+          this.breakAsteroid(asteroid);
+        }
+      });
+    }
+  }
+
+  /**
+   * A shot that didn't break a rock pushes (and spins) it along the shot,
+   * so players can knock rocks into each other
+   */
+  knockAsteroid(asteroid, proj, point, deltaTime) {
+    if (!this.config.asteroidCollisions || deltaTime <= 0) return;
+
+    const impulse = proj.velocity.clone().setMagnitude(proj.damage * this.config.projectileKnockback);
+    asteroid.applyForceAtPoint(Vector2D.multiply(impulse, 1 / deltaTime), point);
+  }
+
+  /**
+   * An asteroid broken by another rock (not a player kill): no score, but
+   * explosive ones still go off - as a chain that scores nothing either
+   */
+  breakAsteroid(asteroid) {
+    this.particles.createExplosion(asteroid.position.x, asteroid.position.y, 15, '#ff9900', 120);
+    if (asteroid.variant && this.detonate(asteroid, null, false)) {
+      this.removeEntity('asteroid', asteroid);
+    } else {
+      this.splitAsteroid(asteroid);
+    }
+  }
+
+  /**
+   * Spawn a boss (see Bosses.js) above the screen, or off an arena edge in space-sim
+   * @param {string} [archetype] - Boss prefab; defaults to the next one in BOSS_ROTATION
+   */
+  spawnBoss(archetype = null) {
+    if (this.bossSystem.active) return null;
+
+    const name = archetype || BOSS_ROTATION[this.bossSystem.encounters % BOSS_ROTATION.length];
+    const prefab = this.world.prefabs.get(name);
+    if (!prefab || !prefab.boss) {
+      console.error('[Engine] Unknown boss:', name);
+      return null;
+    }
+
+    this.bossSystem.encounters++;
+    console.log('[Engine] Spawning Boss:', name);
+    const spawn = this.config.mode === 'space-sim'
+      ? this.getArenaSpawn(prefab.collider.radius)
+      : { x: this.width / 2, y: -prefab.collider.radius };
+    const boss = this.world.spawn(name, {
+      body: { x: spawn.x, y: spawn.y },
+      boss: { anchorX: this.width / 2 },
+      health: { max: prefab.health.max + prefab.boss.healthPerWave * this.wave }
+    });
+
+    this.createFloatingText(this.width / 2, this.height / 2, `⚠ ${prefab.boss.name.toUpperCase()} ⚠`, prefab.boss.color, 32);
+    this.screenShake(15, 0.5);
+    return boss;
+  }
+
+  /**
+   * Spawn environmental hazard
+   * @param {string} [type] - Hazard prefab (see Hazards.js)
+   */
+  spawnHazard(type = 'blackhole') {
+    if (this.config.mode === 'lane-shooter') {
+      const activeLane = this.getCurrentLane();
+      const overrides = {
+        body: {
+          x: this.player.position.x + 200, // Spawn to the right of the player
+          y: this.player.position.y + 100 // Spawn below the player
+        },
+        telegraph: { timer: 2.0, label: `⚠ ${type.replace(/_/g, ' ').toUpperCase()}` }, // Amplified telegraph time
+        despawnBelow: { margin: 150 }
       };
-      
-      if (type === 'meteor_shower') {
-        hazard.spawnTimer = 0;
-        hazard.spawnRate = 0.1;
+      if (this.world.prefabs.get(type).gravityWell) {
+        overrides.gravityWell = { strength: 250 }; // Amplified gravity
       }
+
+      this.world.spawn(type, overrides);
       
-      this.hazards.push(hazard);
+      console.log('[Engine] Hazard', type, 'spawning in lane:', activeLane);
+    } else {
+      // Space-sim mode: random positions
+      const x = this.rng.next() * this.width;
+      const y = this.rng.next() * this.height;
+      const duration = 10 + this.rng.next() * 10;
+      
+      this.world.spawn(type, {
+        body: { x, y },
+        lifetime: { duration }
+      });
     }
   }
 
@@ -678,8 +1399,7 @@ export class GameEngine {
    * Spawn power-up
    */
   spawnPowerUp(x, y) {
-    const types = ['health', 'shield', 'weapon', 'speed'];
-    const type = types[Math.floor(Math.random() * types.length)];
+    const type = this.rng.weighted(this.waveSettings.powerUpWeights);
     const powerUp = new PowerUp(x, y, type);
     
     if (this.config.mode === 'lane-shooter') {
@@ -695,19 +1415,19 @@ export class GameEngine {
       powerUp.velocity.set(0, fallSpeed);
       
       // Small horizontal drift for variety
-      const drift = (Math.random() - 0.5) * 30;
+      const drift = this.rng.spread(30);
       powerUp.velocity.x = drift;
     } else {
       // Space-sim mode: random velocity in all directions
-      const angle = Math.random() * Math.PI * 2;
-      const speed = 30 + Math.random() * 50;
+      const angle = this.rng.next() * Math.PI * 2;
+      const speed = 30 + this.rng.next() * 50;
       powerUp.velocity.set(
         Math.cos(angle) * speed,
         Math.sin(angle) * speed
       );
     }
     
-    this.powerUps.push(powerUp);
+    this.addEntity('powerUp', powerUp);
   }
 
   /**
@@ -716,17 +1436,46 @@ export class GameEngine {
   update(deltaTime) {
     if (this.state !== 'playing') return;
 
+    this.broadphase.resetStats();
+
+    // Scripted sources set this step's input (DOM input arrives via events)
+    if (this.input) {
+      this.input.poll(this);
+    }
+
+    // Replay playback drives input and frame deltas from the log
+    if (this.replaySystem.player) {
+      const frame = this.replaySystem.player.next();
+      if (!frame) {
+        this.gameOver();
+        return;
+      }
+      deltaTime = frame.deltaTime;
+      this.keys = frame.keys;
+      this.mouse = frame.mouse;
+    } else if (this.replaySystem.recorder) {
+      this.replaySystem.recorder.record(deltaTime, this.keys, this.mouse);
+    }
+
     // Clamp deltaTime to prevent huge frame spikes causing physics issues
     deltaTime = Math.min(deltaTime, 0.1); // Cap at 100ms (10 FPS minimum)
     
     this.time += deltaTime;
 
+    // Everything but the player runs at this rate (time-slow ability)
+    const worldDelta = deltaTime * this.getTimeScale();
+
     // Handle input
     this.handleInput(deltaTime);
+    this.mouse.pressed = false;
 
     // Update player
     if (this.player) {
       this.player.update(deltaTime);
+      if (this.upgradeSystem.upgrades.regen > 0) {
+        this.player.heal(this.upgradeSystem.upgrades.regen * deltaTime);
+      }
+      this.updateAbilities(deltaTime);
       
       // Keep player in bounds (horizontal only for lane-shooter)
       if (this.config.mode === 'lane-shooter') {
@@ -741,15 +1490,8 @@ export class GameEngine {
           this.player.velocity.x = 0;
         }
       } else {
-        // Space sim mode: bounce off all edges
-        CollisionSystem.bounceOffBounds(
-          this.player,
-          this.player.width,
-          this.player.height,
-          this.width,
-          this.height,
-          0.5
-        );
+        // Space sim mode: wrap or bounce at the arena edges
+        this.confineToArena(this.player, this.player.width, this.player.height, 0.5);
       }
 
       // Check if player is destroyed
@@ -763,36 +1505,53 @@ export class GameEngine {
     // Update asteroids
     for (let i = this.asteroids.length - 1; i >= 0; i--) {
       const asteroid = this.asteroids[i];
-      asteroid.update(deltaTime);
-
-      // Remove if off screen
-      if (asteroid.position.y > this.height + 100) {
-        if (asteroid.isBoss) {
-          this.bossSystem.active = false;
-          this.bossSystem.boss = null;
-          console.log('[Engine] Boss asteroid went off screen. Boss fight ended.');
+      asteroid.update(worldDelta);
+
+      if (this.config.mode === 'space-sim') {
+        // Edge spawns fly in before the arena edges apply; strays are dropped
+        if (asteroid.inArena) {
+          this.confineToArena(asteroid, asteroid.radius * 2);
+        } else if (this.isOnScreen(asteroid.position, -asteroid.radius)) {
+          asteroid.inArena = true;
+        } else if (!this.isOnScreen(asteroid.position, 300)) {
+          this.removeEntity('asteroid', asteroid, i);
+          continue;
         }
-        this.asteroids.splice(i, 1);
+      } else if (asteroid.position.y > this.height + 100) {
+        // Remove if off screen
+        this.removeEntity('asteroid', asteroid, i);
         continue;
       }
 
-      // Check collision with player
+      this.broadphase.update(asteroid, asteroid.radius);
+    }
+
+    if (this.config.asteroidCollisions) {
+      this.collideAsteroids(worldDelta);
+    }
+
+    // Check asteroid collisions with player: broadphase candidates, bounding
+    // circles, then the ship's hull against the asteroid's outline
+    const playerRadius = this.player.hitRadius;
+    const hull = this.player.getHullPolygon();
+    const nearPlayer = this.broadphase.query(
+      this.player.position.x,
+      this.player.position.y,
+      playerRadius,
+      'asteroid',
+      this.queryBuffer
+    ).slice();
+
+    for (const asteroid of nearPlayer) {
       if (CollisionSystem.checkCircleCollision(
         this.player,
         asteroid,
-        Math.max(this.player.width, this.player.height) / 2,
+        playerRadius,
         asteroid.radius
-      )) {
-        // Player takes damage
-        const destroyed = this.player.takeDamage(asteroid.damage || 20);
-        
-        // UI feedback
-        if (this.player.shield.active) {
-          this.triggerShieldPulse();
-        } else {
-          this.triggerDamageFlash();
-          this.createFloatingText(this.player.position.x, this.player.position.y - 40, '-20 HP', '#ff0055', 18);
-        }
+      ) && CollisionSystem.overlapsStarPolygon(hull, asteroid.position, asteroid.getPolygon())) {
+        // Player takes damage (some hulls shrug off part of it)
+        const impactDamage = getHull(this.config.hull).ability.impactDamage ?? 1;
+        const destroyed = this.damagePlayer((asteroid.damage || 20) * impactDamage);
         
         // Create effects
         this.particles.createExplosion(
@@ -810,9 +1569,7 @@ export class GameEngine {
         this.screenShake(10, 0.3);
         
         // Destroy asteroid
-        const fragments = asteroid.split();
-        this.asteroids.splice(i, 1);
-        this.asteroids.push(...fragments);
+        this.splitAsteroid(asteroid);
         
         if (destroyed) {
           this.gameOver();
@@ -824,11 +1581,11 @@ export class GameEngine {
     // Update projectiles
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
       const proj = this.projectiles[i];
-      proj.update(deltaTime);
+      proj.update(proj.hostile ? worldDelta : deltaTime);
 
-      // Homing missile behavior
-      if (proj.homing && this.asteroids.length > 0) {
-        const target = this.findNearestAsteroid(proj.position);
+      // Homing missile behavior (bosses first)
+      if (proj.homing) {
+        const target = this.bossSystem.boss || this.findNearestAsteroid(proj.position);
         if (target) {
           const toTarget = Vector2D.subtract(target.position, proj.position);
           const desiredVelocity = toTarget.normalize().multiply(proj.velocity.magnitude());
@@ -848,111 +1605,50 @@ export class GameEngine {
         proj.color || '#00f0ff'
       );
 
+      // Shots wrap in a wrap-around arena (until they expire). The sweep start
+      // moves with them, or the swept path would span the whole arena.
+      if (this.config.mode === 'space-sim' && this.config.arena === 'wrap') {
+        const { x, y } = proj.position;
+        CollisionSystem.wrapAround(proj.position, proj.width, proj.width, this.width, this.height);
+        proj.sweepStart.x += proj.position.x - x;
+        proj.sweepStart.y += proj.position.y - y;
+      }
+
       // Remove if expired or off screen
       if (proj.isExpired() || !this.isOnScreen(proj.position, 50)) {
-        this.projectiles.splice(i, 1);
+        this.removeEntity('projectile', proj, i);
         continue;
       }
 
-      // Check collision with asteroids
-      for (let j = this.asteroids.length - 1; j >= 0; j--) {
-        const asteroid = this.asteroids[j];
-        
-        if (CollisionSystem.checkCircleCollision(
-          proj,
-          asteroid,
-          proj.width / 2,
-          asteroid.radius
-        )) {
-          // Damage asteroid
-          const destroyed = asteroid.takeDamage(proj.damage);
-          
-          // Create impact effect
-          this.particles.createDamageSparks(
-            proj.position.x,
-            proj.position.y,
-            proj.velocity,
-            '#ffaa00'
-          );
-          
-          // Remove projectile
-          this.projectiles.splice(i, 1);
-          
-          if (destroyed) {
-            // Increase combo
-            this.increaseCombo();
-            
-            // Score points with combo multiplier
-            const scoreMap = { small: 100, medium: 50, large: 25, huge: 10 };
-            const baseScore = asteroid.isBoss ? asteroid.scoreValue : (scoreMap[asteroid.size] || 10);
-            const finalScore = Math.floor(baseScore * this.comboSystem.multiplier);
-            this.score += finalScore;
-            this.kills++;
-            
-            // Create floating score text
-            const scoreColor = this.comboSystem.count > 5 ? '#ffff00' : '#ffaa00';
-            this.createFloatingText(
-              asteroid.position.x,
-              asteroid.position.y,
-              `+${finalScore}`,
-              scoreColor,
-              20 + Math.min(this.comboSystem.count, 10)
-            );
-            
-            // Add experience
-            this.addExperience(baseScore / 10);
-            
-            // Boss handling
-            if (asteroid.isBoss) {
-              this.bossSystem.active = false;
-              this.bossSystem.boss = null;
-              this.screenShake(30, 1.0);
-              
-              // Spawn multiple power-ups
-              for (let k = 0; k < 3; k++) {
-                this.spawnPowerUp(
-                  asteroid.position.x + (Math.random() - 0.5) * 100,
-                  asteroid.position.y + (Math.random() - 0.5) * 100
-                );
-              }
-            }
-            
-            // Create explosion
-            const explosionSize = asteroid.isBoss ? 80 : 30;
-            this.particles.createExplosion(
-              asteroid.position.x,
-              asteroid.position.y,
-              explosionSize,
-              asteroid.isBoss ? '#ff0055' : '#ff6600',
-              asteroid.isBoss ? 400 : 200
-            );
-            this.particles.createDebris(
-              asteroid.position.x,
-              asteroid.position.y,
-              asteroid.isBoss ? 40 : 15,
-              asteroid.color
-            );
-            
-            // Split asteroid (not for boss)
-            if (!asteroid.isBoss) {
-              const fragments = asteroid.split();
-              this.asteroids.splice(j, 1);
-              this.asteroids.push(...fragments);
-              
-              // Chance to spawn power-up
-              if (Math.random() < this.config.powerUpChance * this.comboSystem.multiplier) {
-                this.spawnPowerUp(asteroid.position.x, asteroid.position.y);
-              }
-            } else {
-              this.asteroids.splice(j, 1);
-            }
-            
-            // Chain reaction check
-            this.checkChainReaction(asteroid.position, asteroid.radius * 2);
-            
-            this.screenShake(asteroid.isBoss ? 15 : 5, asteroid.isBoss ? 0.3 : 0.15);
+      this.broadphase.update(proj);
+
+      // Enemy fire only hits the player (anywhere along this step's path)
+      if (proj.hostile) {
+        const [tail, head] = proj.getSweep();
+        const entry = this.player && CollisionSystem.lineCircleIntersection(tail, head, this.player.position, playerRadius)
+          ? CollisionSystem.segmentEntry(tail, head, this.player.position, this.player.getHullPolygon())
+          : null;
+        if (entry !== null) {
+          proj.position.set(tail.x + (head.x - tail.x) * entry, tail.y + (head.y - tail.y) * entry);
+          if (this.player.shield.active) {
+            this.particles.createShieldHit(proj.position.x, proj.position.y);
+          } else {
+            this.particles.createDamageSparks(proj.position.x, proj.position.y, proj.velocity, proj.color);
+          }
+          this.removeEntity('projectile', proj, i);
+          if (this.damagePlayer(proj.damage)) {
+            this.gameOver();
+            return;
           }
-          
+        }
+        continue;
+      }
+
+      // Hit whatever the shot swept through this step, nearest first;
+      // piercing rounds carry on to the next target in line
+      for (const hit of this.sweepProjectile(proj)) {
+        if (this.applyProjectileHit(proj, hit, worldDelta)) {
+          this.removeEntity('projectile', proj, i);
           break;
         }
       }
@@ -961,29 +1657,44 @@ export class GameEngine {
     // Update power-ups
     for (let i = this.powerUps.length - 1; i >= 0; i--) {
       const powerUp = this.powerUps[i];
-      powerUp.update(deltaTime);
+      powerUp.update(worldDelta);
 
       // Remove if expired
       if (powerUp.isExpired()) {
-        this.powerUps.splice(i, 1);
+        this.removeEntity('powerUp', powerUp, i);
         continue;
       }
       
-      // Remove if off-screen (lane-shooter mode)
+      // Remove if off-screen (lane-shooter mode); drift in the arena (space-sim)
       if (this.config.mode === 'lane-shooter') {
         if (powerUp.position.y > this.height + 50 || 
             powerUp.position.x < -50 || 
             powerUp.position.x > this.width + 50) {
-          this.powerUps.splice(i, 1);
+          this.removeEntity('powerUp', powerUp, i);
           continue;
         }
+      } else {
+        this.confineToArena(powerUp, powerUp.radius * 2);
       }
 
+      this.broadphase.update(powerUp);
+    }
+
+    // Magnet and pickup for power-ups near the player (the Magnet power-up widens it)
+    const magnetRange = this.getPowerUpStacks('magnet') > 0 ? 120 * POWER_UPS.magnet.rangeMultiplier : 120;
+    const nearbyPowerUps = this.broadphase.query(
+      this.player.position.x,
+      this.player.position.y,
+      magnetRange,
+      'powerUp',
+      this.queryBuffer
+    ).slice();
+
+    for (const powerUp of nearbyPowerUps) {
       // Magnet effect: pull power-ups toward player when close
       const dx = this.player.position.x - powerUp.position.x;
       const dy = this.player.position.y - powerUp.position.y;
       const distSq = dx * dx + dy * dy;
-      const magnetRange = 120;
       const magnetRangeSq = magnetRange * magnetRange;
       
       if (distSq < magnetRangeSq && distSq > 1) {
@@ -995,102 +1706,796 @@ export class GameEngine {
         powerUp.velocity.y += pullY;
       }
 
-      // Check collision with player
-      const playerRadius = Math.max(this.player.width, this.player.height) / 2;
+      // Check collision with player: bounding circles, then the ship's hull
       if (CollisionSystem.checkCircleCollision(
         this.player,
         powerUp,
-        playerRadius,
+        this.player.hitRadius,
         powerUp.radius
-      )) {
+      ) && CollisionSystem.polygonOverlapsCircle(this.player.getHullPolygon(), powerUp.position, powerUp.radius)) {
         if (!powerUp.collected) {
           this.collectPowerUp(powerUp);
           powerUp.collect(); // Mark as collected to prevent double-pickup
         }
-        this.powerUps.splice(i, 1);
+        this.removeEntity('powerUp', powerUp);
       }
     }
 
-    // Update combo timer
-    if (this.comboSystem.count > 0) {
+    // Update combo timer (held while one of the player's chain reactions is still going off)
+    if (this.comboSystem.count > 0 && !this.chainSystem.detonations.some(blast => blast.chain.credit)) {
       this.comboSystem.timer += deltaTime;
       if (this.comboSystem.timer >= this.comboSystem.maxTime) {
         this.resetCombo();
       }
     }
 
-    // Update weapon timer
-    if (this.weaponSystem.currentWeapon !== 'default' && this.weaponSystem.activeWeaponTimer > 0) {
-      this.weaponSystem.activeWeaponTimer -= deltaTime;
-      if (this.weaponSystem.activeWeaponTimer <= 0) {
-        this.weaponSystem.currentWeapon = 'default';
+    // Run down timed power-up effects
+    for (const [type, effect] of Object.entries(this.uiSystem.powerUpTimers)) {
+      effect.timer -= deltaTime;
+      if (effect.timer <= 0) {
+        delete this.uiSystem.powerUpTimers[type];
+      }
+    }
+
+    // Cool carried weapons; an overheated weapon is usable again once cold
+    for (const [id, slot] of Object.entries(this.weaponSystem.inventory)) {
+      const heat = this.weaponSystem.weapons[id].heat;
+      if (!heat || slot.heat <= 0) continue;
+      slot.heat = Math.max(0, slot.heat - heat.cooling * deltaTime);
+      if (slot.heat === 0) slot.overheated = false;
+    }
+
+    // Fade the last beam shot
+    if (this.weaponSystem.beam) {
+      this.weaponSystem.beam.timer -= deltaTime;
+      if (this.weaponSystem.beam.timer <= 0) this.weaponSystem.beam = null;
+    }
+
+    // Set off queued chain-reaction blasts
+    this.updateChainReactions(deltaTime, worldDelta);
+
+    // Update world entities (hazards and other prefab-defined types)
+    this.world.update(worldDelta);
+
+    // Spawn from the wave's spawn table
+    this.asteroidSpawnTimer += worldDelta;
+    if (this.asteroidSpawnTimer >= this.waveSettings.spawnRate) {
+      this.asteroidSpawnTimer = 0;
+      this.spawnFromTable();
+    }
+
+    // Stress mode: keep the field topped up, staggered above the screen
+    while (this.asteroids.length < this.config.stressAsteroids) {
+      this.spawnAsteroid({ force: true, y: -50 - this.rng.next() * this.height });
+    }
+
+    // Spawn hazards (only in waves that have them)
+    this.hazardSpawnTimer += worldDelta;
+    const hazards = this.waveSettings.hazards;
+    if (hazards && this.hazardSpawnTimer >= hazards.interval) {
+      this.hazardSpawnTimer = 0;
+      const type = this.rng.weighted(this.getTypeWeights(hazards.types));
+      if (type) this.spawnHazard(type);
+    }
+
+    // Wave progression and scripted wave events
+    this.waveTimer += worldDelta;
+    while (this.waveEvents.length > 0 && this.waveEvents[0].at <= this.waveTimer) {
+      this.runWaveEvent(this.waveEvents.shift());
+    }
+    if (this.waveTimer >= this.waveSettings.duration) {
+      this.waveTimer = 0;
+      this.wave++;
+      this.beginWave(this.wave);
+    }
+    this.updateLanes(worldDelta);
+
+    // Update effects
+    this.particles.update(deltaTime);
+    this.starField.update(worldDelta, this.config.scrollSpeed);
+
+    // Update camera shake
+    if (this.shake.duration > 0) {
+      this.shake.duration -= deltaTime;
+      this.shake.x = this.fxRng.spread(this.shake.intensity);
+      this.shake.y = this.fxRng.spread(this.shake.intensity);
+    } else {
+      this.shake.x = 0;
+      this.shake.y = 0;
+    }
+    
+    // Update enhanced UI elements
+    this.updateEnhancedUI(deltaTime);
+
+    // Level objective met - the run ends as a win
+    if (this.objective && this.state === 'playing') {
+      if (this.objective.type === 'survive') {
+        this.objective.progress = Math.min(this.time, this.objective.target);
       }
+      if (this.objective.progress >= this.objective.target) {
+        this.completeLevel();
+      }
+    }
+
+    // Recycle entities removed during this step
+    this.flushPools();
+  }
+
+  /**
+   * Load a level definition (parsed level JSON, see Levels.js) for the next start()
+   * Pass null to go back to the endless level.
+   * @returns {boolean} False if the level is invalid (problems are logged)
+   */
+  loadLevel(level) {
+    if (level === null) {
+      this.getLiveConfigs().forEach(config => { config.level = null; });
+      return true;
+    }
+
+    const errors = this.getLevelErrors(level);
+    if (errors.length > 0) {
+      console.error('[Engine] Invalid level:', errors);
+      return false;
     }
 
-    // Update hazards
-    for (let i = this.hazards.length - 1; i >= 0; i--) {
-      const hazard = this.hazards[i];
-      hazard.timer += deltaTime;
+    this.getLiveConfigs().forEach(config => { config.level = level; });
+    return true;
+  }
+
+  /**
+   * Validate a level against this engine's prefabs and bosses
+   */
+  getLevelErrors(level) {
+    return validateLevel(level, {
+      isKnownPrefab: (name) => this.world.hasPrefab(name),
+      isKnownBoss: (name) => Object.hasOwn(BOSS_PREFABS, name),
+      isKnownFormation: (name) => Object.hasOwn(FORMATIONS, name)
+    });
+  }
+
+  /**
+   * Level for a new run: the loaded definition, or the endless level built from config
+   */
+  resolveLevel() {
+    if (this.config.level) {
+      const errors = this.getLevelErrors(this.config.level);
+      if (errors.length === 0) {
+        return normalizeLevel(this.config.level);
+      }
+      console.error('[Engine] Invalid level, using endless:', errors);
+    }
+    return normalizeLevel(createEndlessLevel(this.baseConfig));
+  }
+
+  /**
+   * Enter a wave: scale the running numbers, then apply the level's entry for
+   * this wave. Entry settings stay in effect until a later entry changes them.
+   */
+  beginWave(number) {
+    const level = this.level;
+    const entry = level.waves.find(w => w.wave === number) || null;
+
+    if (number === 1) {
+      this.waveSettings = { ...level.defaults };
+    } else {
+      this.waveSettings.spawnRate *= level.scaling.spawnRate;
+      this.waveSettings.maxAsteroids += level.scaling.maxAsteroids;
+      this.waveSettings.difficulty += level.scaling.difficulty;
+    }
+
+    if (entry) {
+      const { wave, boss, events, ...settings } = entry;
+      Object.assign(this.waveSettings, settings);
+    }
+
+    this.waveEvents = entry && entry.events
+      ? [...entry.events].sort((a, b) => a.at - b.at)
+      : [];
+
+    // Boss waves: explicit per wave, otherwise every bossEvery waves
+    const bossWave = entry && entry.boss !== undefined
+      ? entry.boss
+      : level.bossEvery > 0 && number % level.bossEvery === 0;
+    if (bossWave) {
+      this.spawnBoss(typeof bossWave === 'string' ? bossWave : null);
+    }
+  }
+
+  /**
+   * Run a scripted wave event ({ at, hazard }, { at, spawn, count, formation } or a lane shift)
+   */
+  runWaveEvent(event) {
+    if (event.lanes) {
+      this.queueLaneShift(event);
+      return;
+    }
+
+    if (event.hazard) {
+      this.spawnHazard(event.hazard);
+      return;
+    }
+
+    // Enemy ships come as one squad of `count`
+    if (this.isEnemyType(event.spawn)) {
+      this.spawnFormation(event.spawn, event.formation, event.count);
+      return;
+    }
+
+    for (let i = 0; i < (event.count || 1); i++) {
+      this.spawnType(event.spawn);
+    }
+  }
+
+  /**
+   * { type: weight } table from [{ type, weight, modes }] entries for this mode
+   */
+  getTypeWeights(entries) {
+    const weights = {};
+    entries.forEach(entry => {
+      if (entry.modes && !entry.modes.includes(this.config.mode)) return;
+      weights[entry.type] = (weights[entry.type] || 0) + (entry.weight ?? 1);
+    });
+    return weights;
+  }
+
+  /**
+   * Asteroid size weights for the current wave, shifted by the level's size scaling
+   */
+  getSizeWeights() {
+    const weights = { ...this.waveSettings.sizeWeights };
+    const scaling = this.level.sizeScaling;
+    if (!scaling) return weights;
+
+    const factor = Math.min(this.wave * scaling.perWave, scaling.max);
+    ['small', 'medium'].forEach(size => {
+      if (weights[size]) weights[size] *= 1 + factor * scaling.small;
+    });
+    ['large', 'huge'].forEach(size => {
+      if (weights[size]) weights[size] *= 1 + factor * scaling.large;
+    });
+    return weights;
+  }
+
+  /**
+   * Count progress towards a 'boss' or 'collect' objective
+   */
+  advanceObjective(type, amount = 1) {
+    if (this.objective && this.objective.type === type) {
+      this.objective.progress = Math.min(this.objective.progress + amount, this.objective.target);
+    }
+  }
+
+  /**
+   * Objective met: rate the run and stop the simulation
+   */
+  completeLevel() {
+    const health = this.player ? this.player.health / this.player.maxHealth : 0;
+    this.objective.rating = rateObjective(this.level.objective, { health, score: this.score });
+    this.state = 'complete';
+    console.log('[Engine] Objective complete:', this.objective.type, 'Stars:', this.objective.rating);
+
+    this.createFloatingText(this.width / 2, this.height / 2, 'SECTOR CLEAR', '#00ff88', 36);
+    if (this.player) {
+      this.particles.createCollectEffect(this.player.position.x, this.player.position.y, '#00ff88');
+    }
+  }
+
+  /**
+   * Spawn one entry from the wave's spawn table
+   */
+  spawnFromTable() {
+    const type = this.rng.weighted(this.getTypeWeights(this.waveSettings.spawnTable));
+    if (type) this.spawnType(type);
+  }
+
+  /**
+   * Spawn an asteroid or a world prefab (e.g. an enemy) above the screen,
+   * or off an arena edge in space-sim
+   */
+  spawnType(type) {
+    if (type === 'asteroid') {
+      this.spawnAsteroid();
+      return;
+    }
+
+    if (this.bossSystem.active) return;
+    if (this.isEnemyType(type)) {
+      this.spawnFormation(type);
+      return;
+    }
+
+    if (this.config.mode === 'space-sim') {
+      // Hazards don't move, so they go straight into the arena
+      if (this.world.prefabs.get(type)?.hazard) {
+        this.spawnHazard(type);
+        return;
+      }
+      const { x, y, angle } = this.getArenaSpawn(50);
+      this.world.spawn(type, { body: { x, y, angle } });
+      return;
+    }
+
+    const margin = 100;
+    this.world.spawn(type, {
+      body: { x: margin + this.rng.next() * (this.width - margin * 2), y: -50 }
+    });
+  }
+
+  isEnemyType(type) {
+    const prefab = this.world.prefabs.get(type);
+    return Boolean(prefab && prefab.enemy);
+  }
+
+  /**
+   * Spawn a squad of enemy ships above the screen (see Enemies.js). In
+   * space-sim the squad comes in off an arena edge and holds near the middle.
+   * @param {string} type - Enemy prefab
+   * @param {string} [pattern] - FORMATIONS layout; defaults to the prefab's squad
+   * @param {number} [count] - Ships in the squad; defaults to the prefab's squad
+   */
+  spawnFormation(type, pattern = null, count = null) {
+    if (this.bossSystem.active) return [];
+
+    const squad = this.world.prefabs.get(type).enemy.squad;
+    pattern = pattern || squad.pattern;
+    count = count || squad.count;
+    const layout = FORMATIONS[pattern];
+    const slots = Array.from({ length: count }, (_, i) => layout(i, count, squad.spacing));
+
+    let anchorX;
+    let anchorY;
+    let heading = { angle: Math.PI / 2, dirX: 0, dirY: 1, travel: Infinity };
+    if (this.config.mode === 'space-sim') {
+      const spawn = this.getArenaSpawn(60);
+      anchorX = spawn.x;
+      anchorY = spawn.y;
+      heading = {
+        angle: spawn.angle,
+        dirX: Math.cos(spawn.angle),
+        dirY: Math.sin(spawn.angle),
+        travel: Math.hypot(this.width / 2 - spawn.x, this.height / 2 - spawn.y)
+      };
+    } else {
+      // Keep the whole squad on screen
+      const halfWidth = Math.max(...slots.map(slot => Math.abs(slot.x))) + (pattern === 'wave' ? FORMATION_SWAY : 0) + 40;
+      const span = Math.max(0, this.width - halfWidth * 2);
+      anchorX = this.width / 2 + (this.rng.next() - 0.5) * span;
+      anchorY = -60;
+    }
+
+    return slots.map((slot, i) => this.world.spawn(type, {
+      body: {
+        x: anchorX + slot.y * heading.dirX + slot.x * heading.dirY,
+        y: anchorY + slot.y * heading.dirY - slot.x * heading.dirX,
+        angle: heading.angle
+      },
+      formation: {
+        anchorX,
+        anchorY,
+        dirX: heading.dirX,
+        dirY: heading.dirY,
+        travel: heading.travel,
+        speed: squad.speed,
+        offsetX: slot.x,
+        offsetY: slot.y,
+        sway: pattern === 'wave' ? FORMATION_SWAY : 0,
+        diveAfter: squad.diveAfter === null ? null : squad.diveAfter + i * 0.5
+      }
+    }));
+  }
+
+  /**
+   * Handle an asteroid destroyed by player fire: score, XP, effects, split
+   */
+  destroyAsteroid(asteroid) {
+      // Increase combo
+      this.increaseCombo();
       
-      // Remove if expired or off-screen (lane-shooter mode)
-      if (hazard.timer >= hazard.duration) {
-        this.hazards.splice(i, 1);
-        continue;
+      // Score points with combo multiplier
+      const scoreMap = { small: 100, medium: 50, large: 25, huge: 10 };
+      const baseScore = scoreMap[asteroid.size] || 10;
+      const finalScore = this.creditKill(baseScore);
+      
+      // Create floating score text
+      const scoreColor = this.comboSystem.count > 5 ? '#ffff00' : '#ffaa00';
+      this.createFloatingText(
+        asteroid.position.x,
+        asteroid.position.y,
+        `+${finalScore}`,
+        scoreColor,
+        20 + Math.min(this.comboSystem.count, 10)
+      );
+      
+      // Add experience
+      this.addExperience(baseScore / 10);
+      
+      // Create explosion
+      this.particles.createExplosion(
+        asteroid.position.x,
+        asteroid.position.y,
+        30,
+        '#ff6600',
+        200
+      );
+      this.particles.createDebris(
+        asteroid.position.x,
+        asteroid.position.y,
+        15,
+        asteroid.color
+      );
+      
+      // Explosive asteroids blow apart and start a chain; the rest split
+      if (asteroid.variant && this.detonate(asteroid)) {
+        this.removeEntity('asteroid', asteroid);
+      } else {
+        this.splitAsteroid(asteroid);
       }
       
-      if (this.config.mode === 'lane-shooter' && hazard.position.y > this.height + 150) {
-        this.hazards.splice(i, 1);
-        continue;
+      // Chance to spawn power-up
+      if (this.rng.chance(this.getPowerUpChance())) {
+        this.spawnPowerUp(asteroid.position.x, asteroid.position.y);
       }
       
-      this.updateHazard(hazard, deltaTime);
+      this.screenShake(5, 0.15);
+  }
+
+  /**
+   * Targets a player shot swept through this step (see Projectile.getSweep):
+   * asteroid outlines, enemy ships and the boss, nearest first
+   * @returns {Object[]} [{ t, layer, target }] - t is how far along the path (0-1) it was hit
+   */
+  sweepProjectile(proj) {
+    const [tail, head] = proj.getSweep();
+    const x = (tail.x + head.x) / 2;
+    const y = (tail.y + head.y) / 2;
+    // Every target is tested against the bolt's full width, not just its centre line
+    const pad = proj.width / 2;
+    const reach = Math.hypot(head.x - tail.x, head.y - tail.y) / 2 + pad;
+    const hits = [];
+
+    // Broadphase candidates, bounding circles, then the asteroid's outline
+    for (const asteroid of this.broadphase.query(x, y, reach, 'asteroid', this.queryBuffer)) {
+      if (proj.hitTargets.includes(asteroid)) continue;
+      if (!CollisionSystem.lineCircleIntersection(tail, head, asteroid.position, asteroid.radius + pad)) continue;
+      const t = CollisionSystem.segmentEntry(tail, head, asteroid.position, asteroid.getPolygon(), pad);
+      if (t !== null) hits.push({ t, layer: 'asteroid', target: asteroid });
+    }
+
+    for (const ship of this.broadphase.query(x, y, reach, 'enemy', this.queryBuffer)) {
+      if (!ship.alive || proj.hitTargets.includes(ship)) continue;
+      const hit = CollisionSystem.lineCircleIntersection(tail, head, ship.position, ship.collider.radius + pad);
+      if (hit) hits.push({ t: hit.t, layer: 'enemy', target: ship });
+    }
+
+    if (this.bossSystem.active) {
+      for (const boss of this.broadphase.query(x, y, reach, 'boss', this.queryBuffer)) {
+        const hit = CollisionSystem.lineCircleIntersection(tail, head, boss.position, boss.collider.radius + pad);
+        if (hit) hits.push({ t: hit.t, layer: 'boss', target: boss });
+      }
+    }
+
+    return hits.sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Apply one swept hit of a player shot
+   * @returns {boolean} True if the shot is used up (the caller removes it)
+   */
+  applyProjectileHit(proj, { t, layer, target }, worldDelta) {
+    const [tail, head] = proj.getSweep();
+    const point = new Vector2D(tail.x + (head.x - tail.x) * t, tail.y + (head.y - tail.y) * t);
+
+    if (layer === 'boss') {
+      // Through the open weak point anywhere on the path, otherwise the hull
+      // (unless it's still on course for the weak point - let it fly on)
+      const weakPoint = target.weakPoint;
+      const weakPointHit = !!weakPoint && weakPoint.state === 'open' && !!CollisionSystem.lineCircleIntersection(
+        tail,
+        head,
+        new Vector2D(target.position.x + weakPoint.offsetX, target.position.y + weakPoint.offsetY),
+        weakPoint.radius
+      );
+      if (!weakPointHit && this.getBossHitZone(target, proj) === 'incoming') return false;
+
+      proj.position.set(point.x, point.y);
+      this.damageBoss(target, proj.damage, point, weakPointHit);
+      return true;
+    }
+
+    if (layer === 'enemy') {
+      // An earlier hit on this path may have blown it up already
+      if (!target.alive) return false;
+      const passes = this.pierceTarget(proj, target);
+      if (!passes) proj.position.set(point.x, point.y);
+      this.damageEnemy(target, proj.damage, { position: point, velocity: proj.velocity });
+      return !passes;
+    }
+
+    if (!this.asteroids.includes(target)) return false;
+
+    const destroyed = target.takeDamage(proj.damage);
+    if (!destroyed) {
+      this.knockAsteroid(target, proj, point, worldDelta);
+    }
+    this.particles.createDamageSparks(point.x, point.y, proj.velocity, '#ffaa00');
+
+    // Piercing rounds fly on
+    const passes = this.pierceTarget(proj, target);
+    if (!passes) proj.position.set(point.x, point.y);
+
+    if (destroyed) {
+      this.destroyAsteroid(target);
+    }
+    return !passes;
+  }
+
+  /**
+   * Let a piercing projectile pass through a target it hit (once per target)
+   * @returns {boolean} True if it flies on, false if the hit used it up
+   */
+  pierceTarget(proj, target) {
+    if (proj.pierce <= 0) return false;
+    proj.pierce--;
+    proj.hitTargets.push(target);
+    return true;
+  }
+
+  /**
+   * Damage an enemy ship with a player projectile
+   * @returns {boolean} True if the ship was destroyed
+   */
+  damageEnemy(entity, amount, proj) {
+    entity.health.current -= amount;
+    this.particles.createDamageSparks(proj.position.x, proj.position.y, proj.velocity, entity.enemy.color);
+
+    if (entity.health.current <= 0) {
+      this.destroyEnemy(entity);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove an enemy ship with an explosion
+   * @param {boolean} [scored=true] - Shot down by the player: combo, score, XP and loot
+   */
+  destroyEnemy(entity, scored = true) {
+    if (!entity.alive) return;
+    const { x, y } = entity.position;
+    const enemy = entity.enemy;
+
+    this.particles.createExplosion(x, y, 25, enemy.color, 220);
+    this.particles.createDebris(x, y, 10, enemy.color);
+    this.world.destroy(entity);
+
+    if (!scored) return;
+
+    this.increaseCombo();
+    const finalScore = this.creditKill(enemy.score);
+    this.createFloatingText(x, y, `+${finalScore}`, this.comboSystem.count > 5 ? '#ffff00' : '#ffaa00', 20 + Math.min(this.comboSystem.count, 10));
+    this.addExperience(enemy.score / 10);
+
+    if (this.rng.chance(this.getPowerUpChance())) {
+      this.spawnPowerUp(x, y);
+    }
+    this.screenShake(5, 0.15);
+  }
+
+  /**
+   * Fire a projectile that hurts the player (bosses, enemies)
+   */
+  fireEnemyProjectile(x, y, angle, speed, damage, color = '#ff3366') {
+    const proj = this.pools.projectile.acquire(
+      new Vector2D(x, y),
+      Vector2D.fromAngle(angle, speed),
+      angle,
+      damage,
+      color
+    );
+    proj.hostile = true;
+    proj.lifetime = 5.0;
+    this.addEntity('projectile', proj);
+    return proj;
+  }
+
+  /**
+   * Damage the player with the usual feedback (shield pulse or red flash)
+   * @returns {boolean} True if the ship was destroyed
+   */
+  damagePlayer(amount) {
+    if (!this.player || this.player.invulnerable) return false;
+
+    const destroyed = this.player.takeDamage(amount);
+    if (this.player.shield.active) {
+      this.triggerShieldPulse();
+    } else {
+      this.triggerDamageFlash();
+      this.createFloatingText(this.player.position.x, this.player.position.y - 40, `-${amount} HP`, '#ff0055', 18);
+    }
+
+    // An Extra Life brings the ship back instead
+    if (destroyed && this.extraLives > 0) {
+      this.extraLives--;
+      this.player.health = this.player.maxHealth;
+      this.player.invulnerabilityTimer = Math.max(this.player.invulnerabilityTimer, 3);
+      this.particles.createExplosion(this.player.position.x, this.player.position.y, 40, POWER_UPS.extraLife.color, 250);
+      this.createFloatingText(this.player.position.x, this.player.position.y - 60, 'EXTRA LIFE', POWER_UPS.extraLife.color, 24);
+      return false;
+    }
+    return destroyed;
+  }
+
+  /**
+   * Which part of a boss a projectile inside its hull hits: 'weakPoint',
+   * 'incoming' (on course for the open weak point - let it fly on) or 'hull'
+   */
+  getBossHitZone(entity, proj) {
+    const weakPoint = entity.weakPoint;
+    if (!weakPoint || weakPoint.state !== 'open') return 'hull';
+
+    const center = new Vector2D(entity.position.x + weakPoint.offsetX, entity.position.y + weakPoint.offsetY);
+    if (proj.position.distanceTo(center) <= weakPoint.radius) return 'weakPoint';
+
+    const ahead = Vector2D.add(proj.position, proj.velocity.clone().setMagnitude(entity.collider.radius * 2));
+    return CollisionSystem.lineCircleIntersection(proj.position, ahead, center, weakPoint.radius) ? 'incoming' : 'hull';
+  }
+
+  /**
+   * Damage a boss; armour soaks most of it unless the weak point was hit
+   * Bosses can't be hurt while entering or changing phase.
+   * @returns {boolean} True if the boss was defeated
+   */
+  damageBoss(entity, amount, position, weakPointHit = false) {
+    const boss = entity.boss;
+    if (boss.state !== 'fighting') {
+      this.particles.createShieldHit(position.x, position.y, boss.color);
+      return false;
+    }
+
+    if (weakPointHit) {
+      entity.health.current -= amount * entity.weakPoint.multiplier;
+      this.particles.createDamageSparks(position.x, position.y, Vector2D.fromAngle(-Math.PI / 2, 200), '#ffff00');
+      this.createFloatingText(position.x, position.y - 20, 'CRITICAL', '#ffff00', 16);
+    } else {
+      entity.health.current -= amount * boss.armor;
+      this.particles.createDamageSparks(position.x, position.y, Vector2D.fromAngle(-Math.PI / 2, 200), '#ffaa00');
+    }
+
+    if (entity.health.current <= 0) {
+      this.defeatBoss(entity);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Phase change feedback: shockwave, banner and cleared enemy fire
+   */
+  bossPhaseTransition(entity) {
+    const { x, y } = entity.position;
+    const boss = entity.boss;
+
+    this.particles.createExplosion(x, y, 60, boss.color, 350);
+    this.createFloatingText(x, y + entity.collider.radius + 30, `PHASE ${boss.phase}`, boss.color, 28);
+    this.screenShake(20, 0.6);
+
+    // Give the player a breather - dissolve the boss's shots
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const proj = this.projectiles[i];
+      if (!proj.hostile) continue;
+      this.particles.createShieldHit(proj.position.x, proj.position.y, proj.color);
+      this.removeEntity('projectile', proj, i);
+    }
+
+    if (entity.weakPoint) {
+      entity.weakPoint.state = 'closed';
+      entity.weakPoint.timer = entity.weakPoint.closed;
+    }
+  }
+
+  /**
+   * Boss destroyed: score, XP, loot and a big explosion
+   */
+  defeatBoss(entity) {
+    const { x, y } = entity.position;
+    const boss = entity.boss;
+
+    this.increaseCombo();
+    const finalScore = this.creditKill(boss.score);
+    this.createFloatingText(x, y, `+${finalScore}`, '#ffff00', 30);
+    this.addExperience(boss.score / 10);
+
+    this.particles.createExplosion(x, y, 80, boss.color, 400);
+    this.particles.createDebris(x, y, 40, boss.color);
+    this.screenShake(30, 1.0);
+
+    // Spawn multiple power-ups
+    for (let k = 0; k < 3; k++) {
+      this.spawnPowerUp(x + this.rng.spread(100), y + this.rng.spread(100));
+    }
+
+    this.world.destroy(entity);
+    this.bossSystem.active = false;
+    this.bossSystem.boss = null;
+    this.advanceObjective('boss');
+  }
+
+  /**
+   * Replace an asteroid with its fragments
+   */
+  splitAsteroid(asteroid) {
+    const fragments = asteroid.split(
+      (x, y, size, velocity, rng) => this.pools.asteroid.acquire(x, y, size, velocity, rng)
+    );
+    this.removeEntity('asteroid', asteroid);
+    fragments.forEach(fragment => this.addEntity('asteroid', fragment));
+    return fragments;
+  }
+
+  /**
+   * Entity list for a broadphase layer
+   */
+  getEntityList(layer) {
+    switch (layer) {
+      case 'asteroid': return this.asteroids;
+      case 'projectile': return this.projectiles;
+      case 'powerUp': return this.powerUps;
+      default: throw new Error(`Unknown entity layer: ${layer}`);
     }
+  }
+
+  /**
+   * Bounding radius used to bucket an entity in the broadphase
+   */
+  getEntityRadius(layer, entity) {
+    return layer === 'projectile' ? entity.width / 2 : entity.radius;
+  }
 
-    // Spawn asteroids
-    this.asteroidSpawnTimer += deltaTime;
-    if (this.asteroidSpawnTimer >= this.config.asteroidSpawnRate) {
-      this.asteroidSpawnTimer = 0;
-      this.spawnAsteroid();
-    }
+  /**
+   * Add an entity to its list and the broadphase
+   */
+  addEntity(layer, entity) {
+    this.getEntityList(layer).push(entity);
+    this.broadphase.insert(entity, this.getEntityRadius(layer, entity), layer);
+    return entity;
+  }
 
-    // Spawn hazards
-    this.hazardSpawnTimer += deltaTime;
-    if (this.hazardSpawnTimer >= this.hazardSpawnInterval && this.wave > 2) {
-      this.hazardSpawnTimer = 0;
-      this.spawnHazard();
+  /**
+   * Remove an entity from its list and the broadphase
+   * Pooled entities are queued for release at the end of the step.
+   * @param {number} [index] - Known list index (skips the lookup in backward loops)
+   */
+  removeEntity(layer, entity, index = this.getEntityList(layer).indexOf(entity)) {
+    const list = this.getEntityList(layer);
+    if (index !== -1 && list[index] === entity) {
+      list.splice(index, 1);
     }
+    this.broadphase.remove(entity);
 
-    // Wave progression
-    this.waveTimer += deltaTime;
-    if (this.waveTimer >= this.waveInterval) {
-      this.waveTimer = 0;
-      this.wave++;
-      this.config.asteroidSpawnRate *= this.config.asteroidSpawnIncrease;
-      this.config.maxAsteroids += 2;
-      this.config.difficultyMultiplier += 0.1;
-      
-      // Boss wave check
-      if (this.wave % this.config.bossWaveInterval === 0) {
-        this.spawnBoss();
-      }
+    const pool = this.pools[layer];
+    if (pool) {
+      pool.releaseLater(entity);
     }
+  }
 
-    // Update effects
-    this.particles.update(deltaTime);
-    this.starField.update(deltaTime, this.config.scrollSpeed);
+  /**
+   * Return entities removed this step to their pools
+   */
+  flushPools() {
+    this.pools.asteroid.flush();
+    this.pools.projectile.flush();
+  }
 
-    // Update camera shake
-    if (this.shake.duration > 0) {
-      this.shake.duration -= deltaTime;
-      this.shake.x = (Math.random() - 0.5) * this.shake.intensity;
-      this.shake.y = (Math.random() - 0.5) * this.shake.intensity;
-    } else {
-      this.shake.x = 0;
-      this.shake.y = 0;
-    }
-    
-    // Update enhanced UI elements
-    this.updateEnhancedUI(deltaTime);
+  /**
+   * Pool statistics for the debug overlay
+   */
+  getPoolStats() {
+    return [
+      this.pools.projectile.getStats(),
+      this.pools.asteroid.getStats(),
+      this.particles.pool.getStats(),
+      this.pools.floatingText.getStats()
+    ];
   }
 
   /**
@@ -1106,6 +2511,7 @@ export class GameEngine {
       
       if (text.age >= text.lifetime) {
         this.uiSystem.floatingTexts.splice(i, 1);
+        this.pools.floatingText.release(text);
       }
     }
     
@@ -1129,14 +2535,85 @@ export class GameEngine {
       }
     }
     
-    // Update FPS counter
+  }
+
+  /**
+   * Advance the simulation by a real frame delta using a fixed-step accumulator.
+   * Physics, combo and spawn timers always see the same step regardless of
+   * refresh rate; rendering interpolates between the last two steps.
+   * @param {number} frameDelta - Seconds since the last rendered frame
+   * @returns {number} Number of simulation steps taken
+   */
+  advance(frameDelta) {
+    // Update FPS counter (rendered frames, not simulation steps)
     this.uiSystem.frameCount++;
-    this.uiSystem.fpsTimer += deltaTime;
+    this.uiSystem.fpsTimer += frameDelta;
     if (this.uiSystem.fpsTimer >= 1.0) {
       this.uiSystem.fps = this.uiSystem.frameCount;
       this.uiSystem.frameCount = 0;
       this.uiSystem.fpsTimer = 0;
     }
+
+    if (this.state !== 'playing') return 0;
+
+    const step = this.config.fixedTimeStep;
+    const loop = this.simulationLoop;
+
+    // Clamp long stalls (tab switch, debugger) to the catch-up limit
+    loop.accumulator += Math.min(Math.max(0, frameDelta), step * this.config.maxStepsPerFrame);
+
+    const started = now();
+    let steps = 0;
+    while (loop.accumulator >= step && this.state === 'playing') {
+      this.stepSimulation();
+      loop.accumulator -= step;
+      steps++;
+    }
+
+    this.perf.simulationMs = now() - started;
+    this.perf.steps = steps;
+    loop.alpha = loop.accumulator / step;
+    return steps;
+  }
+
+  /**
+   * Run fixed simulation steps directly, without rendering (headless stepping)
+   * @param {number} [count=1] - Steps to run; stops early if the run ends
+   * @returns {number} Number of steps taken
+   */
+  step(count = 1) {
+    let steps = 0;
+    while (steps < count && this.state === 'playing') {
+      this.stepSimulation();
+      steps++;
+    }
+    this.simulationLoop.alpha = 1;
+    return steps;
+  }
+
+  /**
+   * Simulate a span of game time in fixed steps, without rendering
+   */
+  simulate(seconds) {
+    return this.step(Math.round(seconds / this.config.fixedTimeStep));
+  }
+
+  /**
+   * Single fixed step: remember poses for interpolation, then update
+   */
+  stepSimulation() {
+    this.getInterpolatedBodies().forEach(body => body.storePreviousState());
+    this.update(this.config.fixedTimeStep);
+  }
+
+  /**
+   * Bodies whose render pose is interpolated between steps
+   */
+  getInterpolatedBodies() {
+    const bodies = [...this.asteroids, ...this.projectiles, ...this.powerUps];
+    this.world.query('body').forEach(entity => bodies.push(entity.body));
+    if (this.player) bodies.push(this.player);
+    return bodies;
   }
 
   /**
@@ -1162,235 +2639,133 @@ export class GameEngine {
       18
     );
 
-    // Apply effect
-    switch (powerUp.type) {
-      case 'health':
-        this.player.heal(30);
-        this.createFloatingText(powerUp.position.x, powerUp.position.y - 20, '+30 HP', '#00ff88', 16);
-        break;
-        
-      case 'shield':
-        this.player.shield.powerUpActive = true;
-        this.player.shield.powerUpTimer = 10; // 10 seconds
-        this.player.activateShield();
-        this.player.shield.strength = this.player.shield.maxStrength; // Fully charge the shield
-        this.triggerShieldPulse();
-        break;
-        
-      case 'weapon':
-        // Cycle through special weapons
-        const weapons = ['laser', 'missile', 'shotgun'];
-        const randomWeapon = weapons[Math.floor(Math.random() * weapons.length)];
-        this.weaponSystem.currentWeapon = randomWeapon;
-        this.weaponSystem.activeWeaponTimer = this.weaponSystem.weapons[randomWeapon].duration;
-        break;
-        
-      case 'speed':
-        this.config.maxSpeedX *= 1.2; // Increase max horizontal speed by 20%
-        this.createFloatingText(powerUp.position.x, powerUp.position.y - 20, 'Max Speed++', '#ffaa00', 16);
-        break;
+    // Apply effect: instant part, then the timed part (stacking per PowerUps.js)
+    const effect = POWER_UPS[powerUp.type];
+    if (effect.apply) {
+      effect.apply(this, powerUp);
+    }
+    if (effect.duration) {
+      this.startPowerUpEffect(powerUp.type);
     }
 
-    this.score += Math.floor(50 * this.comboSystem.multiplier);
+    this.addScore(Math.floor(50 * this.getScoreMultiplier()));
     this.addExperience(5);
+    this.advanceObjective('collect');
   }
 
   /**
-   * Screen shake effect
+   * Start a timed power-up effect, or stack it onto the running one
    */
-  screenShake(intensity, duration) {
-    this.shake.intensity = intensity;
-    this.shake.duration = duration;
+  startPowerUpEffect(type) {
+    const { duration, stacking, maxDuration = Infinity, maxStacks = 1 } = POWER_UPS[type];
+    const effect = this.uiSystem.powerUpTimers[type];
+
+    if (!effect) {
+      this.uiSystem.powerUpTimers[type] = { timer: duration, duration, stacks: 1 };
+      return;
+    }
+
+    switch (stacking) {
+      case 'extend':
+        effect.timer = Math.min(maxDuration, effect.timer + duration);
+        effect.duration = Math.max(effect.duration, effect.timer);
+        break;
+      case 'stack':
+        effect.stacks = Math.min(maxStacks, effect.stacks + 1);
+        effect.timer = duration;
+        break;
+      default: // refresh
+        effect.timer = duration;
+    }
   }
 
   /**
-   * Render game
+   * Stacks of a timed power-up effect (0 when it isn't running)
    */
-  render() {
-    // Clear screen
-    this.ctx.fillStyle = '#0a0e1a';
-    this.ctx.fillRect(0, 0, this.width, this.height);
-
-    // Apply camera shake
-    this.ctx.save();
-    this.ctx.translate(this.shake.x, this.shake.y);
-
-    // Render star field
-    this.starField.render(this.ctx);
-
-    // Render hazards (background)
-    this.renderHazards();
-
-    // Render particles (background layer)
-    this.particles.render(this.ctx);
-
-    // Render power-ups
-    this.powerUps.forEach(powerUp => powerUp.render(this.ctx));
-
-    // Render asteroids
-    this.asteroids.forEach(asteroid => asteroid.render(this.ctx));
+  getPowerUpStacks(type) {
+    const effect = this.uiSystem.powerUpTimers[type];
+    return effect ? effect.stacks : 0;
+  }
 
-    // Render projectiles
-    this.projectiles.forEach(proj => proj.render(this.ctx));
+  /**
+   * Multiplier for points scored: the combo, times the Score Doubler
+   */
+  getScoreMultiplier() {
+    return this.comboSystem.multiplier * (1 + this.getPowerUpStacks('scoreDoubler'));
+  }
 
-    // Render player
-    if (this.player) {
-      this.player.render(this.ctx);
+  /**
+   * Score a kill: the score multiplier, then the bonus for the lane the ship
+   * is in (lane-shooter). The kill goes into the scoreBreakdown.lanes entry
+   * for that lane's multiplier - lane shifts renumber lanes mid-run, so the
+   * index isn't a stable key. Kills in other modes go into scoreBreakdown.kills.
+   * @param {number} baseScore - Points before multipliers
+   * @returns {number} Points scored
+   */
+  creditKill(baseScore) {
+    const points = Math.floor(baseScore * this.getScoreMultiplier());
+    this.kills++;
+
+    if (this.config.mode !== 'lane-shooter') {
+      this.scoreBreakdown.kills.kills++;
+      this.scoreBreakdown.kills.points += points;
+      this.score += points;
+      return points;
     }
 
-    this.ctx.restore();
-
-
+    const multiplier = Math.round(this.getLaneScoreMultiplier() * 100) / 100;
+    const finalScore = Math.floor(points * multiplier);
+    const lanes = this.scoreBreakdown.lanes;
+    let entry = lanes.find(lane => lane.multiplier === multiplier);
+    if (!entry) {
+      entry = { multiplier, kills: 0, points: 0, bonus: 0 };
+      lanes.push(entry);
+      lanes.sort((a, b) => a.multiplier - b.multiplier);
+    }
+    entry.kills++;
+    entry.points += finalScore;
+    entry.bonus += finalScore - points; // Negative for lanes below x1
+    this.score += finalScore;
+    return finalScore;
   }
 
   /**
-   * Render environmental hazards
+   * Score that isn't a kill (pickups, combo bonuses) - no lane bonus
    */
-  renderHazards() {
-    this.hazards.forEach(hazard => {
-      this.ctx.save();
-      
-      if (hazard.type === 'blackhole') {
-        // Render black hole with gradient
-        const gradient = this.ctx.createRadialGradient(
-          hazard.position.x, hazard.position.y, 0,
-          hazard.position.x, hazard.position.y, hazard.radius
-        );
-        gradient.addColorStop(0, 'rgba(153, 51, 255, 0.8)');
-        gradient.addColorStop(0.5, 'rgba(102, 0, 204, 0.4)');
-        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        
-        this.ctx.fillStyle = gradient;
-        this.ctx.beginPath();
-        this.ctx.arc(hazard.position.x, hazard.position.y, hazard.radius, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        // Inner core
-        this.ctx.fillStyle = '#000000';
-        this.ctx.beginPath();
-        this.ctx.arc(hazard.position.x, hazard.position.y, hazard.radius * 0.3, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-      } else if (hazard.type === 'nebula') {
-        // Render nebula cloud
-        const gradient = this.ctx.createRadialGradient(
-          hazard.position.x, hazard.position.y, 0,
-          hazard.position.x, hazard.position.y, hazard.radius
-        );
-        gradient.addColorStop(0, 'rgba(100, 150, 255, 0.3)');
-        gradient.addColorStop(0.7, 'rgba(50, 100, 200, 0.1)');
-        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        
-        this.ctx.fillStyle = gradient;
-        this.ctx.beginPath();
-        this.ctx.arc(hazard.position.x, hazard.position.y, hazard.radius, 0, Math.PI * 2);
-        this.ctx.fill();
-      }
-      
-      this.ctx.restore();
-    });
+  addScore(points) {
+    this.score += points;
+    this.scoreBreakdown.other += points;
   }
 
+  /**
+   * Speed of everything but the player (time-slow ability, Slow Motion power-up)
+   */
+  getTimeScale() {
+    const slowMotion = this.getPowerUpStacks('slowMotion') > 0 ? POWER_UPS.slowMotion.timeScale : 1;
+    return this.abilitySystem.timeScale * slowMotion;
+  }
 
+  /**
+   * Screen shake effect
+   */
+  screenShake(intensity, duration) {
+    this.shake.intensity = intensity;
+    this.shake.duration = duration;
+  }
 
   /**
-   * Render enhanced UI elements (lane-shooter mode)
+   * Render game
    */
-  renderEnhancedUI() {
-    this.ctx.save();
-    
-    // Render floating texts
-    for (let i = this.uiSystem.floatingTexts.length - 1; i >= 0; i--) {
-      const text = this.uiSystem.floatingTexts[i];
-      
-      this.ctx.fillStyle = text.color;
-      this.ctx.globalAlpha = text.alpha;
-      this.ctx.font = `bold ${text.size}px Arial`;
-      this.ctx.textAlign = 'center';
-      this.ctx.shadowBlur = 10;
-      this.ctx.shadowColor = text.color;
-      this.ctx.fillText(text.text, text.x, text.y);
-    }
-    
-    // Damage flash (red tint on damage)
-    if (this.uiSystem.damageFlash.active && this.uiSystem.damageFlash.alpha > 0) {
-      this.ctx.fillStyle = `rgba(255, 0, 0, ${this.uiSystem.damageFlash.alpha})`;
-      this.ctx.fillRect(0, 0, this.width, this.height);
-    }
-    
-    // Shield pulse (blue tint on shield activation)
-    if (this.uiSystem.shieldPulse.active && this.uiSystem.shieldPulse.alpha > 0) {
-      this.ctx.strokeStyle = `rgba(0, 240, 255, ${this.uiSystem.shieldPulse.alpha})`;
-      this.ctx.lineWidth = 6;
-      this.ctx.strokeRect(10, 10, this.width - 20, this.height - 20);
-    }
-    
-    // Blackhole telegraph warnings
-    this.hazards.forEach(hazard => {
-      if (hazard.type === 'blackhole' && hazard.telegraph && hazard.telegraphTimer > 0) {
-        const alpha = Math.min(1.0, hazard.telegraphTimer / 0.6);
-        const pulseSize = 1 + Math.sin(Date.now() * 0.01) * 0.1;
-        
-        this.ctx.globalAlpha = alpha * 0.7;
-        this.ctx.strokeStyle = '#ff0055';
-        this.ctx.lineWidth = 4;
-        this.ctx.setLineDash([10, 10]);
-        this.ctx.beginPath();
-        this.ctx.arc(hazard.position.x, hazard.position.y, hazard.radius * pulseSize, 0, Math.PI * 2);
-        this.ctx.stroke();
-        this.ctx.setLineDash([]);
-        
-        // Warning text
-        this.ctx.fillStyle = '#ff0055';
-        this.ctx.font = 'bold 18px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('⚠ BLACKHOLE', hazard.position.x, hazard.position.y - hazard.radius - 20);
-        this.ctx.font = 'bold 14px Arial';
-        this.ctx.fillText(`${hazard.telegraphTimer.toFixed(1)}s`, hazard.position.x, hazard.position.y);
-      }
-    });
-    
-    // Debug panel (F12 to toggle)
-    if (this.uiSystem.debugMode) {
-      const debugX = this.width - 200;
-      const debugY = 80;
-      const lineHeight = 20;
-      
-      this.ctx.globalAlpha = 0.8;
-      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-      this.ctx.fillRect(debugX - 10, debugY - 10, 190, 200);
-      
-      this.ctx.globalAlpha = 1.0;
-      this.ctx.fillStyle = '#00ff00';
-      this.ctx.font = 'bold 14px Arial';
-      this.ctx.textAlign = 'left';
-      
-      let lineY = debugY + 10;
-      this.ctx.fillText('=== DEBUG ===', debugX, lineY);
-      lineY += lineHeight;
-      this.ctx.fillText(`FPS: ${this.uiSystem.fps}`, debugX, lineY);
-      lineY += lineHeight;
-      this.ctx.fillText(`Entities: ${this.asteroids.length + this.projectiles.length + this.powerUps.length}`, debugX, lineY);
-      lineY += lineHeight;
-      this.ctx.fillText(`Asteroids: ${this.asteroids.length}`, debugX, lineY);
-      lineY += lineHeight;
-      this.ctx.fillText(`Projectiles: ${this.projectiles.length}`, debugX, lineY);
-      lineY += lineHeight;
-      this.ctx.fillText(`Power-ups: ${this.powerUps.length}`, debugX, lineY);
-      lineY += lineHeight;
-      this.ctx.fillText(`Hazards: ${this.hazards.length}`, debugX, lineY);
-      
-      if (this.player) {
-        lineY += lineHeight;
-        this.ctx.fillText(`Player vX: ${this.player.velocity.x.toFixed(1)}`, debugX, lineY);
-        lineY += lineHeight;
-        this.ctx.fillText(`Target vX: ${this.laneMovement.targetVelocityX.toFixed(1)}`, debugX, lineY);
-        lineY += lineHeight;
-        this.ctx.fillText(`Input: ${this.laneMovement.inputX}`, debugX, lineY);
-      }
-    }
-    
-    this.ctx.restore();
+  render() {
+    // Draw bodies between the last two simulation steps
+    const bodies = this.getInterpolatedBodies();
+    bodies.forEach(body => body.beginInterpolation(this.simulationLoop.alpha));
+
+    const started = now();
+    this.renderer.render(this);
+    this.perf.renderMs = now() - started;
+
+    bodies.forEach(body => body.endInterpolation());
   }
 
   /**
@@ -1425,7 +2800,7 @@ export class GameEngine {
   resetCombo() {
     if (this.comboSystem.count >= 10) {
       // Bonus for high combo
-      this.score += Math.floor(this.comboSystem.count * 50);
+      this.addScore(Math.floor(this.comboSystem.count * 50));
     }
     this.comboSystem.count = 0;
     this.comboSystem.timer = 0;
@@ -1434,6 +2809,7 @@ export class GameEngine {
 
   /**
    * Add experience and handle level ups
+   * Each level grants a skill point, spent on the upgrade choice screen.
    */
   addExperience(amount) {
     this.upgradeSystem.experience += amount;
@@ -1443,42 +2819,91 @@ export class GameEngine {
       this.upgradeSystem.level++;
       this.upgradeSystem.skillPoints++;
       this.upgradeSystem.experienceToNext = Math.floor(this.upgradeSystem.experienceToNext * 1.5);
-      
-      // Auto-upgrade for arcade gameplay
-      this.autoUpgrade();
     }
+
+    this.offerUpgrades();
   }
 
   /**
-   * Auto-upgrade system for seamless arcade experience
+   * Pause the run on the level-up screen with a few upgrade cards
+   * Replays take the recorded pick and scripted input (headless runs) picks
+   * through its chooseUpgrade() hook, so neither waits for the UI. Nothing is
+   * offered once the whole tree is maxed - the point stays unspent.
    */
-  autoUpgrade() {
-    // Rotate through upgrades
-    const upgrades = ['damage', 'fireRate', 'health', 'speed', 'shield'];
-    const randomUpgrade = upgrades[Math.floor(Math.random() * upgrades.length)];
-    this.upgradeSystem.upgrades[randomUpgrade]++;
-    
-    // Apply upgrade immediately
-    if (randomUpgrade === 'health' && this.player) {
-      this.player.maxHealth += 10;
-      this.player.heal(10);
-    } else if (randomUpgrade === 'speed' && this.player) {
-      this.player.maxSpeed += 20;
-    } else if (randomUpgrade === 'shield' && this.player) {
-      this.player.shield.maxStrength += 20;
-    } else if (randomUpgrade === 'fireRate' && this.player) {
-      this.player.weapons.fireRate = Math.max(0.05, this.player.weapons.fireRate * 0.95);
+  offerUpgrades() {
+    const system = this.upgradeSystem;
+    if (system.skillPoints <= 0 || this.state !== 'playing') return;
+
+    const choices = drawUpgradeChoices(this.rng, system.upgrades, this.config.upgradeChoices);
+    if (choices.length === 0) return;
+
+    system.choices = choices;
+    this.state = 'levelup';
+
+    if (this.replaySystem.player) {
+      // Logs without (or with an unusable) recorded pick take the first card
+      const recorded = this.replaySystem.player.nextChoice();
+      if (!recorded || !this.chooseUpgrade(recorded)) {
+        this.chooseUpgrade(choices[0].id);
+      }
+    } else if (this.input && this.input.chooseUpgrade) {
+      this.chooseUpgrade(this.input.chooseUpgrade(this, choices));
+    }
+  }
+
+  /**
+   * Take one of the offered upgrade cards and resume the run
+   * @param {string} id - Upgrade id from upgradeSystem.choices
+   * @returns {boolean} False if no such card is on offer
+   */
+  chooseUpgrade(id) {
+    const system = this.upgradeSystem;
+    const choice = system.choices.find(c => c.id === id);
+    if (this.state !== 'levelup' || !choice) {
+      console.error('[Engine] Upgrade not on offer:', id);
+      return false;
+    }
+
+    system.upgrades[id]++;
+    system.skillPoints--;
+    system.choices = [];
+    system.history.push({ id, name: choice.name, rank: system.upgrades[id], level: system.level - system.skillPoints, wave: this.wave });
+    if (choice.apply && this.player) {
+      choice.apply(this.player);
+    }
+    if (this.replaySystem.recorder) {
+      this.replaySystem.recorder.recordChoice(id);
+    }
+
+    if (this.player) {
+      this.createFloatingText(this.player.position.x, this.player.position.y - 60, `${choice.name} ${choice.rank}/${choice.max}`, '#00ff88', 22);
     }
+
+    this.state = 'playing';
+    // Several levels at once: offer the next set straight away
+    this.offerUpgrades();
+    return true;
+  }
+
+  /**
+   * Drop chance for a power-up from a kill
+   */
+  getPowerUpChance() {
+    return (this.waveSettings.powerUpChance + this.upgradeSystem.upgrades.salvage * 0.05) * this.comboSystem.multiplier;
   }
 
   /**
    * Find nearest asteroid to position
    */
-  findNearestAsteroid(position) {
+  findNearestAsteroid(position, searchRadius = 600) {
     let nearest = null;
     let minDist = Infinity;
+
+    // Look in nearby cells first; fall back to every asteroid if none are close
+    const nearby = this.broadphase.query(position.x, position.y, searchRadius, 'asteroid', this.queryBuffer);
+    const candidates = nearby.length > 0 ? nearby : this.asteroids;
     
-    for (const asteroid of this.asteroids) {
+    for (const asteroid of candidates) {
       const dist = Vector2D.distance(position, asteroid.position);
       if (dist < minDist) {
         minDist = dist;
@@ -1490,143 +2915,165 @@ export class GameEngine {
   }
 
   /**
-   * Check for chain reaction explosions
+   * Queue the blast of a destroyed explosive asteroid as the next link of
+   * `chain` (a new chain when null). Past CHAIN_LIMITS it just shatters.
+   * @param {Object} asteroid - The destroyed explosive asteroid
+   * @param {Object} [chain] - Chain the blast belongs to
+   * @param {boolean} [credit=true] - New chains only: false when the environment
+   *   set it off (see breakAsteroid) - its blasts still hit, but score nothing
+   * @returns {boolean} True if a blast was queued
    */
-  checkChainReaction(position, radius) {
-    for (let i = this.asteroids.length - 1; i >= 0; i--) {
-      const asteroid = this.asteroids[i];
-      const dist = Vector2D.distance(position, asteroid.position);
-      
-      if (dist < radius) {
-        const damaged = asteroid.takeDamage(20);
-        
-        if (damaged) {
-          // Recursive chain reaction
-          this.particles.createExplosion(
-            asteroid.position.x,
-            asteroid.position.y,
-            20,
-            '#ff9900',
-            150
-          );
-          this.createFloatingText(asteroid.position.x, asteroid.position.y - 30, 'CHAIN!', '#ff9900', 24);
-          
-          const scoreMap = { small: 50, medium: 25, large: 15, huge: 5 };
-          this.score += Math.floor(scoreMap[asteroid.size] * this.comboSystem.multiplier);
-          this.kills++;
-          
-          const fragments = asteroid.split();
-          this.asteroids.splice(i, 1);
-          this.asteroids.push(...fragments);
-          
-          // Continue chain
-          setTimeout(() => {
-            this.checkChainReaction(asteroid.position, radius * 0.7);
-          }, 100);
-        }
-      }
+  detonate(asteroid, chain = null, credit = true) {
+    const variant = ASTEROID_VARIANTS[asteroid.variant];
+    const chainSystem = this.chainSystem;
+    if (!variant || chainSystem.detonations.length >= CHAIN_LIMITS.maxPending) return false;
+    if (chain && chain.links >= CHAIN_LIMITS.maxLinks) return false;
+
+    if (!chain) {
+      chain = { links: 0, kills: 0, points: 0, pending: 0, credit };
     }
+    chain.links++;
+    chain.pending++;
+    chainSystem.detonations.push({
+      chain,
+      position: asteroid.position.clone(),
+      radius: asteroid.radius * variant.blastScale,
+      damage: variant.damage,
+      delay: variant.delay
+    });
+
+    // The HUD follows the player's chain that grew last
+    if (chain.credit) {
+      chainSystem.display = chain;
+      chainSystem.displayTimer = CHAIN_DISPLAY_TIME;
+    }
+    return true;
   }
 
   /**
-   * Update environmental hazard
+   * Count down queued blasts (simulation time, so replays match) and the HUD chain display
    */
-  updateHazard(hazard, deltaTime) {
-    if (hazard.type === 'blackhole') {
-      // Move blackhole position if it has velocity (lane-shooter mode)
-      if (hazard.velocity) {
-        hazard.position.x += hazard.velocity.x * deltaTime;
-        hazard.position.y += hazard.velocity.y * deltaTime;
-      }
-      
-      // Telegraph warning countdown
-      if (hazard.telegraph && hazard.telegraphTimer > 0) {
-        hazard.telegraphTimer -= deltaTime;
-        if (hazard.telegraphTimer <= 0) {
-          hazard.telegraph = false; // Now fully active
-        }
+  updateChainReactions(deltaTime, worldDelta) {
+    const chainSystem = this.chainSystem;
+    const detonations = chainSystem.detonations;
+
+    for (let i = detonations.length - 1; i >= 0; i--) {
+      const blast = detonations[i];
+      blast.delay -= worldDelta;
+      if (blast.delay <= 0) {
+        detonations.splice(i, 1);
+        this.chainBlast(blast);
       }
-      
-      // Only apply forces if telegraph phase is over
-      const isActive = !hazard.telegraph || hazard.telegraphTimer <= 0;
-      
-      if (isActive) {
-        // Apply gravitational pull to asteroids
-        this.asteroids.forEach(asteroid => {
-          const toHazard = Vector2D.subtract(hazard.position, asteroid.position);
-          const dist = toHazard.magnitude();
-          
-          if (dist < hazard.radius * 3) {
-            const force = toHazard.normalize().multiply(hazard.strength * 0.005); // Constant pull, adjusted multiplier
-            asteroid.velocity.add(force.multiply(deltaTime));
-          }
-        });
-        
-        // Pull projectiles (makes gameplay interesting)
-        this.projectiles.forEach(proj => {
-          const toHazard = Vector2D.subtract(hazard.position, proj.position);
-          const dist = toHazard.magnitude();
-          
-          if (dist < hazard.radius * 2) {
-            const force = toHazard.normalize().multiply(hazard.strength * 0.5 / (dist + 1));
-            proj.velocity.add(force.multiply(deltaTime));
-          }
-        });
-        
-        // Apply to player (horizontal-only in lane-shooter mode)
-        // Removed player pull as per user request
+    }
 
+    if (chainSystem.display && chainSystem.display.pending === 0) {
+      chainSystem.displayTimer -= deltaTime;
+      if (chainSystem.displayTimer <= 0) chainSystem.display = null;
+    }
+  }
+
+  /**
+   * Set off a blast: damage every asteroid in range, credit the kills to its
+   * chain (player chains only) and queue blasts for the explosive asteroids it destroys
+   */
+  chainBlast(blast) {
+    const { chain, position, radius, damage } = blast;
+    chain.pending--;
+
+    this.particles.createExplosion(position.x, position.y, 40, '#ff6600', 250);
+    this.screenShake(Math.min(4 + chain.links, 12), 0.2);
+
+    // Own result array - splitting below re-enters the broadphase
+    const candidates = this.broadphase.query(position.x, position.y, radius, 'asteroid');
+
+    for (const asteroid of candidates) {
+      if (Vector2D.distance(position, asteroid.position) > radius + asteroid.radius) continue;
+      if (!asteroid.takeDamage(damage)) continue;
+
+      chain.kills++;
+      this.particles.createDebris(asteroid.position.x, asteroid.position.y, 10, asteroid.color);
+      if (chain.credit) {
+        // Every kill in a chain feeds the combo like a shot would
+        this.increaseCombo();
+        const points = this.creditKill(CHAIN_KILL_SCORE[asteroid.size] || 5);
+        chain.points += points;
+        this.createFloatingText(asteroid.position.x, asteroid.position.y - 30, `+${points}`, '#ff9900', 20);
       }
-      
-      // Render effect
-      this.particles.createBlackHoleEffect(hazard.position.x, hazard.position.y, hazard.radius);
-      
-    } else if (hazard.type === 'nebula') {
-      // Slow down entities in nebula
-      if (this.player) {
-        const dist = Vector2D.distance(hazard.position, this.player.position);
-        if (dist < hazard.radius) {
-          this.player.velocity.multiply(0.98);
-        }
-      }
-      
-    } else if (hazard.type === 'meteor_shower') {
-      // Spawn rapid asteroids
-      hazard.spawnTimer += deltaTime;
-      if (hazard.spawnTimer >= hazard.spawnRate) {
-        hazard.spawnTimer = 0;
-        
-        const x = hazard.position.x + (Math.random() - 0.5) * hazard.radius;
-        const y = -50;
-        const velocity = new Vector2D(
-          (Math.random() - 0.5) * 100,
-          200 + Math.random() * 200
-        );
-        
-        const asteroid = new Asteroid(x, y, 'small', velocity);
-        this.asteroids.push(asteroid);
+
+      if (asteroid.variant && this.detonate(asteroid, chain)) {
+        this.removeEntity('asteroid', asteroid);
+      } else {
+        this.splitAsteroid(asteroid);
       }
     }
+
+    if (chain.pending === 0) {
+      this.finishChain(chain);
+    }
+  }
+
+  /**
+   * A chain burnt out: pay its length bonus and track the run's best
+   * (player chains only)
+   */
+  finishChain(chain) {
+    if (!chain.credit) return;
+
+    const bonus = getChainBonus(chain.links);
+    if (bonus > 0) {
+      this.addScore(bonus);
+      chain.points += bonus;
+      this.createFloatingText(this.width / 2, this.height * 0.3, `CHAIN x${chain.links}! +${bonus}`, '#ff6600', 32);
+    }
+    this.chainSystem.best = Math.max(this.chainSystem.best, chain.links);
   }
 
   /**
    * Start new game
+   * @param {number|string|null} [seed] - Run seed; defaults to config.seed, or a fresh one when unset
+   * @param {Object} [replay] - Replay log to play back instead of recording live input
    */
-  start() {
+  start(seed = null, replay = null) {
     console.log('[Engine] Starting game engine...');
+
+    // A live run after a replay (finished or abandoned) flies the viewer's own setup
+    if (!replay) {
+      this.endReplay();
+    }
+
+    // Reseed so the run is reproducible from getState().seed
+    this.seed = SeededRandom.normalizeSeed(seed ?? this.config.seed ?? SeededRandom.randomSeed());
+    this.rng.setSeed(this.seed);
+    this.fxRng = this.rng.fork(1);
+    this.particles.rng = this.fxRng;
+
     this.state = 'playing';
     this.score = 0;
+    this.scoreBreakdown = { lanes: [], kills: { kills: 0, points: 0 }, other: 0 };
     this.wave = 1;
+    this.resetLanes();
     this.kills = 0;
     this.time = 0;
+    this.pools.asteroid.releaseAll(this.asteroids);
+    this.pools.projectile.releaseAll(this.projectiles);
+    this.pools.floatingText.releaseAll(this.uiSystem.floatingTexts);
+    this.flushPools();
     this.asteroids = [];
     this.projectiles = [];
     this.powerUps = [];
-    this.hazards = [];
+    this.world.clear();
+    this.chainSystem = { detonations: [], display: null, displayTimer: 0, best: 0 };
+    this.extraLives = 0;
+    this.uiSystem.powerUpTimers = {};
+    this.uiSystem.floatingTexts.length = 0;
+    this.broadphase.clear();
     this.particles.clear();
-    this.config.asteroidSpawnRate = 2.0;
-    this.config.maxAsteroids = 20;
-    this.config.difficultyMultiplier = 1.0;
+    this.simulationLoop.accumulator = 0;
+    this.simulationLoop.alpha = 1;
+    this.asteroidSpawnTimer = 0;
+    this.waveTimer = 0;
+    this.hazardSpawnTimer = 0;
+    this.config.maxSpeedX = this.baseConfig.maxSpeedX * getHull(this.config.hull).handling;
     
     // Set fixed Y position for lane-shooter mode
     if (this.config.mode === 'lane-shooter') {
@@ -1647,30 +3094,155 @@ export class GameEngine {
       active: false,
       boss: null,
       phase: 1,
-      maxPhases: 3
+      maxPhases: 3,
+      encounters: 0
     };
     
-    // Reset weapon system
-    this.weaponSystem.currentWeapon = 'default';
-    this.weaponSystem.activeWeaponTimer = 0;
+    // Reset weapon system (the hangar may start the run on another weapon)
+    const baseWeapon = (this.config.loadout && this.config.loadout.weapon) || 'default';
+    this.weaponSystem.baseWeapon = baseWeapon;
+    this.weaponSystem.currentWeapon = baseWeapon;
+    this.weaponSystem.inventory = { [baseWeapon]: createWeaponSlot(baseWeapon, true) };
+    this.weaponSystem.charge = 0;
+    this.weaponSystem.cycleHeld = 0;
+    this.weaponSystem.beam = null;
+
+    // Reset abilities to the hull's set, all ready
+    this.abilitySystem = {
+      slots: createAbilitySlots(getHull(this.config.hull).actives),
+      held: [],
+      dash: null,
+      timeScale: 1,
+      timeSlowTimer: 0,
+      pulse: null
+    };
     
-    // Reset upgrade system (keep between games for progression)
+    // Reset upgrade system - the tree starts over every run
     this.upgradeSystem.level = 1;
     this.upgradeSystem.experience = 0;
     this.upgradeSystem.experienceToNext = 100;
+    this.upgradeSystem.skillPoints = 0;
+    this.upgradeSystem.upgrades = createUpgradeRanks();
+    this.upgradeSystem.choices = [];
+    this.upgradeSystem.history = [];
     
     this.setupPlayer();
+
+    // Level and first wave (after the boss reset - wave 1 may be a boss wave)
+    this.level = this.resolveLevel();
+    this.objective = this.level.objective
+      ? { type: this.level.objective.type, target: this.level.objective.target, progress: 0, rating: 0 }
+      : null;
+    this.beginWave(1);
     
-    // Lock player position for lane-shooter mode
+    // Lock player position for lane-shooter mode; space-sim ships start nose up
     if (this.config.mode === 'lane-shooter' && this.player) {
       this.player.position.y = this.config.fixedPlayerY;
       this.player.angle = 0;
       this.player.angularVelocity = 0;
+    } else if (this.player) {
+      this.player.angle = -Math.PI / 2;
+    }
+
+    // Stress mode measures the engine, not the pilot - keep the ship alive
+    if (this.config.stressAsteroids > 0 && this.player) {
+      this.player.invulnerable = true;
+      this.player.invulnerabilityTimer = Infinity;
     }
+
+    // Clear input left over from a previous run or replay
+    if (this.input) {
+      this.input.reset();
+    }
+    this.keys = {};
+    this.mouse = { x: this.mouse.x, y: this.mouse.y, down: false, pressed: false };
+
+    // Either play back the given log or record this run's input
+    this.replaySystem.player = replay ? new ReplayPlayer(replay) : null;
+    this.replaySystem.recorder = !replay && this.config.recordReplay
+      ? new ReplayRecorder({
+          seed: this.seed,
+          mode: this.config.mode,
+          width: this.width,
+          height: this.height,
+          config: { ...this.baseConfig, seed: null }
+        })
+      : null;
     
     console.log('[Engine] Game engine started. Mode:', this.config.mode, 'Player health:', this.player?.health, 'Level:', this.upgradeSystem.level);
   }
 
+  /**
+   * Play back a recorded replay log
+   * Restores the recorded config and canvas size so the simulation matches;
+   * endReplay() (or the next live start()) puts the viewer's own back
+   */
+  startReplay(replay) {
+    if (!ReplayPlayer.isValid(replay)) {
+      console.error('[Engine] Invalid replay data:', replay);
+      return false;
+    }
+
+    // Keep the viewer's own config (hangar loadout and all) for endReplay
+    if (!this.replaySystem.saved) {
+      this.replaySystem.saved = {
+        config: { ...this.config },
+        baseConfig: { ...this.baseConfig },
+        width: this.width,
+        height: this.height
+      };
+    }
+
+    // Logs recorded before hulls, the hangar, lane configs and arenas existed
+    // flew the stock ship on the default lanes / arena
+    this.config = { ...this.config, hull: DEFAULT_HULL, loadout: null, lanes: DEFAULT_LANES, arena: DEFAULT_ARENA, ...replay.config };
+    this.baseConfig = { ...this.config };
+    if (replay.width !== this.width || replay.height !== this.height) {
+      this.resize(replay.width, replay.height);
+    }
+
+    this.start(replay.seed, replay);
+    return true;
+  }
+
+  /**
+   * Stop playback and put back the config and canvas size the replay replaced
+   * @returns {boolean} False if no replay was loaded
+   */
+  endReplay() {
+    const saved = this.replaySystem.saved;
+    if (!saved) return false;
+
+    this.config = saved.config;
+    this.baseConfig = saved.baseConfig;
+    this.replaySystem.saved = null;
+    this.replaySystem.player = null;
+    if (saved.width !== this.width || saved.height !== this.height) {
+      this.resize(saved.width, saved.height);
+    }
+    this.resetLanes();
+    return true;
+  }
+
+  /**
+   * Get the replay log of the current (or just finished) live run
+   */
+  getReplay() {
+    if (!this.replaySystem.recorder) return null;
+    return this.replaySystem.recorder.finish({
+      score: Math.floor(this.score),
+      kills: this.kills,
+      time: this.time
+    });
+  }
+
+  /**
+   * Check if the engine is playing back a replay
+   */
+  isReplaying() {
+    return this.replaySystem.player !== null;
+  }
+
   /**
    * Pause game
    */
@@ -1720,11 +3292,14 @@ export class GameEngine {
    * Resize canvas
    */
   resize(width, height) {
+    const previousWidth = this.width;
     this.width = width;
     this.height = height;
-    this.canvas.width = width;
-    this.canvas.height = height;
+    this.renderer.resize(width, height);
     this.starField.resize(width, height);
+
+    // Lane positions depend on width (spawning and hazards read them)
+    this.scaleLanes(width / previousWidth);
   }
 
   /**
@@ -1733,19 +3308,65 @@ export class GameEngine {
   getState() {
     return {
       state: this.state,
+      mode: this.config.mode,
+      arena: this.config.arena,
+      seed: this.seed,
+      replaying: this.isReplaying(),
+      replayProgress: this.replaySystem.player ? this.replaySystem.player.getProgress() : 0,
       score: this.score,
+      scoreBreakdown: {
+        lanes: this.scoreBreakdown.lanes.map(lane => ({ ...lane })),
+        kills: { ...this.scoreBreakdown.kills },
+        other: this.scoreBreakdown.other
+      },
       wave: this.wave,
+      levelId: this.level ? this.level.id : null,
+      objective: this.objective ? { ...this.objective } : null,
       kills: this.kills,
       time: this.time,
       health: this.player ? this.player.health : 0,
       maxHealth: this.player ? this.player.maxHealth : 100,
+      hull: this.config.hull,
+      lane: this.getCurrentLane(),
+      laneMultiplier: this.getLaneScoreMultiplier(),
       weapon: this.weaponSystem.currentWeapon,
-      weaponTimer: this.weaponSystem.activeWeaponTimer,
+      weapons: Object.entries(this.weaponSystem.inventory).map(([id, slot]) => ({
+        id,
+        name: this.weaponSystem.weapons[id].name,
+        ...slot
+      })),
+      weaponCharge: this.weaponSystem.charge > 0 ? this.weaponSystem.charge / this.weaponSystem.weapons[this.weaponSystem.currentWeapon].chargeTime : 0,
+      energy: this.player ? this.player.shield.strength : 0,
+      maxEnergy: this.player ? this.player.shield.maxStrength : 100,
+      abilities: this.abilitySystem.slots.map((slot, index) => ({
+        id: slot.id,
+        name: ABILITIES[slot.id].name,
+        key: ABILITY_KEYS[index],
+        energy: ABILITIES[slot.id].energy,
+        cooldown: slot.cooldown,
+        maxCooldown: ABILITIES[slot.id].cooldown
+      })),
+      timeScale: this.getTimeScale(),
+      powerUps: Object.entries(this.uiSystem.powerUpTimers).map(([type, effect]) => ({
+        type,
+        description: POWER_UPS[type].description,
+        icon: POWER_UPS[type].icon,
+        color: POWER_UPS[type].color,
+        ...effect
+      })),
+      extraLives: this.extraLives,
       level: this.upgradeSystem.level,
       experience: this.upgradeSystem.experience,
       experienceToNext: this.upgradeSystem.experienceToNext,
+      skillPoints: this.upgradeSystem.skillPoints,
+      upgradeChoices: this.upgradeSystem.choices.map(({ id, name, icon, description, branch, rank, max }) => ({ id, name, icon, description, branch, rank, max })),
+      upgradeHistory: this.upgradeSystem.history.map(entry => ({ ...entry })),
       combo: this.comboSystem.count,
-      comboMultiplier: this.comboSystem.multiplier
+      comboMultiplier: this.comboSystem.multiplier,
+      chain: this.chainSystem.display
+        ? { links: this.chainSystem.display.links, kills: this.chainSystem.display.kills, points: this.chainSystem.display.points, active: this.chainSystem.display.pending > 0 }
+        : null,
+      bestChain: this.chainSystem.best
     };
   }
 }
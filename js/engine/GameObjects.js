@@ -1,40 +1,66 @@
 import { PhysicsBody } from './PhysicsBody.js';
 import { Vector2D } from './Vector2D.js';
+import { defaultRandom } from './Random.js';
+import { POWER_UPS } from './PowerUps.js';
+import { ASTEROID_VARIANTS } from './Chains.js';
 
 console.log('[GameObjects.js] Module loaded');
 
+const ASTEROID_MASS = { small: 0.5, medium: 1.0, large: 2.0, huge: 4.0 };
+
 /**
  * Asteroid obstacle with realistic physics
  */
 export class Asteroid extends PhysicsBody {
-  constructor(x, y, size = 'medium', velocity = null) {
-    const massMap = { small: 0.5, medium: 1.0, large: 2.0, huge: 4.0 };
-    super(x, y, massMap[size] || 1.0);
+  constructor(x, y, size = 'medium', velocity = null, rng = defaultRandom) {
+    super(x, y, ASTEROID_MASS[size] || 1.0);
 
-    this.size = size;
     this.sizeMap = {
       small: 20,
       medium: 35,
       large: 50,
       huge: 70
     };
-    
+    this.vertices = [];
+    this.worldVertices = []; // Outline in world space (see getPolygon)
+    this.crackPattern = [];
+
+    this.reset(x, y, size, velocity, rng);
+  }
+
+  /**
+   * Reset hook: (re)initialise as a new asteroid, reusing arrays when pooled
+   */
+  reset(x, y, size = 'medium', velocity = null, rng = defaultRandom) {
+    this.resetBody(x, y, ASTEROID_MASS[size] || 1.0);
+
+    // Random source for shape, colour and splitting (seeded by the engine)
+    this.rng = rng;
+
+    this.size = size;
     this.radius = this.sizeMap[size] || 35;
+    this.setMomentOfInertia(0.5 * this.mass * this.radius * this.radius); // Solid disc
     this.health = this.radius;
     this.maxHealth = this.health;
 
     // Set initial velocity if provided
     if (velocity) {
-      this.velocity = velocity.clone();
+      this.velocity.set(velocity.x, velocity.y);
     }
 
+    // Space-sim: kept in by the arena edges once inside (see GameEngine.confineToArena)
+    this.inArena = true;
+
     // Random rotation
-    this.angularVelocity = (Math.random() - 0.5) * 2;
+    this.angularVelocity = this.rng.spread(2);
 
     // Visual properties
     this.color = this.getRandomColor();
-    this.vertices = this.generateShape();
-    this.crackPattern = [];
+    this.vertices = this.generateShape(this.vertices);
+    this.crackPattern.length = 0;
+
+    // Variant (see ASTEROID_VARIANTS); plain rock unless the engine rolls one
+    this.variant = null;
     
     // Damage state
     this.damage = 0;
@@ -44,6 +70,21 @@ export class Asteroid extends PhysicsBody {
     this.id = Math.random().toString(36).substr(2, 9);
   }
 
+  /**
+   * Turn this asteroid into a variant, e.g. 'explosive'
+   * @returns {boolean} False for an unknown variant
+   */
+  setVariant(variant) {
+    const data = ASTEROID_VARIANTS[variant];
+    if (!data) {
+      console.error('[Asteroid] Unknown variant:', variant);
+      return false;
+    }
+    this.variant = variant;
+    this.color = data.color;
+    return true;
+  }
+
   /**
    * Generate random asteroid color
    */
@@ -55,30 +96,51 @@ export class Asteroid extends PhysicsBody {
       'rgba(140, 110, 100, 0.9)',
       'rgba(220, 190, 180, 0.9)'
     ];
-    return colors[Math.floor(Math.random() * colors.length)];
+    return this.rng.pick(colors);
   }
 
   /**
    * Generate irregular asteroid shape
+   * @param {Array} [vertices] - Existing vertex array to fill in place
    */
-  generateShape() {
-    const vertices = [];
-    const segments = 8 + Math.floor(Math.random() * 4);
+  generateShape(vertices = []) {
+    const segments = 8 + Math.floor(this.rng.next() * 4);
     
     for (let i = 0; i < segments; i++) {
       const angle = (Math.PI * 2 * i) / segments;
-      const variance = 0.7 + Math.random() * 0.3;
+      const variance = 0.7 + this.rng.next() * 0.3;
       const distance = this.radius * variance;
       
-      vertices.push({
-        x: Math.cos(angle) * distance,
-        y: Math.sin(angle) * distance
-      });
+      // Reuse vertex objects from a previous life when pooled
+      const vertex = vertices[i] || (vertices[i] = { x: 0, y: 0 });
+      vertex.x = Math.cos(angle) * distance;
+      vertex.y = Math.sin(angle) * distance;
     }
+    vertices.length = segments;
     
     return vertices;
   }
 
+  /**
+   * Outline at the current position and rotation - the narrowphase shape
+   * (`radius` bounds it for the broadphase)
+   * @param {Array} [out] - Point array to fill in place
+   */
+  getPolygon(out = this.worldVertices) {
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+
+    for (let i = 0; i < this.vertices.length; i++) {
+      const vertex = this.vertices[i];
+      const point = out[i] || (out[i] = { x: 0, y: 0 });
+      point.x = this.position.x + vertex.x * cos - vertex.y * sin;
+      point.y = this.position.y + vertex.x * sin + vertex.y * cos;
+    }
+    out.length = this.vertices.length;
+
+    return out;
+  }
+
   /**
    * Take damage and create cracks
    */
@@ -87,13 +149,13 @@ export class Asteroid extends PhysicsBody {
     this.damage = Math.min(this.maxDamage, this.damage + amount);
     
     // Add crack pattern
-    if (Math.random() < 0.5) {
-      const angle = Math.random() * Math.PI * 2;
-      const length = this.radius * (0.3 + Math.random() * 0.4);
+    if (this.rng.chance(0.5)) {
+      const angle = this.rng.next() * Math.PI * 2;
+      const length = this.radius * (0.3 + this.rng.next() * 0.4);
       this.crackPattern.push({
         angle: angle,
         length: length,
-        offset: (Math.random() - 0.5) * this.radius * 0.5
+        offset: this.rng.spread(this.radius * 0.5)
       });
     }
     
@@ -102,26 +164,27 @@ export class Asteroid extends PhysicsBody {
 
   /**
    * Split into smaller asteroids
+   * @param {Function} [createFragment] - (x, y, size, velocity, rng) => Asteroid, e.g. a pool's acquire
    */
-  split() {
+  split(createFragment = (x, y, size, velocity, rng) => new Asteroid(x, y, size, velocity, rng)) {
     const fragments = [];
     const sizeHierarchy = ['huge', 'large', 'medium', 'small'];
     const currentIndex = sizeHierarchy.indexOf(this.size);
     
     if (currentIndex < sizeHierarchy.length - 1) {
       const newSize = sizeHierarchy[currentIndex + 1];
-      const count = 2 + Math.floor(Math.random() * 2); // 2-3 fragments
+      const count = 2 + Math.floor(this.rng.next() * 2); // 2-3 fragments
       
       for (let i = 0; i < count; i++) {
-        const angle = (Math.PI * 2 * i) / count + (Math.random() - 0.5);
-        const speed = 50 + Math.random() * 100;
+        const angle = (Math.PI * 2 * i) / count + this.rng.spread(1);
+        const speed = 50 + this.rng.next() * 100;
         const velocity = Vector2D.fromAngle(angle, speed);
         velocity.add(this.velocity); // Inherit parent velocity
         
         const offset = Vector2D.fromAngle(angle, this.radius * 0.5);
         const position = Vector2D.add(this.position, offset);
         
-        const fragment = new Asteroid(position.x, position.y, newSize, velocity);
+        const fragment = createFragment(position.x, position.y, newSize, velocity, this.rng);
         fragments.push(fragment);
       }
     }
@@ -199,6 +262,21 @@ export class Asteroid extends PhysicsBody {
       ctx.fill();
     }
 
+    // Volatile core pulsing through the rock
+    if (this.variant) {
+      const glow = ASTEROID_VARIANTS[this.variant].glow;
+      const pulse = 0.5 + 0.5 * Math.sin(Date.now() / 150);
+      ctx.shadowBlur = 10 + pulse * 15;
+      ctx.shadowColor = glow;
+      ctx.fillStyle = glow;
+      ctx.globalAlpha = 0.5 + pulse * 0.4;
+      ctx.beginPath();
+      ctx.arc(0, 0, this.radius * 0.35, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.shadowBlur = 0;
+    }
+
     // Health indicator (when damaged)
     if (this.damage > 20) {
       const healthPercent = this.health / this.maxHealth;
@@ -233,7 +311,21 @@ export class Asteroid extends PhysicsBody {
 export class Projectile extends PhysicsBody {
   constructor(position, velocity, angle, damage = 25, color = '#00f0ff') {
     super(position.x, position.y, 0.1);
-    this.velocity = velocity.clone();
+    this.reset(position, velocity, angle, damage, color);
+  }
+
+  /**
+   * Reset hook: (re)initialise as a freshly fired projectile
+   */
+  reset(position, velocity, angle, damage = 25, color = '#00f0ff') {
+    this.resetBody(position.x, position.y, 0.1);
+    this.velocity.set(velocity.x, velocity.y);
+    // Where the current step started (see getSweep)
+    if (this.sweepStart) {
+      this.sweepStart.set(position.x, position.y);
+    } else {
+      this.sweepStart = new Vector2D(position.x, position.y);
+    }
     this.angle = angle;
     this.damage = damage;
     this.color = color;
@@ -241,11 +333,22 @@ export class Projectile extends PhysicsBody {
     this.age = 0;
     this.length = 20;
     this.width = 3;
+    this.height = this.length;
+    this.homing = false;
+    this.homingStrength = 0;
+    this.hostile = false; // Enemy fire: hits the player instead of asteroids
+    this.pierce = 0; // Further targets it can pass through
+    if (this.hitTargets) {
+      this.hitTargets.length = 0;
+    } else {
+      this.hitTargets = []; // Targets already passed through (hit once only)
+    }
     this.isStatic = false;
     this.id = Math.random().toString(36).substr(2, 9);
   }
 
   update(deltaTime) {
+    this.sweepStart.set(this.position.x, this.position.y);
     super.update(deltaTime);
     this.age += deltaTime;
   }
@@ -279,6 +382,32 @@ export class Projectile extends PhysicsBody {
     return this.age >= this.lifetime;
   }
 
+  /**
+   * Path the bolt swept this step as a segment [tail, head]: from its tail
+   * where the step started to its head now, so fast shots can't skip over
+   * anything between frames
+   * @param {Array} [out] - Two-point array to fill in place
+   */
+  getSweep(out = this.sweep || (this.sweep = [{ x: 0, y: 0 }, { x: 0, y: 0 }])) {
+    let dx = this.position.x - this.sweepStart.x;
+    let dy = this.position.y - this.sweepStart.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance > 0) {
+      dx /= distance;
+      dy /= distance;
+    } else {
+      dx = Math.cos(this.angle);
+      dy = Math.sin(this.angle);
+    }
+
+    const half = this.length / 2;
+    out[0].x = this.sweepStart.x - dx * half;
+    out[0].y = this.sweepStart.y - dy * half;
+    out[1].x = this.position.x + dx * half;
+    out[1].y = this.position.y + dy * half;
+    return out;
+  }
+
   getRadius() {
     return this.width;
   }
@@ -298,12 +427,7 @@ export class PowerUp extends PhysicsBody {
     this.pulsePhase = Math.random() * Math.PI * 2;
     this.id = Math.random().toString(36).substr(2, 9);
 
-    this.types = {
-      health: { color: '#00ff88', icon: '+', description: 'Health Boost' },
-      shield: { color: '#00f0ff', icon: '◆', description: 'Shield Charge' },
-      weapon: { color: '#ff0055', icon: '⚡', description: 'Weapon Upgrade' },
-      speed: { color: '#ffaa00', icon: '»', description: 'Speed Boost' }
-    };
+    this.types = POWER_UPS; // Looks and effects by type (see PowerUps.js)
   }
 
   update(deltaTime) {
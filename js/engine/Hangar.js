@@ -0,0 +1,81 @@
+console.log('[Hangar.js] Module loaded');
+
+/**
+ * Permanent unlocks bought with credits between runs
+ * `costs` has one entry per rank. Weapons are single-rank unlocks that can
+ * then be equipped as the starting weapon (names match WEAPONS in Weapons.js);
+ * the other entries add a bonus per rank owned (see createLoadout()).
+ */
+export const HANGAR_UNLOCKS = {
+  laser: {
+    name: 'Laser Cannon',
+    category: 'weapon',
+    description: 'Start runs with the rapid-fire laser',
+    costs: [300]
+  },
+  shotgun: {
+    name: 'Scatter Gun',
+    category: 'weapon',
+    description: 'Start runs with the three-way scatter gun',
+    costs: [450]
+  },
+  missile: {
+    name: 'Missile Pod',
+    category: 'weapon',
+    description: 'Start runs with homing missiles',
+    costs: [700]
+  },
+  hullPlating: {
+    name: 'Hull Plating',
+    category: 'hull',
+    description: '+15 max hull',
+    costs: [150, 300, 600],
+    bonus: 15
+  },
+  shieldCapacity: {
+    name: 'Shield Capacity',
+    category: 'shield',
+    description: '+20 shield strength',
+    costs: [150, 300, 600],
+    bonus: 20
+  }
+};
+
+/**
+ * Credits earned for a finished run
+ * @param {Object} run - { score, kills, wave }
+ */
+export function calculateCredits({ score = 0, kills = 0, wave = 1 }) {
+  return Math.floor(Math.max(0, score) / 100) + kills + Math.max(0, wave - 1) * 10;
+}
+
+/**
+ * Price of the next rank of an unlock, or null when it is maxed (or unknown)
+ * @param {string} id - HANGAR_UNLOCKS key
+ * @param {number} owned - Ranks already bought
+ */
+export function getUnlockCost(id, owned = 0) {
+  const unlock = HANGAR_UNLOCKS[id];
+  if (!unlock || owned >= unlock.costs.length) return null;
+  return unlock.costs[owned];
+}
+
+/**
+ * Engine loadout (GameEngine config.loadout) for a pilot's hangar
+ * Unowned or unknown starting weapons fall back to the default cannon.
+ * @param {Object} meta - { unlocks: { id: rank }, loadout: { weapon } } (see StorageManager)
+ * @returns {Object} { weapon, hullBonus, shieldBonus }
+ */
+export function createLoadout(meta = {}) {
+  const unlocks = meta.unlocks || {};
+  const weapon = meta.loadout && meta.loadout.weapon;
+  const owned = (id) => Math.min(unlocks[id] || 0, HANGAR_UNLOCKS[id].costs.length);
+
+  return {
+    weapon: weapon && HANGAR_UNLOCKS[weapon] && HANGAR_UNLOCKS[weapon].category === 'weapon' && owned(weapon) > 0
+      ? weapon
+      : 'default',
+    hullBonus: owned('hullPlating') * HANGAR_UNLOCKS.hullPlating.bonus,
+    shieldBonus: owned('shieldCapacity') * HANGAR_UNLOCKS.shieldCapacity.bonus
+  };
+}
@@ -0,0 +1,44 @@
+console.log('[Hazards.js] Module loaded');
+
+/**
+ * Environmental hazard prefabs (entity types as data, see ECS.js)
+ * Behaviour comes from the systems in Systems.js; `sprite.kind` picks the
+ * drawing routine in Renderer.js. Spawn with world.spawn(name, overrides).
+ */
+export const HAZARD_PREFABS = {
+  blackhole: {
+    hazard: { type: 'blackhole' },
+    body: { mass: 0, linearDamping: 1 },
+    collider: { layer: 'hazard', radius: 80 },
+    lifetime: { duration: 15, age: 0 },
+    gravityWell: { strength: 200, asteroidRange: 3, projectileRange: 2 },
+    swirl: {},
+    sprite: { kind: 'blackhole' }
+  },
+
+  nebula: {
+    hazard: { type: 'nebula' },
+    body: { mass: 0, linearDamping: 1 },
+    collider: { layer: 'hazard', radius: 150 },
+    lifetime: { duration: 15, age: 0 },
+    slowField: { factor: 0.98 },
+    sprite: { kind: 'nebula' }
+  },
+
+  meteor_shower: {
+    hazard: { type: 'meteor_shower' },
+    body: { mass: 0, linearDamping: 1 },
+    collider: { layer: 'hazard', radius: 150 },
+    lifetime: { duration: 15, age: 0 },
+    asteroidEmitter: { rate: 0.1, timer: 0, size: 'small', drift: 100, minSpeed: 200, maxSpeed: 400 }
+  }
+};
+
+/**
+ * Add every hazard prefab to a world
+ */
+export function registerHazardPrefabs(world) {
+  Object.entries(HAZARD_PREFABS).forEach(([name, components]) => {
+    world.registerPrefab(name, components);
+  });
+}
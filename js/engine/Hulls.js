@@ -0,0 +1,76 @@
+console.log('[Hulls.js] Module loaded');
+
+/**
+ * Ship hulls the player can fly (GameEngine config.hull)
+ * `stats` go straight into the Spaceship config; `hitRadius` is the bounding
+ * collision circle (grown to fit the outline if needed). `outline` is the
+ * sprite's convex hull ([x, y] fractions of width and height, nose up), the
+ * shape every contact with the ship is tested against once inside that circle. `handling` scales lane-shooter
+ * strafe speed (config.maxSpeedX).
+ *
+ * Each hull has one passive ability; its fields are read by the engine:
+ * - fireRateBonus / minCombo: fire faster while the combo is at least minCombo
+ * - impactDamage: multiplier for damage from asteroid impacts
+ * - invulnerabilityTime: seconds of invulnerability after taking a hit
+ *
+ * `actives` are the hull's active abilities (ABILITIES ids, see Abilities.js).
+ */
+export const HULLS = {
+  striker: {
+    name: 'Striker',
+    description: 'Balanced all-rounder',
+    color: '#00f0ff',
+    sprite: 'assets/images/spaceship-default.svg',
+    stats: { width: 40, height: 50, mass: 1.5, thrustPower: 800, lateralThrustPower: 600, maxSpeed: 500, health: 100, hitRadius: 25 },
+    outline: [[0, -0.4], [0.375, 0.1], [0.3125, 0.2], [0.1875, 0.3], [0, 0.4], [-0.1875, 0.3], [-0.3125, 0.2], [-0.375, 0.1]],
+    handling: 1,
+    actives: ['dash', 'emp', 'timeSlow'],
+    ability: {
+      name: 'Overdrive',
+      description: 'Fires 25% faster while the combo is 5 or more',
+      fireRateBonus: 0.25,
+      minCombo: 5
+    }
+  },
+
+  vanguard: {
+    name: 'Vanguard',
+    description: 'Heavy armour, slow to strafe, big target',
+    color: '#ffb800',
+    sprite: 'assets/images/spaceship-vanguard.svg',
+    stats: { width: 52, height: 58, mass: 2.5, thrustPower: 700, lateralThrustPower: 450, maxSpeed: 420, health: 150, hitRadius: 30 },
+    outline: [[0, -0.42], [0.225, -0.2], [0.475, 0.12], [0.425, 0.32], [0.175, 0.42], [-0.175, 0.42], [-0.425, 0.32], [-0.475, 0.12], [-0.225, -0.2]],
+    handling: 0.8,
+    actives: ['shockwave', 'timeSlow'],
+    ability: {
+      name: 'Ram Plating',
+      description: 'Asteroid impacts deal 40% less damage',
+      impactDamage: 0.6
+    }
+  },
+
+  wraith: {
+    name: 'Wraith',
+    description: 'Fast and slim, but fragile',
+    color: '#8b5cf6',
+    sprite: 'assets/images/spaceship-wraith.svg',
+    stats: { width: 34, height: 48, mass: 1, thrustPower: 950, lateralThrustPower: 750, maxSpeed: 600, health: 70, hitRadius: 18 },
+    outline: [[0, -0.46], [0.425, 0.34], [0.325, 0.36], [0, 0.44], [-0.325, 0.36], [-0.425, 0.34]],
+    handling: 1.25,
+    actives: ['phaseShift', 'emp', 'timeSlow'],
+    ability: {
+      name: 'Afterimage',
+      description: 'Stays invulnerable for 2s after a hit',
+      invulnerabilityTime: 2
+    }
+  }
+};
+
+export const DEFAULT_HULL = 'striker';
+
+/**
+ * Hull definition by id, falling back to the default hull
+ */
+export function getHull(id) {
+  return HULLS[id] || HULLS[DEFAULT_HULL];
+}
@@ -0,0 +1,129 @@
+console.log('[Input.js] Module loaded');
+
+/**
+ * Browser keyboard, mouse and touch input
+ * Writes into engine.keys / engine.mouse as events arrive
+ */
+export class DOMInput {
+  constructor(canvas) {
+    this.canvas = canvas;
+  }
+
+  /**
+   * Bind keyboard and mouse listeners for an engine
+   */
+  attach(engine) {
+    window.addEventListener('keydown', (e) => {
+      engine.keys[e.key.toLowerCase()] = true;
+
+      // F12 cycles the debug view: panel, panel + collision hulls, off
+      if (e.key === 'F12') {
+        e.preventDefault();
+        const ui = engine.uiSystem;
+        if (!ui.debugMode) {
+          ui.debugMode = true;
+        } else if (!ui.debugHulls) {
+          ui.debugHulls = true;
+        } else {
+          ui.debugMode = false;
+          ui.debugHulls = false;
+        }
+        console.log('[Engine] Debug mode:', ui.debugMode, 'hulls:', ui.debugHulls);
+      }
+
+      // Prevent default for game keys
+      if (['w', 'a', 's', 'd', 'q', 'z', 'x', 'c', 'v', ' ', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright'].includes(e.key.toLowerCase())) {
+        e.preventDefault();
+      }
+    });
+
+    window.addEventListener('keyup', (e) => {
+      engine.keys[e.key.toLowerCase()] = false;
+    });
+
+    this.canvas.addEventListener('mousemove', (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      engine.mouse.x = e.clientX - rect.left;
+      engine.mouse.y = e.clientY - rect.top;
+    });
+
+    this.canvas.addEventListener('mousedown', (e) => {
+      engine.mouse.down = true;
+      // Latched until the next update so quick clicks still fire (and get recorded)
+      engine.mouse.pressed = true;
+    });
+
+    this.canvas.addEventListener('mouseup', () => {
+      engine.mouse.down = false;
+    });
+
+    // Touch support
+    this.canvas.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      const rect = this.canvas.getBoundingClientRect();
+      const touch = e.touches[0];
+      engine.mouse.x = touch.clientX - rect.left;
+      engine.mouse.y = touch.clientY - rect.top;
+      engine.mouse.down = true;
+      engine.mouse.pressed = true;
+    });
+
+    this.canvas.addEventListener('touchend', (e) => {
+      e.preventDefault();
+      engine.mouse.down = false;
+    });
+  }
+
+  /**
+   * Events already wrote the state - nothing to do per step
+   */
+  poll() {}
+
+  reset() {}
+}
+
+/**
+ * Scripted input for headless runs (bots, balance simulations, tests)
+ * The script is called once per simulation step and returns the input to hold.
+ * Level-up cards are picked by options.pickUpgrade (default: the first card)
+ * so headless runs never stop on the choice screen.
+ */
+export class ScriptedInput {
+  /**
+   * @param {Function} script - (engine, stepIndex) => { keys, mouse } (either may be omitted)
+   * @param {Object} [options]
+   * @param {Function} [options.pickUpgrade] - (engine, choices) => upgrade id
+   */
+  constructor(script = () => ({}), { pickUpgrade = (engine, choices) => choices[0].id } = {}) {
+    this.script = script;
+    this.stepIndex = 0;
+    this.pickUpgrade = pickUpgrade;
+  }
+
+  /**
+   * Pick an upgrade card (called by the engine on level-up)
+   */
+  chooseUpgrade(engine, choices) {
+    return this.pickUpgrade(engine, choices);
+  }
+
+  attach() {}
+
+  /**
+   * Restart the script at the beginning of a run
+   */
+  reset() {
+    this.stepIndex = 0;
+  }
+
+  /**
+   * Apply the script's input for this step
+   */
+  poll(engine) {
+    const frame = this.script(engine, this.stepIndex++) || {};
+    engine.keys = frame.keys || {};
+    if (frame.mouse) {
+      Object.assign(engine.mouse, frame.mouse);
+    }
+  }
+}
@@ -0,0 +1,219 @@
+console.log('[Lanes.js] Module loaded');
+
+/**
+ * Lane layout for lane-shooter mode (GameEngine config.lanes)
+ * One entry per lane, left to right:
+ * - spawnWeights: relative chance an asteroid spawns in that lane
+ * - scoreMultipliers: score bonus for flying in that lane
+ * `padding` is the distance from the canvas edges to the outer lanes.
+ * The game page draws and scores lanes from the same config.
+ */
+export const MIN_LANES = 2;
+export const MAX_LANES = 7;
+
+export const DEFAULT_LANES = {
+  count: 3,
+  padding: 120,
+  spawnWeights: [0.8, 1.0, 1.3], // Lane 1: safer, Lane 2: neutral, Lane 3: risky
+  scoreMultipliers: [0.8, 1.0, 1.5] // Lane 3 gives bonus score
+};
+
+/**
+ * Lane config for `count` lanes. Missing (or wrong length) weights and
+ * multipliers ramp from safe on the left to risky on the right like the
+ * default three lanes.
+ * @param {Object} [options] - { count, padding, spawnWeights, scoreMultipliers }
+ */
+export function createLaneConfig(options = {}) {
+  const count = Math.max(MIN_LANES, Math.min(MAX_LANES, Math.round(options.count ?? DEFAULT_LANES.count)));
+  if (count === DEFAULT_LANES.count && !options.spawnWeights && !options.scoreMultipliers) {
+    return { ...DEFAULT_LANES, padding: options.padding ?? DEFAULT_LANES.padding };
+  }
+
+  const ramp = (from, to) => Array.from({ length: count }, (_, i) => Number((from + (to - from) * i / (count - 1)).toFixed(2)));
+  const perLane = (values, from, to) => Array.isArray(values) && values.length === count ? [...values] : ramp(from, to);
+
+  return {
+    count,
+    padding: options.padding ?? DEFAULT_LANES.padding,
+    spawnWeights: perLane(options.spawnWeights, 0.8, 1.3),
+    scoreMultipliers: perLane(options.scoreMultipliers, 0.8, 1.5)
+  };
+}
+
+/**
+ * Check a lane config
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateLaneConfig(lanes) {
+  if (!lanes || typeof lanes !== 'object') return ['lanes must be an object'];
+
+  const errors = [];
+  if (!Number.isInteger(lanes.count) || lanes.count < MIN_LANES || lanes.count > MAX_LANES) {
+    errors.push(`lanes.count must be a whole number from ${MIN_LANES} to ${MAX_LANES}`);
+  }
+  if (typeof lanes.padding !== 'number' || lanes.padding < 0) {
+    errors.push('lanes.padding must be a number >= 0');
+  }
+  ['spawnWeights', 'scoreMultipliers'].forEach(key => {
+    const values = lanes[key];
+    if (!Array.isArray(values) || values.length !== lanes.count) {
+      errors.push(`lanes.${key} needs one entry per lane`);
+    } else if (values.some(value => typeof value !== 'number' || value < 0)) {
+      errors.push(`lanes.${key} entries must be numbers >= 0`);
+    }
+  });
+  if (errors.length === 0 && !lanes.spawnWeights.some(weight => weight > 0)) {
+    errors.push('lanes.spawnWeights needs at least one lane above 0');
+  }
+  return errors;
+}
+
+/**
+ * Lane centre x positions across a canvas `width`
+ */
+export function getLanePositions(lanes, width) {
+  const spacing = (width - lanes.padding * 2) / (lanes.count - 1);
+  return Array.from({ length: lanes.count }, (_, i) => lanes.padding + spacing * i);
+}
+
+/**
+ * Index of the lane closest to `x`
+ */
+export function getNearestLane(positions, x) {
+  let closestLane = 0;
+  let minDist = Infinity;
+
+  positions.forEach((laneX, index) => {
+    const dist = Math.abs(x - laneX);
+    if (dist < minDist) {
+      minDist = dist;
+      closestLane = index;
+    }
+  });
+
+  return closestLane;
+}
+
+/**
+ * Lane shifts scripted as wave events ({ at, lanes: <shift>, lane, warning, duration, amount })
+ * Each is telegraphed for `warning` seconds, then the lanes move over `duration`:
+ * - merge: `lane` and the lane to its right become one lane between them
+ * - split: `lane` becomes two lanes
+ * - narrow: lanes squeeze towards the centre to `amount` (0-1) of their spread
+ * - close: `lane` shuts; ships in it are pushed to the nearest open lane
+ * - open: a closed `lane` opens again
+ * - reset: back to the configured layout
+ * `lane` defaults to the player's current lane.
+ */
+export const LANE_SHIFTS = {
+  merge: { label: 'LANES MERGING', color: '#ffb800' },
+  split: { label: 'LANE SPLITTING', color: '#00f0ff' },
+  narrow: { label: 'LANES NARROWING', color: '#ffb800' },
+  close: { label: 'LANE CLOSING', color: '#ff0055' },
+  open: { label: 'LANE OPENING', color: '#00ff88' },
+  reset: { label: 'LANES SHIFTING', color: '#00f0ff' }
+};
+
+export const LANE_SHIFT_DEFAULTS = { warning: 2, duration: 1.5, amount: 0.7 };
+
+// Sideways speed (pixels/sec) a closed lane pushes the ship out at
+export const LANE_PUSH_SPEED = 500;
+
+/**
+ * Live lane layout (GameEngine.laneSystem.layout) from a lane config
+ * @returns {Object[]} [{ x, spawnWeight, scoreMultiplier, open }] left to right
+ */
+export function createLaneLayout(lanes, width) {
+  return getLanePositions(lanes, width).map((x, i) => ({
+    x,
+    spawnWeight: lanes.spawnWeights[i],
+    scoreMultiplier: lanes.scoreMultipliers[i],
+    open: true
+  }));
+}
+
+/**
+ * Work out a lane shift against the current layout
+ * @param {Object[]} layout - Current layout (see createLaneLayout)
+ * @param {Object} event - { lanes: <shift>, lane, amount }
+ * @param {Object} context - { lane: player's lane, config: lane config, width }
+ * @returns {Object|null} { lanes: affected indices, from: layout to animate, to: x per lane in `from`, final: layout afterwards },
+ *   or null if the shift can't happen (e.g. merging down past MIN_LANES)
+ */
+export function planLaneShift(layout, event, { lane = 0, config, width }) {
+  const count = layout.length;
+  const index = Math.max(0, Math.min(count - 1, event.lane ?? lane));
+  const copy = () => layout.map(entry => ({ ...entry }));
+  const xs = () => layout.map(entry => entry.x);
+
+  switch (event.lanes) {
+    case 'merge': {
+      if (count <= MIN_LANES) return null;
+      const left = Math.min(index, count - 2);
+      const a = layout[left];
+      const b = layout[left + 1];
+      const merged = {
+        x: (a.x + b.x) / 2,
+        spawnWeight: (a.spawnWeight + b.spawnWeight) / 2,
+        scoreMultiplier: (a.scoreMultiplier + b.scoreMultiplier) / 2,
+        open: a.open || b.open
+      };
+      const to = xs();
+      to[left] = to[left + 1] = merged.x;
+      const final = copy();
+      final.splice(left, 2, merged);
+      return { lanes: [left, left + 1], from: copy(), to, final };
+    }
+
+    case 'split': {
+      if (count >= MAX_LANES) return null;
+      const from = copy();
+      from.splice(index + 1, 0, { ...layout[index] });
+      // A third of the way to the closest neighbour (or the edge) on each side
+      const x = layout[index].x;
+      const gapLeft = index > 0 ? x - layout[index - 1].x : x;
+      const gapRight = index < count - 1 ? layout[index + 1].x - x : width - x;
+      const offset = Math.min(gapLeft, gapRight) / 3;
+      const to = from.map(entry => entry.x);
+      to[index] = x - offset;
+      to[index + 1] = x + offset;
+      const final = from.map((entry, i) => ({ ...entry, x: to[i] }));
+      return { lanes: [index], from, to, final };
+    }
+
+    case 'narrow': {
+      const amount = event.amount ?? LANE_SHIFT_DEFAULTS.amount;
+      const centre = (layout[0].x + layout[count - 1].x) / 2;
+      const to = layout.map(entry => centre + (entry.x - centre) * amount);
+      const final = layout.map((entry, i) => ({ ...entry, x: to[i] }));
+      return { lanes: layout.map((_, i) => i), from: copy(), to, final };
+    }
+
+    case 'close': {
+      // Keep at least one lane to fly in
+      if (!layout[index].open || layout.filter(entry => entry.open).length <= 1) return null;
+      const final = copy();
+      final[index].open = false;
+      return { lanes: [index], from: copy(), to: xs(), final };
+    }
+
+    case 'open': {
+      const closed = layout[index].open ? layout.findIndex(entry => !entry.open) : index;
+      if (closed < 0) return null;
+      const final = copy();
+      final[closed].open = true;
+      return { lanes: [closed], from: copy(), to: xs(), final };
+    }
+
+    case 'reset': {
+      const final = createLaneLayout(config, width);
+      // Same lane count: slide into place; otherwise swap over at the end
+      const to = final.length === count ? final.map(entry => entry.x) : xs();
+      return { lanes: layout.map((_, i) => i), from: copy(), to, final };
+    }
+
+    default:
+      return null;
+  }
+}
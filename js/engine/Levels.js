@@ -0,0 +1,465 @@
+import { POWER_UP_TYPES } from './PowerUps.js';
+import { LANE_SHIFTS, MAX_LANES } from './Lanes.js';
+import { MODES } from './Modes.js';
+
+console.log('[Levels.js] Module loaded');
+
+export const LEVEL_VERSION = 1;
+
+export const ASTEROID_SIZES = ['small', 'medium', 'large', 'huge'];
+export { POWER_UP_TYPES };
+export const GAME_MODES = Object.keys(MODES);
+export const OBJECTIVE_TYPES = ['survive', 'boss', 'collect'];
+
+/**
+ * Wave settings used when a level doesn't set them
+ * Settings are "sticky": a wave entry changes them from that wave on.
+ */
+export const DEFAULT_WAVE_SETTINGS = {
+  duration: 30, // seconds per wave
+  spawnRate: 2.0, // seconds between spawns
+  maxAsteroids: 20,
+  difficulty: 1.0, // asteroid speed multiplier base
+  spawnTable: [{ type: 'asteroid', weight: 1 }],
+  sizeWeights: { small: 0.4, medium: 0.35, large: 0.2, huge: 0.05 },
+  powerUpChance: 0.15,
+  explosiveChance: 0.05, // chance a spawned asteroid is explosive (see Chains.js)
+  powerUpWeights: { health: 1, shield: 1, weapon: 1, speed: 1, magnet: 0.6, scoreDoubler: 0.4, piercing: 0.4, slowMotion: 0.3, extraLife: 0.1 },
+  hazards: null // { interval, types: [{ type, weight, modes }] }
+};
+
+// Keys allowed in a wave entry besides the sticky settings
+const WAVE_ONLY_KEYS = ['wave', 'boss', 'events'];
+const LEVEL_KEYS = ['version', 'id', 'name', 'description', 'bossEvery', 'scaling', 'sizeScaling', 'defaults', 'waves', 'objective'];
+const SCALING_KEYS = ['spawnRate', 'maxAsteroids', 'difficulty'];
+const SIZE_SCALING_KEYS = ['perWave', 'max', 'large', 'small'];
+
+/**
+ * Built-in endless level, tuned from the engine config
+ * (asteroidSpawnRate, asteroidSpawnIncrease, maxAsteroids, difficultyMultiplier,
+ * powerUpChance, bossWaveInterval)
+ */
+export function createEndlessLevel(config = {}) {
+  return {
+    version: LEVEL_VERSION,
+    id: 'endless',
+    name: 'Endless',
+    bossEvery: config.bossWaveInterval ?? 5,
+    scaling: {
+      spawnRate: config.asteroidSpawnIncrease ?? 0.85, // multiply each wave
+      maxAsteroids: 2, // add each wave
+      difficulty: 0.1 // add each wave
+    },
+    // Later waves shift the size mix towards large asteroids
+    sizeScaling: { perWave: 0.1, max: 1.5, large: 0.5, small: -0.2 },
+    defaults: {
+      spawnRate: config.asteroidSpawnRate ?? DEFAULT_WAVE_SETTINGS.spawnRate,
+      maxAsteroids: config.maxAsteroids ?? DEFAULT_WAVE_SETTINGS.maxAsteroids,
+      difficulty: config.difficultyMultiplier ?? DEFAULT_WAVE_SETTINGS.difficulty,
+      powerUpChance: config.powerUpChance ?? DEFAULT_WAVE_SETTINGS.powerUpChance
+    },
+    waves: [
+      {
+        // Enemy squads join the asteroids
+        wave: 2,
+        spawnTable: [
+          { type: 'asteroid', weight: 10 },
+          { type: 'fighter', weight: 1 }
+        ]
+      },
+      {
+        wave: 3,
+        hazards: {
+          interval: 15,
+          types: [
+            { type: 'blackhole', weight: 1 },
+            { type: 'nebula', weight: 1, modes: ['space-sim'] },
+            { type: 'meteor_shower', weight: 1, modes: ['space-sim'] }
+          ]
+        }
+      },
+      {
+        wave: 4,
+        explosiveChance: 0.08,
+        spawnTable: [
+          { type: 'asteroid', weight: 10 },
+          { type: 'fighter', weight: 1 },
+          { type: 'interceptor', weight: 1 },
+          { type: 'gunship', weight: 0.5 }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Check a level definition against the schema
+ * @param {Object} level - Parsed level JSON
+ * @param {Object} [options]
+ * @param {Function} [options.isKnownPrefab] - (name) => boolean, for hazard and spawn types
+ * @param {Function} [options.isKnownBoss] - (name) => boolean, for named boss waves
+ * @param {Function} [options.isKnownFormation] - (name) => boolean, for enemy squad events
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateLevel(level, { isKnownPrefab = () => true, isKnownBoss = () => true, isKnownFormation = () => true } = {}) {
+  const errors = [];
+  const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+  if (!isObject(level)) {
+    fail('level', 'must be an object');
+    return errors;
+  }
+
+  checkKeys(level, LEVEL_KEYS, 'level', fail);
+
+  if (level.version !== LEVEL_VERSION) {
+    fail('version', `must be ${LEVEL_VERSION}`);
+  }
+  if (level.id !== undefined && typeof level.id !== 'string') {
+    fail('id', 'must be a string');
+  }
+  if (level.name !== undefined && typeof level.name !== 'string') {
+    fail('name', 'must be a string');
+  }
+  if (level.bossEvery !== undefined && !(Number.isInteger(level.bossEvery) && level.bossEvery >= 0)) {
+    fail('bossEvery', 'must be a whole number (0 = no boss waves)');
+  }
+
+  if (level.scaling !== undefined) {
+    if (!isObject(level.scaling)) {
+      fail('scaling', 'must be an object');
+    } else {
+      checkKeys(level.scaling, SCALING_KEYS, 'scaling', fail);
+      SCALING_KEYS.forEach(key => {
+        if (level.scaling[key] !== undefined && !isNumber(level.scaling[key])) fail(`scaling.${key}`, 'must be a number');
+      });
+      if (isNumber(level.scaling.spawnRate) && level.scaling.spawnRate <= 0) {
+        fail('scaling.spawnRate', 'must be greater than 0');
+      }
+    }
+  }
+
+  if (level.sizeScaling !== undefined) {
+    if (!isObject(level.sizeScaling)) {
+      fail('sizeScaling', 'must be an object');
+    } else {
+      checkKeys(level.sizeScaling, SIZE_SCALING_KEYS, 'sizeScaling', fail);
+      SIZE_SCALING_KEYS.forEach(key => {
+        if (!isNumber(level.sizeScaling[key])) fail(`sizeScaling.${key}`, 'must be a number');
+      });
+    }
+  }
+
+  if (level.defaults !== undefined) {
+    if (!isObject(level.defaults)) {
+      fail('defaults', 'must be an object');
+    } else {
+      checkKeys(level.defaults, Object.keys(DEFAULT_WAVE_SETTINGS), 'defaults', fail);
+      validateWaveSettings(level.defaults, 'defaults', fail, isKnownPrefab);
+    }
+  }
+
+  if (level.waves !== undefined) {
+    if (!Array.isArray(level.waves)) {
+      fail('waves', 'must be an array');
+    } else {
+      const seen = new Set();
+      level.waves.forEach((wave, i) => {
+        const path = `waves[${i}]`;
+        if (!isObject(wave)) {
+          fail(path, 'must be an object');
+          return;
+        }
+
+        checkKeys(wave, [...WAVE_ONLY_KEYS, ...Object.keys(DEFAULT_WAVE_SETTINGS)], path, fail);
+
+        if (!(Number.isInteger(wave.wave) && wave.wave >= 1)) {
+          fail(`${path}.wave`, 'must be a wave number (1 or more)');
+        } else if (seen.has(wave.wave)) {
+          fail(`${path}.wave`, `wave ${wave.wave} is defined twice`);
+        } else {
+          seen.add(wave.wave);
+        }
+
+        if (wave.boss !== undefined && typeof wave.boss !== 'boolean' &&
+            !(typeof wave.boss === 'string' && isKnownBoss(wave.boss))) {
+          fail(`${path}.boss`, 'must be true, false or a boss name');
+        }
+
+        if (wave.events !== undefined) {
+          validateEvents(wave.events, `${path}.events`, fail, isKnownPrefab, isKnownFormation);
+        }
+
+        validateWaveSettings(wave, path, fail, isKnownPrefab);
+      });
+    }
+  }
+
+  if (level.objective !== undefined) {
+    validateObjective(level.objective, 'objective', fail);
+  }
+
+  return errors;
+}
+
+/**
+ * Star rating (1-3) for a completed objective
+ * One star for completing it, one for finishing with at least `stars.health`
+ * of the hull left and one for reaching `stars.score`.
+ * @param {Object} objective - Level objective
+ * @param {Object} result - { health (0-1), score }
+ */
+export function rateObjective(objective, result) {
+  let rating = 1;
+  if (result.health >= objective.stars.health) rating++;
+  if (result.score >= objective.stars.score) rating++;
+  return rating;
+}
+
+/**
+ * Fill in optional fields so the engine can read a validated level directly
+ */
+export function normalizeLevel(level) {
+  return {
+    id: 'custom',
+    name: 'Custom Level',
+    description: '',
+    bossEvery: 0,
+    ...level,
+    scaling: { spawnRate: 1, maxAsteroids: 0, difficulty: 0, ...level.scaling },
+    sizeScaling: level.sizeScaling || null,
+    defaults: { ...DEFAULT_WAVE_SETTINGS, ...level.defaults },
+    waves: [...(level.waves || [])].sort((a, b) => a.wave - b.wave),
+    objective: level.objective ? { target: 1, ...level.objective } : null
+  };
+}
+
+/**
+ * Fetch a level JSON file (browser)
+ * Validation happens when the engine loads it (GameEngine.loadLevel).
+ */
+export async function fetchLevel(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load level ${url} (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Validate the sticky wave settings present on a defaults/wave object
+ */
+function validateWaveSettings(settings, path, fail, isKnownPrefab) {
+  ['duration', 'spawnRate'].forEach(key => {
+    if (settings[key] !== undefined && !(isNumber(settings[key]) && settings[key] > 0)) {
+      fail(`${path}.${key}`, 'must be a number greater than 0');
+    }
+  });
+
+  if (settings.maxAsteroids !== undefined && !(Number.isInteger(settings.maxAsteroids) && settings.maxAsteroids >= 0)) {
+    fail(`${path}.maxAsteroids`, 'must be a whole number');
+  }
+  if (settings.difficulty !== undefined && !(isNumber(settings.difficulty) && settings.difficulty >= 0)) {
+    fail(`${path}.difficulty`, 'must be a number of 0 or more');
+  }
+  ['powerUpChance', 'explosiveChance'].forEach(key => {
+    if (settings[key] !== undefined && !(isNumber(settings[key]) && settings[key] >= 0 && settings[key] <= 1)) {
+      fail(`${path}.${key}`, 'must be between 0 and 1');
+    }
+  });
+
+  if (settings.sizeWeights !== undefined) {
+    validateWeights(settings.sizeWeights, ASTEROID_SIZES, 'asteroid size', `${path}.sizeWeights`, fail);
+  }
+  if (settings.powerUpWeights !== undefined) {
+    validateWeights(settings.powerUpWeights, POWER_UP_TYPES, 'power-up type', `${path}.powerUpWeights`, fail);
+  }
+
+  if (settings.spawnTable !== undefined) {
+    validateTable(settings.spawnTable, `${path}.spawnTable`, fail, (type) =>
+      type === 'asteroid' || isKnownPrefab(type)
+    );
+  }
+
+  if (settings.hazards !== undefined && settings.hazards !== null) {
+    const hazards = settings.hazards;
+    const hazardsPath = `${path}.hazards`;
+    if (!isObject(hazards)) {
+      fail(hazardsPath, 'must be an object or null');
+    } else {
+      checkKeys(hazards, ['interval', 'types'], hazardsPath, fail);
+      if (!(isNumber(hazards.interval) && hazards.interval > 0)) {
+        fail(`${hazardsPath}.interval`, 'must be a number greater than 0');
+      }
+      validateTable(hazards.types, `${hazardsPath}.types`, fail, isKnownPrefab);
+    }
+  }
+}
+
+/**
+ * { key: weight } table with known keys and at least one positive weight
+ */
+function validateWeights(weights, allowed, label, path, fail) {
+  if (!isObject(weights)) {
+    fail(path, 'must be an object of weights');
+    return;
+  }
+
+  let total = 0;
+  Object.entries(weights).forEach(([key, weight]) => {
+    if (!allowed.includes(key)) {
+      fail(`${path}.${key}`, `unknown ${label} (expected one of ${allowed.join(', ')})`);
+    } else if (!(isNumber(weight) && weight >= 0)) {
+      fail(`${path}.${key}`, 'must be a weight of 0 or more');
+    } else {
+      total += weight;
+    }
+  });
+
+  if (total <= 0) {
+    fail(path, 'needs at least one weight above 0');
+  }
+}
+
+/**
+ * [{ type, weight, modes }] table (spawn tables and hazard types)
+ */
+function validateTable(table, path, fail, isKnownType) {
+  if (!Array.isArray(table) || table.length === 0) {
+    fail(path, 'must be a non-empty array');
+    return;
+  }
+
+  table.forEach((entry, i) => {
+    const entryPath = `${path}[${i}]`;
+    if (!isObject(entry)) {
+      fail(entryPath, 'must be an object');
+      return;
+    }
+
+    checkKeys(entry, ['type', 'weight', 'modes'], entryPath, fail);
+
+    if (typeof entry.type !== 'string' || !isKnownType(entry.type)) {
+      fail(`${entryPath}.type`, `unknown type "${entry.type}"`);
+    }
+    if (entry.weight !== undefined && !(isNumber(entry.weight) && entry.weight > 0)) {
+      fail(`${entryPath}.weight`, 'must be a number greater than 0');
+    }
+    if (entry.modes !== undefined &&
+        !(Array.isArray(entry.modes) && entry.modes.every(mode => GAME_MODES.includes(mode)))) {
+      fail(`${entryPath}.modes`, `must list game modes (${GAME_MODES.join(', ')})`);
+    }
+  });
+}
+
+/**
+ * Timed events within a wave: { at, hazard }, { at, spawn, count, formation }
+ * or a lane shift { at, lanes, lane, warning, duration, amount } (see LANE_SHIFTS)
+ */
+function validateEvents(events, path, fail, isKnownPrefab, isKnownFormation) {
+  if (!Array.isArray(events)) {
+    fail(path, 'must be an array');
+    return;
+  }
+
+  events.forEach((event, i) => {
+    const eventPath = `${path}[${i}]`;
+    if (!isObject(event)) {
+      fail(eventPath, 'must be an object');
+      return;
+    }
+
+    checkKeys(event, ['at', 'hazard', 'spawn', 'count', 'formation', 'lanes', 'lane', 'warning', 'duration', 'amount'], eventPath, fail);
+
+    if (!(isNumber(event.at) && event.at >= 0)) {
+      fail(`${eventPath}.at`, 'must be seconds into the wave (0 or more)');
+    }
+    if ([event.hazard, event.spawn, event.lanes].filter(kind => kind !== undefined).length !== 1) {
+      fail(eventPath, 'needs one of "hazard", "spawn" or "lanes"');
+    }
+    if (event.lanes !== undefined) {
+      validateLaneShift(event, eventPath, fail);
+    }
+    if (event.hazard !== undefined && !isKnownPrefab(event.hazard)) {
+      fail(`${eventPath}.hazard`, `unknown hazard "${event.hazard}"`);
+    }
+    if (event.spawn !== undefined && event.spawn !== 'asteroid' && !isKnownPrefab(event.spawn)) {
+      fail(`${eventPath}.spawn`, `unknown spawn type "${event.spawn}"`);
+    }
+    if (event.count !== undefined && !(Number.isInteger(event.count) && event.count >= 1)) {
+      fail(`${eventPath}.count`, 'must be a whole number (1 or more)');
+    }
+    if (event.formation !== undefined && !(typeof event.formation === 'string' && isKnownFormation(event.formation))) {
+      fail(`${eventPath}.formation`, `unknown formation "${event.formation}"`);
+    }
+  });
+}
+
+/**
+ * Lane shift event fields
+ */
+function validateLaneShift(event, path, fail) {
+  if (!Object.hasOwn(LANE_SHIFTS, event.lanes)) {
+    fail(`${path}.lanes`, `unknown lane shift (expected one of ${Object.keys(LANE_SHIFTS).join(', ')})`);
+  }
+  if (event.lane !== undefined && !(Number.isInteger(event.lane) && event.lane >= 0 && event.lane < MAX_LANES)) {
+    fail(`${path}.lane`, `must be a lane index (0-${MAX_LANES - 1})`);
+  }
+  if (event.warning !== undefined && !(isNumber(event.warning) && event.warning >= 0)) {
+    fail(`${path}.warning`, 'must be seconds (0 or more)');
+  }
+  if (event.duration !== undefined && !(isNumber(event.duration) && event.duration > 0)) {
+    fail(`${path}.duration`, 'must be a number greater than 0');
+  }
+  if (event.amount !== undefined && !(isNumber(event.amount) && event.amount > 0 && event.amount <= 1)) {
+    fail(`${path}.amount`, 'must be between 0 and 1');
+  }
+}
+
+/**
+ * Campaign objective: { type, target, stars: { health, score } }
+ * target is seconds for 'survive', bosses for 'boss' and power-ups for 'collect'
+ */
+function validateObjective(objective, path, fail) {
+  if (!isObject(objective)) {
+    fail(path, 'must be an object');
+    return;
+  }
+
+  checkKeys(objective, ['type', 'target', 'stars'], path, fail);
+
+  if (!OBJECTIVE_TYPES.includes(objective.type)) {
+    fail(`${path}.type`, `must be one of ${OBJECTIVE_TYPES.join(', ')}`);
+  }
+  if (objective.target !== undefined && !(isNumber(objective.target) && objective.target > 0)) {
+    fail(`${path}.target`, 'must be a number greater than 0');
+  }
+
+  if (!isObject(objective.stars)) {
+    fail(`${path}.stars`, 'must be an object ({ health, score })');
+    return;
+  }
+  checkKeys(objective.stars, ['health', 'score'], `${path}.stars`, fail);
+  if (!(isNumber(objective.stars.health) && objective.stars.health >= 0 && objective.stars.health <= 1)) {
+    fail(`${path}.stars.health`, 'must be between 0 and 1');
+  }
+  if (!(isNumber(objective.stars.score) && objective.stars.score >= 0)) {
+    fail(`${path}.stars.score`, 'must be a number of 0 or more');
+  }
+}
+
+function checkKeys(object, allowed, path, fail) {
+  Object.keys(object).forEach(key => {
+    if (!allowed.includes(key)) {
+      fail(`${path}.${key}`, 'unknown field');
+    }
+  });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
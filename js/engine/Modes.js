@@ -0,0 +1,43 @@
+console.log('[Modes.js] Module loaded');
+
+/**
+ * Game modes (GameEngine config.mode)
+ * Each mode has its own leaderboard (scores are saved with their mode).
+ */
+export const MODES = {
+  'lane-shooter': {
+    name: 'Lanes',
+    description: 'Strafe between lanes while the field scrolls towards you'
+  },
+  'space-sim': {
+    name: 'Arena',
+    description: 'Free flight: W/S thrust and brake, A/D strafe, hold R to face the cursor. Rocks come from every edge'
+  }
+};
+
+export const DEFAULT_MODE = 'lane-shooter';
+
+/**
+ * Arena edges for space-sim (GameEngine config.arena, see GameEngine.confineToArena)
+ */
+export const ARENAS = {
+  wrap: {
+    name: 'Wrap-around',
+    description: 'Fly off one edge and come back on the other'
+  },
+  bounded: {
+    name: 'Bounded',
+    description: 'Walled in - ships, rocks and pickups bounce off the edges'
+  }
+};
+
+export const DEFAULT_ARENA = 'wrap';
+
+/**
+ * Display name for a mode and arena, e.g. "Arena (Wrap-around)"
+ * Scores saved before modes existed were all flown in lanes.
+ */
+export function describeMode(mode = DEFAULT_MODE, arena = DEFAULT_ARENA) {
+  const entry = MODES[mode] || MODES[DEFAULT_MODE];
+  return mode === 'space-sim' ? `${entry.name} (${(ARENAS[arena] || ARENAS[DEFAULT_ARENA]).name})` : entry.name;
+}
@@ -12,9 +12,16 @@ export class PhysicsBody {
     this.velocity = new Vector2D(0, 0);
     this.acceleration = new Vector2D(0, 0);
     this.force = new Vector2D(0, 0);
+
+    // Pose at the previous fixed step, used to interpolate rendering
+    this.previousPosition = new Vector2D(x, y);
+    this.previousAngle = 0;
+    this.simPosition = new Vector2D(x, y);
+    this.simAngle = 0;
     
     this.mass = mass;
     this.inverseMass = mass > 0 ? 1 / mass : 0;
+    this.inverseInertia = this.inverseMass; // See setMomentOfInertia()
     
     // Rotation physics
     this.angle = 0;
@@ -35,6 +42,45 @@ export class PhysicsBody {
     this.affectedByGravity = true;
   }
 
+  /**
+   * Put a (pooled) body back into its freshly constructed state at a new position
+   * Reuses the existing vectors instead of allocating new ones.
+   */
+  resetBody(x, y, mass = 1) {
+    this.position.set(x, y);
+    this.velocity.set(0, 0);
+    this.acceleration.set(0, 0);
+    this.force.set(0, 0);
+    this.previousPosition.set(x, y);
+    this.previousAngle = 0;
+    this.simPosition.set(x, y);
+    this.simAngle = 0;
+
+    this.mass = mass;
+    this.inverseMass = mass > 0 ? 1 / mass : 0;
+    this.inverseInertia = this.inverseMass;
+
+    this.angle = 0;
+    this.angularVelocity = 0;
+    this.angularAcceleration = 0;
+    this.torque = 0;
+
+    this.linearDamping = 0.999;
+    this.angularDamping = 0.995;
+    this.restitution = 0.8;
+    this.friction = 0.3;
+    this.isStatic = false;
+    this.affectedByGravity = true;
+  }
+
+  /**
+   * Resistance to spinning up (torque = I * angular acceleration)
+   * Defaults to the mass; a solid disc is 0.5 * mass * radius².
+   */
+  setMomentOfInertia(inertia) {
+    this.inverseInertia = inertia > 0 ? 1 / inertia : 0;
+  }
+
   /**
    * Apply force to body (F = ma)
    */
@@ -95,7 +141,7 @@ export class PhysicsBody {
     this.position.add(deltaP);
     
     // Angular motion
-    this.angularAcceleration = this.torque * this.inverseMass;
+    this.angularAcceleration = this.torque * this.inverseInertia;
     this.angularVelocity += this.angularAcceleration * deltaTime;
     this.angularVelocity *= Math.pow(this.angularDamping, deltaTime * 60);
     this.angle += this.angularVelocity * deltaTime;
@@ -105,6 +151,40 @@ export class PhysicsBody {
     this.torque = 0;
   }
 
+  /**
+   * Remember the current pose before a fixed simulation step
+   */
+  storePreviousState() {
+    this.previousPosition.set(this.position.x, this.position.y);
+    this.previousAngle = this.angle;
+  }
+
+  /**
+   * Move to the render pose between the previous and current step.
+   * Call endInterpolation() after rendering to restore the simulated pose.
+   * Large jumps (teleports, screen wrap) are not interpolated.
+   */
+  beginInterpolation(alpha, maxJump = 150) {
+    this.simPosition.set(this.position.x, this.position.y);
+    this.simAngle = this.angle;
+
+    if (this.previousPosition.distanceSquaredTo(this.position) > maxJump * maxJump) return;
+
+    this.position.set(
+      this.previousPosition.x + (this.simPosition.x - this.previousPosition.x) * alpha,
+      this.previousPosition.y + (this.simPosition.y - this.previousPosition.y) * alpha
+    );
+    this.angle = this.previousAngle + (this.simAngle - this.previousAngle) * alpha;
+  }
+
+  /**
+   * Restore the simulated pose after rendering
+   */
+  endInterpolation() {
+    this.position.set(this.simPosition.x, this.simPosition.y);
+    this.angle = this.simAngle;
+  }
+
   /**
    * Get kinetic energy (1/2 * m * v²)
    */
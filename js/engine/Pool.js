@@ -0,0 +1,125 @@
+console.log('[Pool.js] Module loaded');
+
+// Marks objects currently sitting in a pool's free list (guards double release)
+const IN_POOL = Symbol('inPool');
+
+/**
+ * Generic object pool
+ * Reuses short-lived objects (projectiles, particles, ...) instead of
+ * allocating new ones, so rapid fire doesn't cause garbage-collection hitches.
+ */
+export class ObjectPool {
+  /**
+   * @param {string} name - Label shown in the debug overlay
+   * @param {Function} create - () => new object (called when the free list is empty)
+   * @param {Object} [options]
+   * @param {Function} [options.reset] - (obj, ...args) => void, prepares an object on acquire
+   * @param {Function} [options.release] - (obj) => void, drops references when returned
+   * @param {number} [options.maxSize=500] - Free objects kept; extras are left to the GC
+   * @param {number} [options.prewarm=0] - Objects to create up front
+   */
+  constructor(name, create, { reset = null, release = null, maxSize = 500, prewarm = 0 } = {}) {
+    this.name = name;
+    this.create = create;
+    this.resetHook = reset;
+    this.releaseHook = release;
+    this.maxSize = maxSize;
+    this.free = [];
+    this.pending = [];
+
+    this.stats = { active: 0, created: 0, reused: 0, discarded: 0 };
+
+    for (let i = 0; i < prewarm; i++) {
+      const obj = this.create();
+      obj[IN_POOL] = true;
+      this.free.push(obj);
+      this.stats.created++;
+    }
+  }
+
+  /**
+   * Take an object from the pool (or create one) and run the reset hook
+   * Arguments are passed through to the reset hook.
+   */
+  acquire(...args) {
+    let obj;
+    if (this.free.length > 0) {
+      obj = this.free.pop();
+      obj[IN_POOL] = false;
+      this.stats.reused++;
+    } else {
+      obj = this.create();
+      this.stats.created++;
+    }
+
+    if (this.resetHook) {
+      this.resetHook(obj, ...args);
+    }
+
+    this.stats.active++;
+    return obj;
+  }
+
+  /**
+   * Return an object to the pool
+   */
+  release(obj) {
+    if (!obj || obj[IN_POOL]) return;
+
+    if (this.releaseHook) {
+      this.releaseHook(obj);
+    }
+
+    this.stats.active = Math.max(0, this.stats.active - 1);
+
+    if (this.free.length >= this.maxSize) {
+      this.stats.discarded++;
+      return;
+    }
+
+    obj[IN_POOL] = true;
+    this.free.push(obj);
+  }
+
+  /**
+   * Queue an object to be returned by flush()
+   * Use while other code may still read the object during the current step.
+   */
+  releaseLater(obj) {
+    this.pending.push(obj);
+  }
+
+  /**
+   * Return all queued objects to the pool
+   */
+  flush() {
+    for (let i = 0; i < this.pending.length; i++) {
+      this.release(this.pending[i]);
+    }
+    this.pending.length = 0;
+  }
+
+  /**
+   * Return every object in a list to the pool
+   */
+  releaseAll(list) {
+    for (let i = 0; i < list.length; i++) {
+      this.release(list[i]);
+    }
+  }
+
+  /**
+   * Snapshot for the debug overlay
+   */
+  getStats() {
+    return {
+      name: this.name,
+      active: this.stats.active,
+      free: this.free.length,
+      pending: this.pending.length,
+      created: this.stats.created,
+      reused: this.stats.reused,
+      discarded: this.stats.discarded
+    };
+  }
+}
@@ -0,0 +1,113 @@
+import { WEAPON_DROPS } from './Weapons.js';
+
+console.log('[PowerUps.js] Module loaded');
+
+/**
+ * Power-up registry (GameEngine.collectPowerUp)
+ * `apply(engine, powerUp)` runs on pickup for instant effects. Entries with a
+ * `duration` are timed effects tracked in engine.uiSystem.powerUpTimers and
+ * read where they matter (see GameEngine.getPowerUpStacks). Picking up one
+ * that is already running follows its `stacking` rule:
+ * - refresh: restart the timer
+ * - extend: add the duration, up to maxDuration
+ * - stack: one more stack (up to maxStacks) and restart the timer
+ */
+export const POWER_UPS = {
+  health: {
+    color: '#00ff88',
+    icon: '+',
+    description: 'Health Boost',
+    apply(engine, powerUp) {
+      engine.player.heal(30);
+      engine.createFloatingText(powerUp.position.x, powerUp.position.y - 20, '+30 HP', '#00ff88', 16);
+    }
+  },
+
+  shield: {
+    color: '#00f0ff',
+    icon: '◆',
+    description: 'Shield Charge',
+    apply(engine) {
+      const shield = engine.player.shield;
+      shield.powerUpActive = true;
+      shield.powerUpTimer = 10; // 10 seconds
+      engine.player.activateShield();
+      shield.strength = shield.maxStrength; // Fully charge the shield
+      engine.triggerShieldPulse();
+    }
+  },
+
+  weapon: {
+    color: '#ff0055',
+    icon: '⚡',
+    description: 'Weapon Upgrade',
+    apply(engine) {
+      // New weapon for the inventory, or a level for one already carried
+      engine.collectWeapon(engine.rng.pick(WEAPON_DROPS));
+    }
+  },
+
+  speed: {
+    color: '#ffaa00',
+    icon: '»',
+    description: 'Speed Boost',
+    apply(engine, powerUp) {
+      engine.config.maxSpeedX *= 1.2; // Increase max horizontal speed by 20%
+      engine.createFloatingText(powerUp.position.x, powerUp.position.y - 20, 'Max Speed++', '#ffaa00', 16);
+    }
+  },
+
+  magnet: {
+    color: '#c0c0ff',
+    icon: '∪',
+    description: 'Power-up Magnet',
+    duration: 12,
+    stacking: 'extend',
+    maxDuration: 30,
+    rangeMultiplier: 3
+  },
+
+  scoreDoubler: {
+    color: '#ffd700',
+    icon: '×',
+    description: 'Double Score',
+    duration: 10,
+    stacking: 'stack',
+    maxStacks: 3 // x2, x3, x4
+  },
+
+  piercing: {
+    color: '#ff8800',
+    icon: '↟',
+    description: 'Piercing Rounds',
+    duration: 10,
+    stacking: 'refresh',
+    pierce: 2 // Extra targets each shot passes through
+  },
+
+  slowMotion: {
+    color: '#b388ff',
+    icon: '◔',
+    description: 'Slow Motion',
+    duration: 5,
+    stacking: 'refresh',
+    timeScale: 0.6
+  },
+
+  extraLife: {
+    color: '#ff4d88',
+    icon: '♥',
+    description: 'Extra Life',
+    maxStacks: 3,
+    apply(engine, powerUp) {
+      if (engine.extraLives >= this.maxStacks) {
+        engine.player.heal(30);
+        engine.createFloatingText(powerUp.position.x, powerUp.position.y - 20, '+30 HP', '#00ff88', 16);
+        return;
+      }
+      engine.extraLives++;
+    }
+  }
+};
+
+export const POWER_UP_TYPES = Object.keys(POWER_UPS);
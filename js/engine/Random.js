@@ -0,0 +1,145 @@
+console.log('[Random.js] Module loaded');
+
+/**
+ * Weighted pick shared by SeededRandom and defaultRandom
+ */
+function pickWeighted(table, roll) {
+  let total = 0;
+  let options = 0;
+  let last = null;
+  for (const key in table) {
+    if (table[key] > 0) {
+      total += table[key];
+      options++;
+      last = key;
+    }
+  }
+  if (options <= 1) return last;
+
+  let remaining = roll() * total;
+  for (const key in table) {
+    const weight = table[key];
+    if (weight <= 0) continue;
+    if (remaining < weight) return key;
+    remaining -= weight;
+  }
+  return last; // Floating-point remainder
+}
+
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * Same seed always produces the same sequence, so runs can be reproduced
+ */
+export class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Create a fresh 32-bit seed from the system clock and Math.random
+   */
+  static randomSeed() {
+    return (Date.now() ^ Math.floor(Math.random() * 0xffffffff)) >>> 0;
+  }
+
+  /**
+   * Convert a number or string seed to an unsigned 32-bit integer
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    // Hash strings (e.g. "daily-2026-10-18") with FNV-1a
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Reset the generator to the start of a seed's sequence
+   */
+  setSeed(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+    return this;
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max] (inclusive)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Centred offset in [-amount / 2, amount / 2), same as (Math.random() - 0.5) * amount
+   */
+  spread(amount = 1) {
+    return (this.next() - 0.5) * amount;
+  }
+
+  /**
+   * True with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Key of a { key: weight } table, picked in proportion to its weight
+   * A table with a single usable option returns it without using a roll.
+   */
+  weighted(table) {
+    return pickWeighted(table, () => this.next());
+  }
+
+  /**
+   * Derive an independent generator (e.g. for cosmetic effects) from this seed
+   */
+  fork(salt = 1) {
+    return new SeededRandom((this.seed ^ Math.imul(salt, 0x9e3779b1)) >>> 0);
+  }
+}
+
+/**
+ * Shared unseeded source used when no generator is injected
+ */
+export const defaultRandom = {
+  next: () => Math.random(),
+  range: (min, max) => min + Math.random() * (max - min),
+  int: (min, max) => min + Math.floor(Math.random() * (max - min + 1)),
+  spread: (amount = 1) => (Math.random() - 0.5) * amount,
+  chance: (probability) => Math.random() < probability,
+  pick: (array) => array[Math.floor(Math.random() * array.length)],
+  weighted: (table) => pickWeighted(table, Math.random)
+};
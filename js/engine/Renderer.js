@@ -0,0 +1,619 @@
+import { BOSS_TRANSITION_TIME } from './Systems.js';
+
+console.log('[Renderer.js] Module loaded');
+
+/**
+ * Drawing routines for world entities, keyed by sprite.kind
+ * Called between ctx.save()/restore(); draw at entity.position.
+ */
+export const SPRITES = {
+  blackhole(ctx, entity) {
+    const { x, y } = entity.position;
+    const radius = entity.collider.radius;
+
+    // Render black hole with gradient
+    const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    gradient.addColorStop(0, 'rgba(153, 51, 255, 0.8)');
+    gradient.addColorStop(0.5, 'rgba(102, 0, 204, 0.4)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Inner core
+    ctx.fillStyle = '#000000';
+    ctx.beginPath();
+    ctx.arc(x, y, radius * 0.3, 0, Math.PI * 2);
+    ctx.fill();
+  },
+
+  nebula(ctx, entity) {
+    const { x, y } = entity.position;
+    const radius = entity.collider.radius;
+
+    // Render nebula cloud
+    const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    gradient.addColorStop(0, 'rgba(100, 150, 255, 0.3)');
+    gradient.addColorStop(0.7, 'rgba(50, 100, 200, 0.1)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+  },
+
+  boss(ctx, entity) {
+    const { x, y } = entity.position;
+    const boss = entity.boss;
+    const radius = entity.collider.radius;
+
+    // Phase-transition shockwave
+    if (boss.state === 'transition') {
+      const t = Math.min(1, boss.stateTimer / BOSS_TRANSITION_TIME);
+      ctx.globalAlpha = 1 - t;
+      ctx.strokeStyle = boss.color;
+      ctx.lineWidth = 8;
+      ctx.beginPath();
+      ctx.arc(x, y, radius * (1 + t * 2.5), 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    // Armoured hull
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(entity.body.angle);
+    ctx.shadowBlur = 25;
+    ctx.shadowColor = boss.color;
+    ctx.fillStyle = 'rgba(30, 20, 40, 0.95)';
+    ctx.strokeStyle = boss.state === 'transition' && Math.floor(boss.stateTimer * 10) % 2 === 0 ? '#ffffff' : boss.color;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    for (let i = 0; i < boss.sides; i++) {
+      const angle = (i / boss.sides) * Math.PI * 2;
+      ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Inner plating ring
+    ctx.shadowBlur = 0;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius * 0.6, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+
+    // Weak point: shut plate, telegraphed warning, then exposed core
+    const weakPoint = entity.weakPoint;
+    if (!weakPoint) return;
+
+    const wx = x + weakPoint.offsetX;
+    const wy = y + weakPoint.offsetY;
+    if (weakPoint.state === 'open') {
+      const core = ctx.createRadialGradient(wx, wy, 0, wx, wy, weakPoint.radius);
+      core.addColorStop(0, '#ffffff');
+      core.addColorStop(0.5, '#ffff00');
+      core.addColorStop(1, 'rgba(255, 170, 0, 0.2)');
+      ctx.fillStyle = core;
+      ctx.shadowBlur = 30;
+      ctx.shadowColor = '#ffff00';
+      ctx.beginPath();
+      ctx.arc(wx, wy, weakPoint.radius, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.fillStyle = 'rgba(60, 60, 70, 0.95)';
+      ctx.strokeStyle = 'rgba(150, 150, 160, 0.8)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(wx, wy, weakPoint.radius * 0.8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    if (weakPoint.state === 'warning') {
+      const pulse = 1 + Math.sin(Date.now() * 0.02) * 0.15;
+      ctx.strokeStyle = '#ffff00';
+      ctx.lineWidth = 3;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.arc(wx, wy, weakPoint.radius * 1.4 * pulse, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#ffff00';
+      ctx.font = 'bold 12px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText('WEAK POINT', wx, wy + weakPoint.radius * 1.4 + 16);
+    }
+  },
+
+  enemy(ctx, entity) {
+    const { x, y } = entity.position;
+    const enemy = entity.enemy;
+    const radius = entity.collider.radius;
+
+    // Hull, nose along body.angle
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(entity.body.angle);
+    ctx.shadowBlur = 12;
+    ctx.shadowColor = enemy.color;
+    ctx.fillStyle = 'rgba(20, 20, 35, 0.9)';
+    ctx.strokeStyle = enemy.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    if (entity.sprite.shape === 'gunship') {
+      ctx.moveTo(radius, 0);
+      ctx.lineTo(radius * 0.3, radius * 0.8);
+      ctx.lineTo(-radius, radius * 0.6);
+      ctx.lineTo(-radius, -radius * 0.6);
+      ctx.lineTo(radius * 0.3, -radius * 0.8);
+    } else {
+      ctx.moveTo(radius, 0);
+      ctx.lineTo(-radius, radius * 0.8);
+      ctx.lineTo(-radius * 0.5, 0);
+      ctx.lineTo(-radius, -radius * 0.8);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Cockpit
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = enemy.color;
+    ctx.beginPath();
+    ctx.arc(radius * 0.2, 0, radius * 0.2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Health bar once damaged
+    const health = entity.health;
+    if (health.current < health.max) {
+      const width = radius * 2;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+      ctx.fillRect(x - radius, y - radius - 10, width, 4);
+      ctx.fillStyle = enemy.color;
+      ctx.fillRect(x - radius, y - radius - 10, width * Math.max(0, health.current / health.max), 4);
+    }
+  },
+
+  mine(ctx, entity) {
+    const { x, y } = entity.position;
+    const mine = entity.mine;
+    const armed = mine.age >= mine.armTime;
+
+    // Spiked casing
+    ctx.strokeStyle = entity.sprite.color;
+    ctx.lineWidth = 2;
+    for (let i = 0; i < 6; i++) {
+      const angle = (i / 6) * Math.PI * 2 + mine.age;
+      ctx.beginPath();
+      ctx.moveTo(x + Math.cos(angle) * 7, y + Math.sin(angle) * 7);
+      ctx.lineTo(x + Math.cos(angle) * 12, y + Math.sin(angle) * 12);
+      ctx.stroke();
+    }
+    ctx.fillStyle = 'rgba(20, 20, 35, 0.9)';
+    ctx.beginPath();
+    ctx.arc(x, y, 8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    // Blinking light once armed
+    if (armed && Math.floor(mine.age * 4) % 2 === 0) {
+      ctx.shadowBlur = 10;
+      ctx.shadowColor = entity.sprite.color;
+      ctx.fillStyle = entity.sprite.color;
+      ctx.beginPath();
+      ctx.arc(x, y, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+};
+
+/**
+ * Canvas 2D renderer
+ * Draws engine state; never modifies the simulation
+ */
+export class CanvasRenderer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.isHeadless = false;
+  }
+
+  /**
+   * Render a frame of the engine's current state
+   */
+  render(engine) {
+    const ctx = this.ctx;
+
+    // Clear screen
+    ctx.fillStyle = '#0a0e1a';
+    ctx.fillRect(0, 0, engine.width, engine.height);
+
+    // Apply camera shake
+    ctx.save();
+    ctx.translate(engine.shake.x, engine.shake.y);
+
+    // Render star field
+    engine.starField.render(ctx);
+
+    // Bounded arena walls (space-sim)
+    if (engine.config.mode === 'space-sim' && engine.config.arena === 'bounded') {
+      ctx.strokeStyle = 'rgba(0, 240, 255, 0.5)';
+      ctx.lineWidth = 4;
+      ctx.strokeRect(2, 2, engine.width - 4, engine.height - 4);
+    }
+
+    // Render hazards and other world entities (background)
+    this.renderWorld(engine);
+
+    // Render particles (background layer)
+    engine.particles.render(ctx);
+
+    // Render power-ups
+    engine.powerUps.forEach(powerUp => powerUp.render(ctx));
+
+    // Render asteroids
+    engine.asteroids.forEach(asteroid => asteroid.render(ctx));
+
+    // Render projectiles
+    engine.projectiles.forEach(proj => proj.render(ctx));
+    this.renderWeaponEffects(engine);
+
+    // Render player
+    if (engine.player) {
+      engine.player.render(ctx);
+    }
+
+    // Collision shapes (press F12 a second time)
+    if (engine.uiSystem.debugMode && engine.uiSystem.debugHulls) {
+      this.renderHulls(engine);
+    }
+
+    ctx.restore();
+
+    // HUD overlays (floating texts, flashes, warnings, debug panel)
+    this.renderEnhancedUI(engine);
+  }
+
+  /**
+   * Render world entities that have a sprite component (hazards, bosses, enemies)
+   */
+  renderWorld(engine) {
+    const ctx = this.ctx;
+
+    engine.world.query('sprite').forEach(entity => {
+      const draw = SPRITES[entity.sprite.kind];
+      if (!draw) return;
+
+      ctx.save();
+      draw(ctx, entity);
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Beam shots, EMP rings and the charge glow on the ship's nose
+   */
+  renderWeaponEffects(engine) {
+    const ctx = this.ctx;
+    const weaponSystem = engine.weaponSystem;
+    const beam = weaponSystem.beam;
+
+    if (beam) {
+      ctx.save();
+      ctx.globalAlpha = beam.timer / beam.duration;
+      ctx.strokeStyle = beam.color;
+      ctx.shadowBlur = 20;
+      ctx.shadowColor = beam.color;
+      ctx.lineCap = 'round';
+      ctx.lineWidth = 6;
+      ctx.beginPath();
+      ctx.moveTo(beam.x1, beam.y1);
+      ctx.lineTo(beam.x2, beam.y2);
+      ctx.stroke();
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // EMP ring expanding to the blast radius
+    const pulse = engine.abilitySystem.pulse;
+    if (pulse) {
+      const progress = 1 - pulse.timer / pulse.duration;
+      ctx.save();
+      ctx.globalAlpha = 1 - progress;
+      ctx.strokeStyle = pulse.color;
+      ctx.shadowBlur = 20;
+      ctx.shadowColor = pulse.color;
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(pulse.x, pulse.y, pulse.radius * progress, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    const weapon = weaponSystem.weapons[weaponSystem.currentWeapon];
+    if (weaponSystem.charge > 0 && engine.player) {
+      const charge = weaponSystem.charge / weapon.chargeTime;
+      const x = engine.player.position.x;
+      const y = engine.player.position.y - engine.player.height / 2;
+      ctx.save();
+      ctx.globalAlpha = 0.4 + charge * 0.6;
+      ctx.fillStyle = weapon.color;
+      ctx.shadowBlur = 10 + charge * 20;
+      ctx.shadowColor = weapon.color;
+      ctx.beginPath();
+      ctx.arc(x, y, 3 + charge * 9, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Render enhanced UI elements (lane-shooter mode)
+   */
+  renderEnhancedUI(engine) {
+    const ctx = this.ctx;
+
+    ctx.save();
+    
+    // Render floating texts
+    for (let i = engine.uiSystem.floatingTexts.length - 1; i >= 0; i--) {
+      const text = engine.uiSystem.floatingTexts[i];
+      
+      ctx.fillStyle = text.color;
+      ctx.globalAlpha = text.alpha;
+      ctx.font = `bold ${text.size}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.shadowBlur = 10;
+      ctx.shadowColor = text.color;
+      ctx.fillText(text.text, text.x, text.y);
+    }
+    
+    // Damage flash (red tint on damage)
+    if (engine.uiSystem.damageFlash.active && engine.uiSystem.damageFlash.alpha > 0) {
+      ctx.fillStyle = `rgba(255, 0, 0, ${engine.uiSystem.damageFlash.alpha})`;
+      ctx.fillRect(0, 0, engine.width, engine.height);
+    }
+    
+    // Time-slow / Slow Motion (violet tint while the world is slowed)
+    if (engine.getTimeScale() < 1) {
+      ctx.fillStyle = 'rgba(120, 80, 255, 0.12)';
+      ctx.fillRect(0, 0, engine.width, engine.height);
+    }
+
+    // Shield pulse (blue tint on shield activation)
+    if (engine.uiSystem.shieldPulse.active && engine.uiSystem.shieldPulse.alpha > 0) {
+      ctx.strokeStyle = `rgba(0, 240, 255, ${engine.uiSystem.shieldPulse.alpha})`;
+      ctx.lineWidth = 6;
+      ctx.strokeRect(10, 10, engine.width - 20, engine.height - 20);
+    }
+    
+    // Telegraph warnings (e.g. incoming blackhole)
+    engine.world.query('telegraph').forEach(entity => {
+      const telegraph = entity.telegraph;
+      const radius = entity.collider ? entity.collider.radius : 50;
+
+      if (telegraph.timer > 0) {
+        const alpha = Math.min(1.0, telegraph.timer / 0.6);
+        const pulseSize = 1 + Math.sin(Date.now() * 0.01) * 0.1;
+        
+        ctx.globalAlpha = alpha * 0.7;
+        ctx.strokeStyle = '#ff0055';
+        ctx.lineWidth = 4;
+        ctx.setLineDash([10, 10]);
+        ctx.beginPath();
+        ctx.arc(entity.position.x, entity.position.y, radius * pulseSize, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Warning text
+        ctx.fillStyle = '#ff0055';
+        ctx.font = 'bold 18px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(telegraph.label || '⚠ WARNING', entity.position.x, entity.position.y - radius - 20);
+        ctx.font = 'bold 14px Arial';
+        ctx.fillText(`${telegraph.timer.toFixed(1)}s`, entity.position.x, entity.position.y);
+      }
+    });
+    
+    // Boss health bar
+    if (engine.bossSystem.boss) {
+      this.renderBossBar(engine, engine.bossSystem.boss);
+    }
+
+    // Debug panel (F12 to toggle)
+    if (engine.uiSystem.debugMode) {
+      this.renderDebugPanel(engine, this.getDebugLines(engine));
+    }
+    
+    ctx.restore();
+  }
+
+  /**
+   * Outline the shapes the narrowphase tests: asteroid polygons, the ship's
+   * hull and the path each projectile swept this step, with the broadphase
+   * circles dashed
+   */
+  renderHulls(engine) {
+    const ctx = this.ctx;
+    const tracePolygon = (points) => {
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+      }
+      ctx.closePath();
+      ctx.stroke();
+    };
+    const traceCircle = (position, radius) => {
+      ctx.beginPath();
+      ctx.arc(position.x, position.y, radius, 0, Math.PI * 2);
+      ctx.stroke();
+    };
+
+    ctx.save();
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 0;
+    ctx.lineWidth = 1;
+
+    ctx.strokeStyle = 'rgba(0, 255, 0, 0.9)';
+    engine.asteroids.forEach(asteroid => tracePolygon(asteroid.getPolygon()));
+
+    ctx.strokeStyle = 'rgba(255, 255, 0, 0.9)';
+    engine.projectiles.forEach(proj => tracePolygon(proj.getSweep()));
+
+    if (engine.player) {
+      ctx.strokeStyle = 'rgba(0, 240, 255, 0.9)';
+      tracePolygon(engine.player.getHullPolygon());
+    }
+
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    engine.asteroids.forEach(asteroid => traceCircle(asteroid.position, asteroid.radius));
+    if (engine.player) {
+      traceCircle(engine.player.position, engine.player.hitRadius);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Boss name, health and phase markers across the top of the screen
+   */
+  renderBossBar(engine, entity) {
+    const ctx = this.ctx;
+    const boss = entity.boss;
+    const width = Math.min(420, engine.width - 80);
+    const height = 14;
+    const x = (engine.width - width) / 2;
+    const y = 36;
+    const fraction = Math.max(0, entity.health.current / entity.health.max);
+
+    ctx.save();
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x - 4, y - 4, width + 8, height + 8);
+
+    ctx.fillStyle = boss.state === 'transition' ? '#ffffff' : boss.color;
+    ctx.fillRect(x, y, width * fraction, height);
+
+    // Markers where later phases start
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    boss.phases.slice(1).forEach(phase => {
+      ctx.fillRect(x + width * phase.from - 1, y - 2, 2, height + 4);
+    });
+
+    ctx.strokeStyle = boss.color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, width, height);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(boss.name.toUpperCase(), x, y - 10);
+    ctx.textAlign = 'right';
+    ctx.fillText(`PHASE ${boss.phase}/${boss.phases.length}`, x + width, y - 10);
+    ctx.restore();
+  }
+
+  /**
+   * Lines shown in the F12 debug panel
+   */
+  getDebugLines(engine) {
+    const broadphase = engine.broadphase.getStats();
+    const lines = [
+      '=== DEBUG ===',
+      `FPS: ${engine.uiSystem.fps}`,
+      `Sim: ${engine.perf.simulationMs.toFixed(2)}ms (${engine.perf.steps} steps)`,
+      `Render: ${engine.perf.renderMs.toFixed(2)}ms`,
+      `Entities: ${engine.asteroids.length + engine.projectiles.length + engine.powerUps.length}`,
+      `Asteroids: ${engine.asteroids.length}`,
+      `Projectiles: ${engine.projectiles.length}`,
+      `Power-ups: ${engine.powerUps.length}`,
+      `Hazards: ${engine.world.count('hazard')}`,
+      `Enemies: ${engine.world.count('enemy')}`,
+      `Mines: ${engine.world.count('mine')}`,
+      `Boss: ${engine.bossSystem.boss ? `${engine.bossSystem.boss.boss.state} (phase ${engine.bossSystem.phase})` : 'none'}`,
+      `Grid cells: ${broadphase.cells}`,
+      `Pair checks: ${broadphase.candidates} (${broadphase.queries} queries)`,
+      `Hulls: ${engine.uiSystem.debugHulls ? 'shown (F12 to close)' : 'F12 to show'}`
+    ];
+
+    // Object pools: live / free, objects ever allocated
+    engine.getPoolStats().forEach(pool => {
+      lines.push(`Pool ${pool.name}: ${pool.active}/${pool.free} (${pool.created} new)`);
+    });
+
+    if (engine.player) {
+      lines.push(
+        `Player vX: ${engine.player.velocity.x.toFixed(1)}`,
+        `Target vX: ${engine.laneMovement.targetVelocityX.toFixed(1)}`,
+        `Input: ${engine.laneMovement.inputX}`
+      );
+    }
+
+    return lines;
+  }
+
+  /**
+   * Draw the debug panel in the top-right corner
+   */
+  renderDebugPanel(engine, lines) {
+    const ctx = this.ctx;
+    const debugX = engine.width - 250;
+    const debugY = 80;
+    const lineHeight = 20;
+
+    ctx.save();
+    ctx.globalAlpha = 0.8;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(debugX - 10, debugY - 10, 240, lines.length * lineHeight + 20);
+
+    ctx.globalAlpha = 1.0;
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = '#00ff00';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'left';
+
+    lines.forEach((line, index) => {
+      ctx.fillText(line, debugX, debugY + 10 + index * lineHeight);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Resize the backing canvas
+   */
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+  }
+}
+
+/**
+ * Renderer that draws nothing - for headless (Node) simulation
+ */
+export class NullRenderer {
+  constructor() {
+    this.canvas = null;
+    this.ctx = null;
+    this.isHeadless = true;
+  }
+
+  render() {}
+
+  renderWorld() {}
+
+  renderEnhancedUI() {}
+
+  resize() {}
+}
@@ -0,0 +1,175 @@
+console.log('[Replay.js] Module loaded');
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * Keys the engine reads in handleInput - stored as a bitmask per frame
+ */
+export const REPLAY_KEYS = [
+  'a', 'd', 'w', 's', 'r', 'e', 'shift', ' ',
+  'arrowleft', 'arrowright', 'arrowup', 'arrowdown', 'q', 'z',
+  'x', 'c', 'v'
+];
+
+// Mouse button bits
+const MOUSE_DOWN = 1;
+const MOUSE_PRESSED = 2;
+
+// Flat frame layout: [deltaTime, keyMask, mouseX, mouseY, mouseBits, repeatCount]
+const FRAME_SIZE = 6;
+
+/**
+ * Pack the engine's key map into a bitmask
+ */
+function encodeKeys(keys) {
+  let mask = 0;
+  for (let i = 0; i < REPLAY_KEYS.length; i++) {
+    if (keys[REPLAY_KEYS[i]]) mask |= 1 << i;
+  }
+  return mask;
+}
+
+/**
+ * Expand a bitmask back into a key map
+ */
+function decodeKeys(mask) {
+  const keys = {};
+  for (let i = 0; i < REPLAY_KEYS.length; i++) {
+    keys[REPLAY_KEYS[i]] = (mask & (1 << i)) !== 0;
+  }
+  return keys;
+}
+
+/**
+ * Records per-frame input and deltas of a run into a compact log.
+ * Consecutive identical frames are run-length encoded. Upgrade picks made on
+ * the level-up screen happen between frames and are logged in order.
+ */
+export class ReplayRecorder {
+  constructor(header = {}) {
+    this.header = header;
+    this.frames = [];
+    this.frameCount = 0;
+    this.choices = [];
+  }
+
+  /**
+   * Record the input state used for one update() call
+   */
+  record(deltaTime, keys, mouse) {
+    const keyMask = encodeKeys(keys);
+    const mouseBits = (mouse.down ? MOUSE_DOWN : 0) | (mouse.pressed ? MOUSE_PRESSED : 0);
+    const last = this.frames.length - FRAME_SIZE;
+
+    this.frameCount++;
+
+    if (last >= 0 &&
+        this.frames[last] === deltaTime &&
+        this.frames[last + 1] === keyMask &&
+        this.frames[last + 2] === mouse.x &&
+        this.frames[last + 3] === mouse.y &&
+        this.frames[last + 4] === mouseBits) {
+      this.frames[last + 5]++;
+      return;
+    }
+
+    this.frames.push(deltaTime, keyMask, mouse.x, mouse.y, mouseBits, 1);
+  }
+
+  /**
+   * Record an upgrade picked on the level-up screen
+   */
+  recordChoice(id) {
+    this.choices.push(id);
+  }
+
+  /**
+   * Build the serialisable replay log
+   * @param {Object} [result] - Final run stats used to verify playback (score, kills, time)
+   */
+  finish(result = {}) {
+    return {
+      version: REPLAY_VERSION,
+      ...this.header,
+      frameCount: this.frameCount,
+      frames: this.frames.slice(),
+      choices: this.choices.slice(),
+      result
+    };
+  }
+}
+
+/**
+ * Feeds a recorded log back to the engine one frame at a time
+ */
+export class ReplayPlayer {
+  constructor(replay) {
+    if (!ReplayPlayer.isValid(replay)) {
+      throw new Error('Invalid replay data');
+    }
+    this.replay = replay;
+    this.cursor = 0;
+    this.repeat = 0;
+    this.framesPlayed = 0;
+    this.choiceCursor = 0;
+  }
+
+  /**
+   * Check that a replay log has a readable shape
+   */
+  static isValid(replay) {
+    return Boolean(
+      replay &&
+      replay.version === REPLAY_VERSION &&
+      Array.isArray(replay.frames) &&
+      replay.frames.length % FRAME_SIZE === 0
+    );
+  }
+
+  /**
+   * Next frame's input, or null when the log is exhausted
+   */
+  next() {
+    const frames = this.replay.frames;
+    if (this.cursor >= frames.length) return null;
+
+    const frame = {
+      deltaTime: frames[this.cursor],
+      keys: decodeKeys(frames[this.cursor + 1]),
+      mouse: {
+        x: frames[this.cursor + 2],
+        y: frames[this.cursor + 3],
+        down: (frames[this.cursor + 4] & MOUSE_DOWN) !== 0,
+        pressed: (frames[this.cursor + 4] & MOUSE_PRESSED) !== 0
+      }
+    };
+
+    this.framesPlayed++;
+    this.repeat++;
+    if (this.repeat >= frames[this.cursor + 5]) {
+      this.cursor += FRAME_SIZE;
+      this.repeat = 0;
+    }
+
+    return frame;
+  }
+
+  /**
+   * Next recorded upgrade pick, or null when none are left
+   */
+  nextChoice() {
+    const choices = this.replay.choices || [];
+    return this.choiceCursor < choices.length ? choices[this.choiceCursor++] : null;
+  }
+
+  /**
+   * Playback progress from 0 to 1
+   */
+  getProgress() {
+    return this.replay.frameCount ? this.framesPlayed / this.replay.frameCount : 1;
+  }
+
+  isFinished() {
+    return this.cursor >= this.replay.frames.length;
+  }
+}
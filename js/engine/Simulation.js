@@ -0,0 +1,129 @@
+import { GameEngine } from './GameEngine.js';
+import { ScriptedInput } from './Input.js';
+
+console.log('[Simulation.js] Module loaded');
+
+/**
+ * Simple bot for headless runs: dodges asteroids about to reach the ship,
+ * otherwise lines up under the nearest asteroid and keeps firing
+ */
+export function createAutopilot({ dodgeDistance = 250, fire = true } = {}) {
+  return new ScriptedInput((engine) => {
+    const player = engine.player;
+    const keys = { ' ': fire };
+    if (!player) return { keys };
+
+    let threat = null;
+    let target = null;
+    for (const asteroid of engine.asteroids) {
+      const dx = asteroid.position.x - player.position.x;
+      const dy = player.position.y - asteroid.position.y;
+      if (dy < 0) continue; // Already passed
+
+      if (dy < dodgeDistance && Math.abs(dx) < asteroid.radius + player.width) {
+        if (!threat || dy < player.position.y - threat.position.y) threat = asteroid;
+      } else if (!target || dy < player.position.y - target.position.y) {
+        target = asteroid;
+      }
+    }
+
+    // Enemy fire is a threat too; with no rocks around, line up on the boss
+    // or the nearest enemy ship
+    for (const proj of engine.projectiles) {
+      if (!proj.hostile) continue;
+      const dy = player.position.y - proj.position.y;
+      if (dy >= 0 && dy < dodgeDistance && Math.abs(proj.position.x - player.position.x) < player.width) {
+        if (!threat || dy < player.position.y - threat.position.y) threat = proj;
+      }
+    }
+    if (!target && engine.bossSystem.boss) {
+      target = engine.bossSystem.boss;
+    } else if (!target) {
+      for (const ship of engine.world.query('enemy')) {
+        const dy = player.position.y - ship.position.y;
+        if (dy >= 0 && (!target || dy < player.position.y - target.position.y)) target = ship;
+      }
+    }
+
+    if (threat) {
+      // Step away from the incoming rock, towards the roomier side
+      const awayLeft = threat.position.x >= player.position.x;
+      keys[awayLeft ? 'a' : 'd'] = true;
+    } else if (target && Math.abs(target.position.x - player.position.x) > 10) {
+      keys[target.position.x < player.position.x ? 'a' : 'd'] = true;
+    }
+
+    return { keys };
+  });
+}
+
+/**
+ * Run one headless game to completion (or maxTime) and summarise it
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] - Run seed (random if omitted)
+ * @param {Object} [options.config] - GameEngine config overrides (asteroidSpawnRate, powerUpChance, ...)
+ * @param {Object} [options.input] - Input source; defaults to createAutopilot()
+ * @param {number} [options.maxTime=600] - Stop after this many simulated seconds
+ * @returns {Object} Run summary
+ */
+export function runSimulation({ seed = null, config = {}, input = null, maxTime = 600 } = {}) {
+  const engine = new GameEngine(null, {
+    ...config,
+    recordReplay: false,
+    input: input || createAutopilot()
+  });
+
+  engine.start(seed);
+  const maxSteps = Math.ceil(maxTime / engine.config.fixedTimeStep);
+  engine.step(maxSteps);
+
+  const state = engine.getState();
+  return {
+    seed: state.seed,
+    survived: state.state === 'playing',
+    score: Math.floor(state.score),
+    kills: state.kills,
+    time: state.time,
+    wave: state.wave,
+    level: state.level,
+    upgrades: { ...engine.upgradeSystem.upgrades }
+  };
+}
+
+/**
+ * Summary statistics for one numeric field of a batch
+ */
+function describe(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / (sorted.length || 1);
+  return {
+    min: sorted[0] ?? 0,
+    max: sorted[sorted.length - 1] ?? 0,
+    mean,
+    median: sorted[Math.floor(sorted.length / 2)] ?? 0
+  };
+}
+
+/**
+ * Run many seeded games with the same config (for balancing)
+ * Seeds are seedBase, seedBase + 1, ... so a batch is reproducible.
+ * @returns {Object} { runs, summary }
+ */
+export function runBatch({ runs = 100, seedBase = 1, ...options } = {}) {
+  const results = [];
+  for (let i = 0; i < runs; i++) {
+    results.push(runSimulation({ ...options, seed: seedBase + i }));
+  }
+
+  return {
+    runs: results,
+    summary: {
+      count: results.length,
+      survivalRate: results.filter(r => r.survived).length / (results.length || 1),
+      score: describe(results.map(r => r.score)),
+      time: describe(results.map(r => r.time)),
+      wave: describe(results.map(r => r.wave)),
+      kills: describe(results.map(r => r.kills))
+    }
+  };
+}
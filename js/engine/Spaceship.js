@@ -3,6 +3,9 @@ import { Vector2D } from './Vector2D.js';
 
 console.log('[Spaceship.js] Module loaded');
 
+// Hull outline of the fallback triangle (see Spaceship.outline)
+const DEFAULT_OUTLINE = [[0, -0.5], [0.5, 1 / 3], [-0.5, 1 / 3]];
+
 /**
  * Spaceship entity with advanced controls and physics
  */
@@ -15,6 +18,18 @@ export class Spaceship extends PhysicsBody {
     this.width = config.width || 40;
     this.height = config.height || 50;
     this.color = config.color || '#00f0ff';
+    this.upright = config.upright ?? true; // Lane-shooter: drawn and firing nose up whatever the angle (see getHeading)
+
+    // Convex hull outline for the narrowphase: [x, y] fractions of width and
+    // height from the centre, nose up (turned to the heading by getHullPolygon)
+    this.outline = config.outline || DEFAULT_OUTLINE;
+    this.hullPolygon = this.outline.map(() => ({ x: 0, y: 0 }));
+
+    // Collision circle (broadphase only) - grown to cover the outline at any heading
+    this.hitRadius = Math.max(
+      config.hitRadius || Math.max(this.width, this.height) / 2,
+      ...this.outline.map(([x, y]) => Math.hypot(x * this.width, y * this.height))
+    );
 
     // Engine properties
     this.thrustPower = config.thrustPower || 800;
@@ -53,14 +68,18 @@ export class Spaceship extends PhysicsBody {
     this.maxHealth = config.health || 100;
     this.invulnerable = false;
     this.invulnerabilityTimer = 0;
+    this.invulnerabilityTime = config.invulnerabilityTime || 1.0; // Granted after each hit
 
     // Animation state
     this.sprite = null;
     this.animationFrame = 0;
     this.animationTimer = 0;
 
-    this.sprite = new Image();
-    this.sprite.src = 'assets/images/spaceship-default.svg';
+    // No Image outside the browser (headless simulation) - render falls back to vector shape
+    if (typeof Image !== 'undefined') {
+      this.sprite = new Image();
+      this.sprite.src = config.sprite || 'assets/images/spaceship-default.svg';
+    }
 
     // Trail effect
     this.trail = [];
@@ -136,25 +155,34 @@ export class Spaceship extends PhysicsBody {
     }
   }
 
+  /**
+   * Direction the nose points: straight up for an upright ship, else its angle
+   */
+  getHeading() {
+    return this.upright ? -Math.PI / 2 : this.angle;
+  }
+
   /**
    * Fire weapon
+   * @returns {Object|null} { position, velocity, direction, angle, damage } - null while cooling down
    */
   fire() {
     if (this.weapons.cooldown > 0) return null;
 
     this.weapons.cooldown = this.weapons.fireRate;
 
-    // Always shoot upward
-    const upwardDirection = new Vector2D(0, -1);
-    const spawnOffset = Vector2D.multiply(upwardDirection, this.height / 2);
+    // Shoot out of the nose
+    const direction = this.upright ? new Vector2D(0, -1) : this.getForwardVector();
+    const spawnOffset = Vector2D.multiply(direction, this.height / 2);
     const spawnPos = Vector2D.add(this.position, spawnOffset);
 
-    const projectileVelocity = Vector2D.multiply(upwardDirection, this.weapons.projectileSpeed);
+    const projectileVelocity = Vector2D.multiply(direction, this.weapons.projectileSpeed);
 
     return {
       position: spawnPos,
       velocity: projectileVelocity,
-      angle: -Math.PI / 2, // Point upward
+      direction,
+      angle: this.getHeading(),
       damage: 25
     };
   }
@@ -177,7 +205,7 @@ export class Spaceship extends PhysicsBody {
     
     // Grant brief invulnerability
     this.invulnerable = true;
-    this.invulnerabilityTimer = 1.0; // 1 second
+    this.invulnerabilityTimer = this.invulnerabilityTime;
 
     return this.health <= 0;
   }
@@ -269,8 +297,8 @@ export class Spaceship extends PhysicsBody {
 
     ctx.save();
     ctx.translate(this.position.x, this.position.y);
-    // Always face upward (-90 degrees from default right-facing orientation)
-    ctx.rotate(-Math.PI / 2);
+    // Face the heading (upright = -90 degrees from the default right-facing orientation)
+    ctx.rotate(this.getHeading());
 
     // Render thrust particles
     if (this.isThrusting) {
@@ -323,7 +351,7 @@ export class Spaceship extends PhysicsBody {
       ctx.globalAlpha = 0.5;
     }
 
-    if (this.sprite.complete) {
+    if (this.sprite && this.sprite.complete) {
         ctx.save();
         ctx.rotate(Math.PI / 2); // Rotate 90 degrees clockwise
         ctx.drawImage(this.sprite, -this.width / 2, -this.height / 2, this.width, this.height);
@@ -453,6 +481,22 @@ export class Spaceship extends PhysicsBody {
     }
   }
 
+  /**
+   * Hull outline in world space, turned to the heading the ship is drawn at (see outline)
+   */
+  getHullPolygon() {
+    const rotation = this.getHeading() + Math.PI / 2; // The outline is nose up
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    this.outline.forEach(([x, y], i) => {
+      const localX = x * this.width;
+      const localY = y * this.height;
+      this.hullPolygon[i].x = this.position.x + localX * cos - localY * sin;
+      this.hullPolygon[i].y = this.position.y + localX * sin + localY * cos;
+    });
+    return this.hullPolygon;
+  }
+
   /**
    * Check if ship is destroyed
    */
@@ -0,0 +1,191 @@
+console.log('[SpatialHash.js] Module loaded');
+
+/**
+ * Persistent spatial hash broadphase
+ * Objects are bucketed into grid cells by their bounding circle and only
+ * re-bucketed when they cross a cell boundary, so per-step updates are cheap.
+ * Queries return candidates for the exact (narrowphase) test.
+ */
+export class SpatialHash {
+  constructor(cellSize = 100) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // cell key -> array of entries
+    this.entries = new Map(); // object -> entry
+    this.queryStamp = 0;
+
+    // Per-step statistics for the debug overlay
+    this.stats = { queries: 0, candidates: 0 };
+  }
+
+  /**
+   * Integer cell key (exact for cell coordinates within +/-32768)
+   */
+  static key(cellX, cellY) {
+    return (cellX + 32768) * 65536 + (cellY + 32768);
+  }
+
+  /**
+   * Add an object with a bounding radius to a layer ('asteroid', 'projectile', ...)
+   */
+  insert(obj, radius, layer = 'default') {
+    if (this.entries.has(obj)) {
+      this.update(obj, radius);
+      return;
+    }
+
+    const entry = {
+      obj,
+      layer,
+      radius,
+      minX: 0, minY: 0, maxX: 0, maxY: 0,
+      stamp: 0
+    };
+    this.setBounds(entry, obj.position.x, obj.position.y, radius);
+    this.entries.set(obj, entry);
+    this.addToCells(entry);
+  }
+
+  /**
+   * Refresh an object after it moved (or its radius changed)
+   */
+  update(obj, radius) {
+    const entry = this.entries.get(obj);
+    if (!entry) return;
+
+    if (radius !== undefined) entry.radius = radius;
+
+    const size = this.cellSize;
+    const x = obj.position.x;
+    const y = obj.position.y;
+    const r = entry.radius;
+    const minX = Math.floor((x - r) / size);
+    const minY = Math.floor((y - r) / size);
+    const maxX = Math.floor((x + r) / size);
+    const maxY = Math.floor((y + r) / size);
+
+    // Still covering the same cells - nothing to move
+    if (minX === entry.minX && minY === entry.minY && maxX === entry.maxX && maxY === entry.maxY) return;
+
+    this.removeFromCells(entry);
+    entry.minX = minX;
+    entry.minY = minY;
+    entry.maxX = maxX;
+    entry.maxY = maxY;
+    this.addToCells(entry);
+  }
+
+  /**
+   * Remove an object from the hash
+   */
+  remove(obj) {
+    const entry = this.entries.get(obj);
+    if (!entry) return;
+    this.removeFromCells(entry);
+    this.entries.delete(obj);
+  }
+
+  has(obj) {
+    return this.entries.has(obj);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  /**
+   * Objects in a layer whose cells overlap a circle (deduplicated)
+   * @param {Array} [out] - Reused result array to avoid allocation
+   */
+  query(x, y, radius, layer = null, out = []) {
+    out.length = 0;
+    const stamp = ++this.queryStamp;
+    const size = this.cellSize;
+    const minX = Math.floor((x - radius) / size);
+    const minY = Math.floor((y - radius) / size);
+    const maxX = Math.floor((x + radius) / size);
+    const maxY = Math.floor((y + radius) / size);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        const cell = this.cells.get(SpatialHash.key(cx, cy));
+        if (!cell) continue;
+
+        for (let i = 0; i < cell.length; i++) {
+          const entry = cell[i];
+          if (entry.stamp === stamp) continue;
+          entry.stamp = stamp;
+          if (layer === null || entry.layer === layer) {
+            out.push(entry.obj);
+          }
+        }
+      }
+    }
+
+    this.stats.queries++;
+    this.stats.candidates += out.length;
+    return out;
+  }
+
+  /**
+   * Clear per-step query statistics
+   */
+  resetStats() {
+    this.stats.queries = 0;
+    this.stats.candidates = 0;
+  }
+
+  /**
+   * Snapshot for the debug overlay
+   */
+  getStats() {
+    return {
+      objects: this.entries.size,
+      cells: this.cells.size,
+      queries: this.stats.queries,
+      candidates: this.stats.candidates
+    };
+  }
+
+  setBounds(entry, x, y, radius) {
+    const size = this.cellSize;
+    entry.minX = Math.floor((x - radius) / size);
+    entry.minY = Math.floor((y - radius) / size);
+    entry.maxX = Math.floor((x + radius) / size);
+    entry.maxY = Math.floor((y + radius) / size);
+  }
+
+  addToCells(entry) {
+    for (let cx = entry.minX; cx <= entry.maxX; cx++) {
+      for (let cy = entry.minY; cy <= entry.maxY; cy++) {
+        const key = SpatialHash.key(cx, cy);
+        let cell = this.cells.get(key);
+        if (!cell) {
+          cell = [];
+          this.cells.set(key, cell);
+        }
+        cell.push(entry);
+      }
+    }
+  }
+
+  removeFromCells(entry) {
+    for (let cx = entry.minX; cx <= entry.maxX; cx++) {
+      for (let cy = entry.minY; cy <= entry.maxY; cy++) {
+        const key = SpatialHash.key(cx, cy);
+        const cell = this.cells.get(key);
+        if (!cell) continue;
+
+        const index = cell.indexOf(entry);
+        if (index !== -1) {
+          // Order within a cell doesn't matter - swap-remove
+          cell[index] = cell[cell.length - 1];
+          cell.pop();
+        }
+        if (cell.length === 0) {
+          this.cells.delete(key);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,564 @@
+import { Vector2D } from './Vector2D.js';
+import { CollisionSystem } from './Collision.js';
+
+console.log('[Systems.js] Module loaded');
+
+/**
+ * Built-in systems for World entities (see ECS.js)
+ * Each system reads the components named in its comment; the GameEngine is
+ * passed in as `engine`. Priorities below are the order they are registered in.
+ */
+
+/**
+ * lifetime { duration, age } - destroys the entity once its time is up
+ */
+export const LifetimeSystem = {
+  update(deltaTime, world) {
+    for (const entity of world.query('lifetime')) {
+      entity.lifetime.age += deltaTime;
+      if (entity.lifetime.age >= entity.lifetime.duration) {
+        world.destroy(entity);
+      }
+    }
+  }
+};
+
+/**
+ * despawnBelow { margin } - destroys entities that scrolled off the bottom.
+ * Space-sim has no bottom: once an entity is inside the arena its edges keep
+ * it there (GameEngine.confineToArena), and strays that never come in are dropped.
+ */
+export const DespawnSystem = {
+  update(deltaTime, world, engine) {
+    const arena = engine.config.mode === 'space-sim';
+    for (const entity of world.query('body', 'despawnBelow')) {
+      const despawn = entity.despawnBelow;
+      if (!arena) {
+        if (entity.position.y > engine.height + despawn.margin) {
+          world.destroy(entity);
+        }
+        continue;
+      }
+
+      const radius = entity.collider ? entity.collider.radius : 0;
+      if (despawn.inArena) {
+        engine.confineToArena(entity.body, radius * 2);
+      } else if (engine.isOnScreen(entity.position, -radius)) {
+        despawn.inArena = true;
+      } else if (!engine.isOnScreen(entity.position, 300)) {
+        world.destroy(entity);
+      }
+    }
+  }
+};
+
+/**
+ * body (PhysicsBody) - integrates motion
+ */
+export const MotionSystem = {
+  update(deltaTime, world) {
+    for (const entity of world.query('body')) {
+      entity.body.update(deltaTime);
+    }
+  }
+};
+
+/**
+ * telegraph { timer, label } - warning phase before an entity becomes active.
+ * Other systems skip entities that still have this component.
+ */
+export const TelegraphSystem = {
+  update(deltaTime, world) {
+    const telegraphing = world.query('telegraph');
+    // Backwards: removing the component drops the entity from this list
+    for (let i = telegraphing.length - 1; i >= 0; i--) {
+      const entity = telegraphing[i];
+      entity.telegraph.timer -= deltaTime;
+      if (entity.telegraph.timer <= 0) {
+        world.removeComponent(entity, 'telegraph');
+      }
+    }
+  }
+};
+
+/**
+ * gravityWell { strength, asteroidRange, projectileRange } + collider -
+ * pulls asteroids and projectiles in (ranges are multiples of the collider radius)
+ */
+export const GravityWellSystem = {
+  update(deltaTime, world, engine) {
+    for (const entity of world.query('gravityWell', 'collider')) {
+      if (entity.telegraph) continue;
+
+      const well = entity.gravityWell;
+      const position = entity.position;
+      const radius = entity.collider.radius;
+
+      // Constant pull on asteroids
+      const pullRange = radius * well.asteroidRange;
+      engine.broadphase.query(position.x, position.y, pullRange, 'asteroid', engine.queryBuffer).forEach(asteroid => {
+        const toWell = Vector2D.subtract(position, asteroid.position);
+        const dist = toWell.magnitude();
+
+        if (dist < pullRange) {
+          const force = toWell.normalize().multiply(well.strength * 0.005);
+          asteroid.velocity.add(force.multiply(deltaTime));
+        }
+      });
+
+      // Pull projectiles (makes gameplay interesting) - stronger when closer
+      const projectileRange = radius * well.projectileRange;
+      engine.broadphase.query(position.x, position.y, projectileRange, 'projectile', engine.queryBuffer).forEach(proj => {
+        const toWell = Vector2D.subtract(position, proj.position);
+        const dist = toWell.magnitude();
+
+        if (dist < projectileRange) {
+          const force = toWell.normalize().multiply(well.strength * 0.5 / (dist + 1));
+          proj.velocity.add(force.multiply(deltaTime));
+        }
+      });
+    }
+  }
+};
+
+/**
+ * slowField { factor } + collider - damps the player's velocity inside the radius
+ */
+export const SlowFieldSystem = {
+  update(deltaTime, world, engine) {
+    if (!engine.player) return;
+
+    for (const entity of world.query('slowField', 'collider')) {
+      if (entity.telegraph) continue;
+
+      const dist = Vector2D.distance(entity.position, engine.player.position);
+      if (dist < entity.collider.radius) {
+        engine.player.velocity.multiply(entity.slowField.factor);
+      }
+    }
+  }
+};
+
+/**
+ * asteroidEmitter { rate, timer, size, minSpeed, maxSpeed, drift } + collider -
+ * drops asteroids from above the screen across the collider's width
+ */
+export const AsteroidEmitterSystem = {
+  update(deltaTime, world, engine) {
+    for (const entity of world.query('asteroidEmitter', 'collider')) {
+      if (entity.telegraph) continue;
+
+      const emitter = entity.asteroidEmitter;
+      emitter.timer += deltaTime;
+      if (emitter.timer < emitter.rate) continue;
+      emitter.timer = 0;
+
+      const x = entity.position.x + engine.rng.spread(entity.collider.radius);
+      const velocity = new Vector2D(
+        engine.rng.spread(emitter.drift),
+        emitter.minSpeed + engine.rng.next() * (emitter.maxSpeed - emitter.minSpeed)
+      );
+
+      const asteroid = engine.pools.asteroid.acquire(x, -50, emitter.size, velocity, engine.rng);
+      engine.addEntity('asteroid', asteroid);
+    }
+  }
+};
+
+/**
+ * swirl {} + collider - black hole particle swirl (cosmetic)
+ */
+export const SwirlEffectSystem = {
+  update(deltaTime, world, engine) {
+    for (const entity of world.query('swirl', 'collider')) {
+      engine.particles.createBlackHoleEffect(entity.position.x, entity.position.y, entity.collider.radius);
+    }
+  }
+};
+
+// Seconds a boss spends invulnerable between phases
+export const BOSS_TRANSITION_TIME = 1.5;
+
+// Speed (pixels/s) a boss flies in to its anchor at
+export const BOSS_ENTRY_SPEED = 120;
+
+/**
+ * Boss attack patterns: (engine, entity, attack) fires one volley
+ * `attack` is an entry from the phase's attacks list (see Bosses.js).
+ */
+export const BOSS_ATTACKS = {
+  // `count` shots at the player, `spacing` radians apart
+  aimed(engine, entity, attack) {
+    const origin = bossMuzzle(entity);
+    const spacing = attack.spacing || 0;
+    fireFan(engine, entity, origin, aimAtPlayer(engine, origin), spacing * (attack.count - 1), attack);
+  },
+
+  // `count` shots fanned across `arc` radians, centred on the player
+  spread(engine, entity, attack) {
+    const origin = bossMuzzle(entity);
+    fireFan(engine, entity, origin, aimAtPlayer(engine, origin), attack.arc, attack);
+  },
+
+  // `count` shots evenly around the boss, offset half a gap each volley
+  ring(engine, entity, attack) {
+    const step = (Math.PI * 2) / attack.count;
+    for (let i = 0; i < attack.count; i++) {
+      fireAt(engine, entity, entity.position, entity.boss.spin + i * step, attack);
+    }
+    entity.boss.spin += step / 2;
+  },
+
+  // `count` evenly spaced arms, rotated by `turn` radians each volley
+  spiral(engine, entity, attack) {
+    entity.boss.spin += attack.turn;
+    const step = (Math.PI * 2) / attack.count;
+    for (let i = 0; i < attack.count; i++) {
+      fireAt(engine, entity, entity.position, entity.boss.spin + i * step, attack);
+    }
+  }
+};
+
+function bossMuzzle(entity) {
+  return new Vector2D(entity.position.x, entity.position.y + entity.collider.radius * 0.6);
+}
+
+function aimAtPlayer(engine, origin) {
+  if (!engine.player) return Math.PI / 2; // Straight down
+  return Math.atan2(engine.player.position.y - origin.y, engine.player.position.x - origin.x);
+}
+
+function fireFan(engine, entity, origin, centerAngle, arc, attack) {
+  if (attack.count === 1) {
+    fireAt(engine, entity, origin, centerAngle, attack);
+    return;
+  }
+  for (let i = 0; i < attack.count; i++) {
+    fireAt(engine, entity, origin, centerAngle - arc / 2 + (arc * i) / (attack.count - 1), attack);
+  }
+}
+
+function fireAt(engine, entity, origin, angle, attack) {
+  engine.fireEnemyProjectile(origin.x, origin.y, angle, attack.speed, attack.damage, entity.boss.color);
+}
+
+/**
+ * boss { phases, anchorX, anchorY, contactDamage, ... } + health + body + collider -
+ * boss state machine: entering (flies in to anchorX, anchorY) -> fighting (strafes and
+ * fires the phase's attacks) -> transition (invulnerable, when health drops
+ * below the next phase's `from`) -> fighting. Defeat is handled by the engine
+ * (GameEngine.damageBoss), which also reads engine.bossSystem kept here.
+ */
+export const BossSystem = {
+  onEntityAdded(entity, world, engine) {
+    if (!entity.boss) return;
+
+    const boss = entity.boss;
+    boss.phase = 1;
+    boss.state = 'entering';
+    boss.stateTimer = 0;
+    boss.direction = 1;
+    boss.spin = 0;
+    boss.attackTimers = boss.phases[0].attacks.map(() => 0);
+    entity.health.current = entity.health.max;
+
+    engine.bossSystem.active = true;
+    engine.bossSystem.boss = entity;
+    engine.bossSystem.phase = 1;
+    engine.bossSystem.maxPhases = boss.phases.length;
+  },
+
+  onEntityRemoved(entity, world, engine) {
+    if (engine.bossSystem.boss === entity) {
+      engine.bossSystem.active = false;
+      engine.bossSystem.boss = null;
+    }
+  },
+
+  update(deltaTime, world, engine) {
+    for (const entity of world.query('boss', 'health', 'body', 'collider')) {
+      const boss = entity.boss;
+      const velocity = entity.body.velocity;
+      boss.stateTimer += deltaTime;
+
+      if (boss.state === 'entering') {
+        // Straight down in lane-shooter; from any arena edge in space-sim
+        const dx = boss.anchorX - entity.position.x;
+        const dy = boss.anchorY - entity.position.y;
+        const dist = Math.hypot(dx, dy);
+        if (dist <= BOSS_ENTRY_SPEED * deltaTime) {
+          entity.position.set(boss.anchorX, boss.anchorY);
+          velocity.set(0, 0);
+          boss.state = 'fighting';
+          boss.stateTimer = 0;
+        } else {
+          velocity.set((dx / dist) * BOSS_ENTRY_SPEED, (dy / dist) * BOSS_ENTRY_SPEED);
+        }
+      } else if (boss.state === 'transition') {
+        velocity.set(0, 0);
+        if (boss.stateTimer >= BOSS_TRANSITION_TIME) {
+          boss.state = 'fighting';
+          boss.stateTimer = 0;
+        }
+      } else {
+        const phase = boss.phases[boss.phase - 1];
+
+        // Strafe between the screen edges, easing back to the anchor height
+        const margin = entity.collider.radius;
+        if (entity.position.x < margin) boss.direction = 1;
+        if (entity.position.x > engine.width - margin) boss.direction = -1;
+        velocity.set(phase.moveSpeed * boss.direction, (boss.anchorY - entity.position.y) * 2);
+
+        phase.attacks.forEach((attack, i) => {
+          boss.attackTimers[i] += deltaTime;
+          if (boss.attackTimers[i] >= attack.interval) {
+            boss.attackTimers[i] = 0;
+            BOSS_ATTACKS[attack.pattern](engine, entity, attack);
+          }
+        });
+
+        // Next phase once health drops below its threshold
+        const next = boss.phases[boss.phase];
+        if (next && entity.health.current <= entity.health.max * next.from) {
+          boss.phase++;
+          boss.state = 'transition';
+          boss.stateTimer = 0;
+          boss.attackTimers = next.attacks.map(() => 0);
+          engine.bossSystem.phase = boss.phase;
+          engine.bossPhaseTransition(entity);
+        }
+      }
+
+      // Ramming the boss hurts
+      const player = engine.player;
+      if (player && engine.state === 'playing') {
+        if (touchesPlayer(entity, player)) {
+          if (engine.damagePlayer(boss.contactDamage)) {
+            engine.gameOver();
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * weakPoint { offsetX, offsetY, radius, closed, warning, open, multiplier } -
+ * cycles closed -> warning (telegraphed) -> open for the given seconds. Open
+ * weak points take `multiplier` x damage (see GameEngine.damageBoss). A boss's
+ * weak point stays shut while it isn't fighting.
+ */
+export const WeakPointSystem = {
+  onEntityAdded(entity) {
+    if (!entity.weakPoint) return;
+    entity.weakPoint.state = 'closed';
+    entity.weakPoint.timer = entity.weakPoint.closed;
+  },
+
+  update(deltaTime, world) {
+    for (const entity of world.query('weakPoint')) {
+      if (entity.boss && entity.boss.state !== 'fighting') continue;
+
+      const weakPoint = entity.weakPoint;
+      weakPoint.timer -= deltaTime;
+      if (weakPoint.timer > 0) continue;
+
+      if (weakPoint.state === 'closed') {
+        weakPoint.state = 'warning';
+        weakPoint.timer = weakPoint.warning;
+      } else if (weakPoint.state === 'warning') {
+        weakPoint.state = 'open';
+        weakPoint.timer = weakPoint.open;
+      } else {
+        weakPoint.state = 'closed';
+        weakPoint.timer = weakPoint.closed;
+      }
+    }
+  }
+};
+
+/**
+ * enemy + steering { maxSpeed, diveSpeed, turnRate, faceTarget } + body +
+ * collider, optional formation and weapon { interval, speed, damage, cone } -
+ * enemy ship AI. Squad members fly to their formation slot until their
+ * formation.diveAfter time, then dive at the player (see Enemies.js).
+ * Kills are handled by the engine (GameEngine.damageEnemy).
+ */
+export const EnemySystem = {
+  onEntityAdded(entity, world, engine) {
+    if (!entity.enemy) return;
+    entity.health.current = entity.health.max;
+    entity.steering.age = 0;
+    entity.steering.diving = false;
+    // Stagger the first shot so a squad doesn't fire in one volley
+    if (entity.weapon) {
+      entity.weapon.timer = engine.rng.next() * entity.weapon.interval;
+    }
+  },
+
+  update(deltaTime, world, engine) {
+    const player = engine.player;
+
+    for (const entity of world.query('enemy', 'steering', 'body', 'collider')) {
+      const steering = entity.steering;
+      const body = entity.body;
+      const formation = entity.formation;
+      steering.age += deltaTime;
+
+      if (formation && formation.diveAfter !== null && steering.age >= formation.diveAfter) {
+        steering.diving = true;
+      }
+
+      if (steering.diving || !formation) {
+        // Swoop at the player; once past them keep going and leave the screen.
+        // Space-sim has no screen to leave, so divers keep coming round.
+        if (player && (engine.config.mode === 'space-sim' || entity.position.y < player.position.y)) {
+          body.rotateTowards(angleTo(entity.position, player.position), steering.turnRate, deltaTime);
+        }
+        body.velocity.set(
+          Math.cos(body.angle) * steering.diveSpeed,
+          Math.sin(body.angle) * steering.diveSpeed
+        );
+      } else {
+        // Slots advance along the squad's heading (dirX, dirY) for up to
+        // formation.travel pixels; across is to the heading's left
+        const t = steering.age;
+        const along = formation.offsetY + Math.min(formation.speed * t, formation.travel);
+        const across = formation.offsetX + Math.sin(t * 1.5) * formation.sway;
+        const slotX = formation.anchorX + along * formation.dirX + across * formation.dirY;
+        const slotY = formation.anchorY + along * formation.dirY - across * formation.dirX;
+        const dx = slotX - entity.position.x;
+        const dy = slotY - entity.position.y;
+        // Arrive: full speed when far from the slot, easing off near it
+        const speed = Math.min(steering.maxSpeed, formation.speed + Math.hypot(dx, dy) * 4);
+
+        if (steering.faceTarget) {
+          // Turret ships slide to their slot and keep their guns on the player
+          const dist = Math.hypot(dx, dy) || 1;
+          body.velocity.set((dx / dist) * speed, (dy / dist) * speed);
+          if (player) body.lookAt(player.position);
+        } else {
+          body.rotateTowards(
+            Math.atan2(dy + formation.speed * formation.dirY, dx + formation.speed * formation.dirX),
+            steering.turnRate,
+            deltaTime
+          );
+          body.velocity.set(Math.cos(body.angle) * speed, Math.sin(body.angle) * speed);
+        }
+      }
+
+      if (!player || engine.state !== 'playing') continue;
+
+      // Fire when the player is in front of the guns and the ship is on screen
+      const weapon = entity.weapon;
+      if (weapon) {
+        weapon.timer += deltaTime;
+        const aim = angleTo(entity.position, player.position);
+        if (weapon.timer >= weapon.interval && engine.isOnScreen(entity.position) &&
+            Math.abs(wrapAngle(aim - body.angle)) <= weapon.cone) {
+          weapon.timer = 0;
+          const muzzle = entity.collider.radius;
+          engine.fireEnemyProjectile(
+            entity.position.x + Math.cos(aim) * muzzle,
+            entity.position.y + Math.sin(aim) * muzzle,
+            aim,
+            weapon.speed,
+            weapon.damage,
+            entity.enemy.color
+          );
+        }
+      }
+
+      // Ramming costs the ship and hurts the player
+      if (touchesPlayer(entity, player)) {
+        engine.destroyEnemy(entity, false);
+        if (engine.damagePlayer(entity.enemy.contactDamage)) {
+          engine.gameOver();
+        }
+      }
+    }
+  }
+};
+
+/**
+ * mine { triggerRadius, armTime, age } + body - player mines (see Weapons.js).
+ * Once armed, an asteroid, enemy ship or boss in range sets it off
+ * (GameEngine.detonateMine).
+ */
+export const MineSystem = {
+  update(deltaTime, world, engine) {
+    for (const entity of world.query('mine', 'body')) {
+      const mine = entity.mine;
+      mine.age += deltaTime;
+      if (mine.age < mine.armTime) continue;
+
+      const { x, y } = entity.position;
+      const triggered = ['asteroid', 'enemy', 'boss'].some(layer =>
+        engine.broadphase.query(x, y, mine.triggerRadius, layer, engine.queryBuffer).some(target =>
+          Vector2D.distance(entity.position, target.position) < mine.triggerRadius + (target.collider ? target.collider.radius : target.radius)
+        )
+      );
+      if (triggered) {
+        engine.detonateMine(entity);
+      }
+    }
+  }
+};
+
+/**
+ * Collider circle against the player: bounding circles, then the ship's hull
+ */
+function touchesPlayer(entity, player) {
+  return Vector2D.distance(entity.position, player.position) < entity.collider.radius + player.hitRadius &&
+    CollisionSystem.polygonOverlapsCircle(player.getHullPolygon(), entity.position, entity.collider.radius);
+}
+
+function angleTo(from, to) {
+  return Math.atan2(to.y - from.y, to.x - from.x);
+}
+
+function wrapAngle(angle) {
+  while (angle > Math.PI) angle -= Math.PI * 2;
+  while (angle < -Math.PI) angle += Math.PI * 2;
+  return angle;
+}
+
+/**
+ * collider { layer, radius } - keeps the entity in the engine's broadphase
+ */
+export const ColliderSystem = {
+  onEntityAdded(entity, world, engine) {
+    if (entity.collider && entity.position) {
+      engine.broadphase.insert(entity, entity.collider.radius, entity.collider.layer);
+    }
+  },
+
+  onEntityRemoved(entity, world, engine) {
+    engine.broadphase.remove(entity);
+  },
+
+  update(deltaTime, world, engine) {
+    for (const entity of world.query('collider', 'body')) {
+      engine.broadphase.update(entity, entity.collider.radius);
+    }
+  }
+};
+
+/**
+ * Register the built-in systems in update order
+ */
+export function registerCoreSystems(world) {
+  world.addSystem(LifetimeSystem, 0);
+  world.addSystem(DespawnSystem, 10);
+  world.addSystem(MotionSystem, 20);
+  world.addSystem(TelegraphSystem, 30);
+  world.addSystem(GravityWellSystem, 40);
+  world.addSystem(SlowFieldSystem, 50);
+  world.addSystem(AsteroidEmitterSystem, 60);
+  world.addSystem(SwirlEffectSystem, 70);
+  world.addSystem(EnemySystem, 75);
+  world.addSystem(MineSystem, 78);
+  world.addSystem(BossSystem, 80);
+  world.addSystem(WeakPointSystem, 90);
+  world.addSystem(ColliderSystem, 100);
+}
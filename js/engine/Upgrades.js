@@ -0,0 +1,140 @@
+console.log('[Upgrades.js] Module loaded');
+
+/**
+ * Upgrade tree offered on level-up (see GameEngine.offerUpgrades)
+ * Each upgrade can be taken up to `max` times. `requires` lists ranks of
+ * other upgrades needed before it is offered, which is what makes the
+ * branches. `apply(player)` runs once per rank for stats that live on the
+ * ship; the rest are read from upgradeSystem.upgrades where they matter.
+ */
+export const UPGRADE_TREE = {
+  // Weapons
+  damage: {
+    name: 'Heavy Rounds',
+    branch: 'weapons',
+    icon: '💥',
+    description: '+10% weapon damage',
+    max: 5
+  },
+  critical: {
+    name: 'Armour Piercing',
+    branch: 'weapons',
+    icon: '🎯',
+    description: '+10% chance of a double-damage shot',
+    max: 3,
+    requires: { damage: 2 }
+  },
+  fireRate: {
+    name: 'Rapid Cycler',
+    branch: 'weapons',
+    icon: '⚙️',
+    description: 'Weapons fire 5% faster',
+    max: 5
+  },
+  twinShot: {
+    name: 'Twin Cannons',
+    branch: 'weapons',
+    icon: '⏫',
+    description: 'Main cannon fires two parallel shots',
+    max: 1,
+    requires: { fireRate: 3 }
+  },
+
+  // Hull
+  health: {
+    name: 'Reinforced Hull',
+    branch: 'hull',
+    icon: '🔩',
+    description: '+10 max hull (and repair 10)',
+    max: 5,
+    apply(player) {
+      player.maxHealth += 10;
+      player.heal(10);
+    }
+  },
+  regen: {
+    name: 'Nanite Repair',
+    branch: 'hull',
+    icon: '🩹',
+    description: 'Repair 1 hull per second',
+    max: 3,
+    requires: { health: 2 }
+  },
+
+  // Shield
+  shield: {
+    name: 'Shield Capacitor',
+    branch: 'shield',
+    icon: '🛡️',
+    description: '+20 shield strength',
+    max: 5,
+    apply(player) {
+      player.shield.maxStrength += 20;
+    }
+  },
+  shieldRegen: {
+    name: 'Fast Recharge',
+    branch: 'shield',
+    icon: '🔋',
+    description: 'Shield recharges 25% faster',
+    max: 3,
+    requires: { shield: 2 },
+    apply(player) {
+      player.shield.regenRate *= 1.25;
+    }
+  },
+
+  // Engines
+  speed: {
+    name: 'Thrusters',
+    branch: 'engines',
+    icon: '🚀',
+    description: '+20 top speed',
+    max: 5,
+    apply(player) {
+      player.maxSpeed += 20;
+    }
+  },
+  salvage: {
+    name: 'Salvage Drones',
+    branch: 'engines',
+    icon: '🧲',
+    description: '+5% power-up drop chance',
+    max: 3,
+    requires: { speed: 2 }
+  }
+};
+
+/**
+ * A rank of 0 for every upgrade in the tree
+ */
+export function createUpgradeRanks() {
+  return Object.fromEntries(Object.keys(UPGRADE_TREE).map(id => [id, 0]));
+}
+
+/**
+ * Whether an upgrade can be taken with the given ranks (below its cap and
+ * every prerequisite met)
+ */
+export function isUpgradeAvailable(id, ranks) {
+  const upgrade = UPGRADE_TREE[id];
+  if (!upgrade || (ranks[id] || 0) >= upgrade.max) return false;
+  return Object.entries(upgrade.requires || {}).every(([needed, rank]) => (ranks[needed] || 0) >= rank);
+}
+
+/**
+ * Draw up to `count` different upgrades that can be taken next
+ * @param {SeededRandom} rng - Gameplay random source (keeps replays in step)
+ * @param {Object} ranks - Current ranks by upgrade id
+ * @param {number} count - Cards to offer
+ * @returns {Object[]} [{ id, rank, ...upgrade }] where rank is the rank taking it gives
+ */
+export function drawUpgradeChoices(rng, ranks, count) {
+  const pool = Object.keys(UPGRADE_TREE).filter(id => isUpgradeAvailable(id, ranks));
+  const choices = [];
+  while (choices.length < count && pool.length > 0) {
+    const id = pool.splice(Math.floor(rng.next() * pool.length), 1)[0];
+    choices.push({ id, rank: (ranks[id] || 0) + 1, ...UPGRADE_TREE[id] });
+  }
+  return choices;
+}
@@ -0,0 +1,77 @@
+console.log('[Weapons.js] Module loaded');
+
+/**
+ * Player weapons (GameEngine.weaponSystem.weapons)
+ * Weapons are collected into an inventory from `weapon` power-ups and cycled
+ * with Q / Z. Picking up a weapon already carried raises its level (up to
+ * MAX_WEAPON_LEVEL, +25% damage each) and refills it.
+ *
+ * A weapon is limited by either:
+ * - ammo: shots per pickup; the weapon is dropped from the inventory when empty
+ * - heat { perShot, cooling }: heat (0-1) added per shot and shed per second;
+ *   at 1 the weapon overheats and can't fire until it has cooled to 0
+ * The hangar starting weapon (weaponSystem.baseWeapon) never runs out.
+ *
+ * Besides plain projectiles, GameEngine.playerFire has these archetypes:
+ * - beam: instant hitscan ray (CollisionSystem.raycast) through up to `pierce`
+ *   targets (+1 per level) within `range`; bosses stop it
+ * - charge: hold fire to charge, release to shoot (any weapon with a
+ *   chargeTime); damage grows from `damage` to `maxDamage` over chargeTime
+ * - mines: drops a 'mine' world entity (see MINE_PREFAB and MineSystem)
+ */
+export const WEAPONS = {
+  default: { name: 'Pulse Cannon', damage: 10, fireRate: 0.2, projectileSpeed: 800, color: '#00f0ff' },
+  laser: { name: 'Laser', damage: 5, fireRate: 0.05, projectileSpeed: 1000, color: '#ff00ff', heat: { perShot: 0.03, cooling: 0.4 } },
+  missile: { name: 'Missiles', damage: 30, fireRate: 0.5, projectileSpeed: 600, color: '#ff6600', homing: true, ammo: 20 },
+  shotgun: { name: 'Scatter Gun', damage: 8, fireRate: 0.4, projectileSpeed: 700, color: '#ffff00', spread: 3, ammo: 30 },
+  beam: { name: 'Lance Beam', damage: 14, fireRate: 0.3, color: '#7df9ff', range: 700, pierce: 3, heat: { perShot: 0.15, cooling: 0.35 } },
+  charge: { name: 'Charge Cannon', damage: 15, maxDamage: 90, chargeTime: 1.2, fireRate: 0.3, projectileSpeed: 900, color: '#ffd700', ammo: 15 },
+  mines: { name: 'Mine Layer', damage: 60, fireRate: 0.6, color: '#ff3366', blastRadius: 90, ammo: 8 }
+};
+
+// Weapons that `weapon` power-ups can drop
+export const WEAPON_DROPS = ['laser', 'missile', 'shotgun', 'beam', 'charge', 'mines'];
+
+export const MAX_WEAPON_LEVEL = 3;
+
+/**
+ * Inventory slot for a newly collected weapon
+ * @param {string} id - WEAPONS key
+ * @param {boolean} [unlimited] - Ignore ammo (the hangar starting weapon)
+ */
+export function createWeaponSlot(id, unlimited = false) {
+  const weapon = WEAPONS[id];
+  return {
+    level: 1,
+    ammo: weapon.ammo && !unlimited ? weapon.ammo : null, // null = never runs out
+    heat: 0,
+    overheated: false
+  };
+}
+
+/**
+ * Damage multiplier for a weapon level
+ */
+export function getWeaponLevelMultiplier(level) {
+  return 1 + (level - 1) * 0.25;
+}
+
+/**
+ * Mine dropped by the mine layer. Slides ahead of the ship, arms after
+ * armTime and detonates when anything hostile comes within triggerRadius
+ * (GameEngine.detonateMine). Damage and blast radius are set at launch.
+ */
+export const MINE_PREFAB = {
+  mine: { damage: 60, blastRadius: 90, triggerRadius: 45, armTime: 0.4, age: 0 },
+  body: { mass: 0.5, linearDamping: 0.95 },
+  lifetime: { duration: 10, age: 0 },
+  despawnBelow: { margin: 40 },
+  sprite: { kind: 'mine', color: '#ff3366' }
+};
+
+/**
+ * Add the weapon prefabs to a world
+ */
+export function registerWeaponPrefabs(world) {
+  world.registerPrefab('mine', MINE_PREFAB);
+}
@@ -1,5 +1,12 @@
 import { StorageManager } from './core/storage.js';
 import { GameEngine } from './engine/GameEngine.js';
+import { fetchLevel } from './engine/Levels.js';
+import { fetchCampaign, getSectorStatus } from './engine/Campaign.js';
+import { HANGAR_UNLOCKS, calculateCredits, getUnlockCost, createLoadout } from './engine/Hangar.js';
+import { HULLS, DEFAULT_HULL } from './engine/Hulls.js';
+import { MODES, ARENAS, describeMode } from './engine/Modes.js';
+import { ABILITIES } from './engine/Abilities.js';
+import { DEFAULT_LANES, LANE_SHIFTS, createLaneConfig } from './engine/Lanes.js';
 
 // Debug logging flag - set to false for production
 const DEBUG = false;
@@ -13,22 +20,52 @@ class SpaceLanesGame {
     this.overlay = document.getElementById('gameOverlay');
     this.overlayTitle = document.getElementById('overlayTitle');
     this.overlayMessage = document.getElementById('overlayMessage');
+    this.overlaySummary = document.getElementById('overlaySummary');
     this.scoreValue = document.getElementById('scoreValue');
     this.timeValue = document.getElementById('timeValue');
     this.killsValue = document.getElementById('killsValue');
     this.levelValue = document.getElementById('levelValue');
     this.xpBar = document.getElementById('xpBar');
+    this.objectiveMetric = document.getElementById('objectiveMetric');
+    this.objectiveValue = document.getElementById('objectiveValue');
+    this.chainMetric = document.getElementById('chainMetric');
+    this.chainValue = document.getElementById('chainValue');
     this.comboValue = document.getElementById('comboValue');
     this.comboMultiplierValue = document.getElementById('comboMultiplierValue');
     this.multiplierValue = document.getElementById('multiplierValue');
     this.integrityValue = document.getElementById('integrityValue');
     this.weaponValue = document.getElementById('weaponValue');
+    this.energyBar = document.getElementById('energyBar');
+    this.abilityValue = document.getElementById('abilityValue');
+    this.powerUpValue = document.getElementById('powerUpValue');
     this.pilotName = document.getElementById('pilotName');
     this.personalBest = document.getElementById('personalBest');
     this.startButton = document.getElementById('startGameButton');
     this.resumeButton = document.getElementById('resumeGameButton');
     this.pauseButton = document.getElementById('pauseGameButton');
     this.returnHomeButton = document.getElementById('returnHomeButton');
+    this.campaignButton = document.getElementById('campaignButton');
+    this.overlayActions = this.overlay?.querySelector('.overlay-actions');
+    this.sectorSelect = document.getElementById('sectorSelect');
+    this.sectorList = document.getElementById('sectorList');
+    this.campaignName = document.getElementById('campaignName');
+    this.endlessRunButton = document.getElementById('endlessRunButton');
+    this.sectorBackButton = document.getElementById('sectorBackButton');
+    this.hangarButton = document.getElementById('hangarButton');
+    this.hangar = document.getElementById('hangar');
+    this.hangarList = document.getElementById('hangarList');
+    this.hangarCredits = document.getElementById('hangarCredits');
+    this.hangarBackButton = document.getElementById('hangarBackButton');
+    this.hullButton = document.getElementById('hullButton');
+    this.hullPicker = document.getElementById('hullPicker');
+    this.hullList = document.getElementById('hullList');
+    this.hullBackButton = document.getElementById('hullBackButton');
+    this.modeButton = document.getElementById('modeButton');
+    this.modePicker = document.getElementById('modePicker');
+    this.modeList = document.getElementById('modeList');
+    this.modeBackButton = document.getElementById('modeBackButton');
+    this.upgradeSelect = document.getElementById('upgradeSelect');
+    this.upgradeList = document.getElementById('upgradeList');
 
     if (!this.canvas) {
       if (DEBUG) console.warn('[SpaceLanesGame] Game canvas not found - aborting initialization');
@@ -44,34 +81,68 @@ class SpaceLanesGame {
     this.user = window.app?.user ?? this.storage.getCurrentUser();
     if (DEBUG) console.log('[SpaceLanesGame] User:', this.user ? this.user.username : 'None');
 
+    // Optional fixed seed from the URL (e.g. game.html?seed=daily-2026-10-18)
+    // and collision stress test (game.html?stress=500 keeps 500 asteroids alive)
+    const params = new URLSearchParams(window.location.search);
+    const stressAsteroids = Math.max(0, parseInt(params.get('stress'), 10) || 0);
+    // Lane count (game.html?lanes=5, 2-7); weights and multipliers ramp across them
+    const laneCount = parseInt(params.get('lanes'), 10);
+    // Rock-on-rock collisions are on unless turned off (game.html?rockCollisions=off)
+    const asteroidCollisions = params.get('rockCollisions') !== 'off';
+
     // Initialize game engine
     if (DEBUG) console.log('[SpaceLanesGame] Creating GameEngine instance...');
     this.engine = new GameEngine(this.canvas, {
       showFPS: true,
       asteroidSpawnRate: 2.0,
-      powerUpChance: 0.15
+      powerUpChance: 0.15,
+      seed: params.get('seed'),
+      stressAsteroids,
+      asteroidCollisions,
+      lanes: laneCount ? createLaneConfig({ count: laneCount }) : DEFAULT_LANES
     });
+    if (stressAsteroids > 0) {
+      // Show frame timings and broadphase stats straight away
+      this.engine.uiSystem.debugMode = true;
+    }
     if (DEBUG) console.log('[SpaceLanesGame] GameEngine created');
 
-    this.settings = {
-      laneCount: 3,
-      lanePadding: 120,
-      laneSpawnMultipliers: [0.8, 1.0, 1.3], // Lane 1: safer, Lane 2: neutral, Lane 3: risky
-      laneScoreMultipliers: [0.8, 1.0, 1.5]  // Lane 3 gives bonus score
-    };
+    // Replay requested from the rankings page (game.html?replay=<id>)
+    this.replayId = params.get('replay');
+    this.pendingReplay = this.replayId ? this.storage.getReplay(this.replayId) : null;
+    this.replayScore = this.replayId
+      ? (this.storage.getScores() || []).find(s => s.replayId === this.replayId) || null
+      : null;
+
+    // Campaign (levels/campaign.json) - loaded when the sector select first opens.
+    // Guests keep their progress for this page visit only.
+    this.campaign = null;
+    this.campaignProgress = {};
+    this.activeSector = null;
+
+    // Meta-progression (credits and hangar unlocks) - logged-in pilots only
+    this.meta = this.user ? this.storage.getMetaProgress(this.user.username) : null;
+    if (this.meta) {
+      this.engine.setLoadout(createLoadout(this.meta));
+    }
+    // Ship hull - saved with the loadout for pilots, kept for the visit for guests
+    const savedHull = this.meta && this.meta.loadout.hull;
+    this.engine.setHull(savedHull && HULLS[savedHull] ? savedHull : DEFAULT_HULL);
 
     // Remove local state - use engine state instead
     this.lastFrame = 0;
 
-    // Calculate lane positions for visual guides
-    const laneSpacing = (this.width - this.settings.lanePadding * 2) / (this.settings.laneCount - 1);
-    this.lanes = Array.from({ length: this.settings.laneCount }, (_, i) => this.settings.lanePadding + laneSpacing * i);
-
     if (DEBUG) console.log('[SpaceLanesGame] Initializing UI, profile, and events');
     this.initUI();
     this.updateProfile();
     this.bindEvents();
     this.renderFrame(0);
+
+    // Authored level from levels/<name>.json (e.g. game.html?level=gauntlet)
+    const levelName = params.get('level');
+    if (levelName && !this.pendingReplay) {
+      this.loadLevel(levelName);
+    }
     if (DEBUG) console.log('[SpaceLanesGame] Game ready in idle state');
   }
 
@@ -82,6 +153,16 @@ class SpaceLanesGame {
       this.overlayTitle.textContent = 'Standby';
       this.overlayMessage.textContent = 'Press "Start New Run" to enter the lanes.';
       this.overlay.classList.add('ready');
+
+      if (this.pendingReplay) {
+        const pilot = this.replayScore ? this.replayScore.username : 'Unknown pilot';
+        const score = this.replayScore ? this.replayScore.score.toLocaleString() : '—';
+        this.overlayTitle.textContent = 'Replay';
+        this.overlayMessage.textContent = `Watch ${pilot}'s run (score ${score}).`;
+        if (this.startButton) this.startButton.textContent = 'Watch Replay';
+      } else if (this.replayId) {
+        this.overlayMessage.textContent = 'That replay is no longer available. Press "Start New Run" to play.';
+      }
       if (DEBUG) console.log('[SpaceLanesGame] Overlay set to standby mode');
     } else {
       if (DEBUG) console.warn('[SpaceLanesGame] Overlay element not found');
@@ -90,13 +171,34 @@ class SpaceLanesGame {
 
   bindEvents() {
     if (DEBUG) console.log('[SpaceLanesGame] Binding button and keyboard events');
-    this.startButton?.addEventListener('click', () => this.startRun());
+    this.startButton?.addEventListener('click', () => {
+      if (this.pendingReplay) {
+        this.watchReplay();
+      } else {
+        this.startRun();
+      }
+    });
     this.resumeButton?.addEventListener('click', () => this.resume());
     this.pauseButton?.addEventListener('click', () => this.pause());
     this.returnHomeButton?.addEventListener('click', () => window.location.href = 'index.html');
+    this.campaignButton?.addEventListener('click', () => this.openSectorSelect());
+    this.sectorBackButton?.addEventListener('click', () => this.closeSectorSelect());
+    this.endlessRunButton?.addEventListener('click', () => this.leaveCampaign());
+    this.hangarButton?.addEventListener('click', () => this.openHangar());
+    this.hangarBackButton?.addEventListener('click', () => this.closeHangar());
+    this.hullButton?.addEventListener('click', () => this.openHullPicker());
+    this.hullBackButton?.addEventListener('click', () => this.closeHullPicker());
+    this.modeButton?.addEventListener('click', () => this.openModePicker());
+    this.modeBackButton?.addEventListener('click', () => this.closeModePicker());
 
     // Pause with spacebar (engine handles other controls)
     window.addEventListener('keydown', (event) => {
+      // Number keys pick a card on the level-up screen
+      if (this.engine.state === 'levelup' && /^[1-9]$/.test(event.key)) {
+        const choice = this.engine.upgradeSystem.choices[Number(event.key) - 1];
+        if (choice) this.chooseUpgrade(choice.id);
+        return;
+      }
       if (this.state !== 'running') return;
       if (event.key === ' ') {
         event.preventDefault();
@@ -112,6 +214,7 @@ class SpaceLanesGame {
     // Update canvas dimensions
     const container = this.canvas.parentElement;
     if (container) {
+      const previousWidth = this.width;
       this.canvas.width = container.clientWidth;
       this.canvas.height = container.clientHeight;
       this.width = this.canvas.width;
@@ -133,8 +236,7 @@ class SpaceLanesGame {
       }
       
       // Recalculate lane positions
-      const laneSpacing = (this.width - this.settings.lanePadding * 2) / (this.settings.laneCount - 1);
-      this.lanes = Array.from({ length: this.settings.laneCount }, (_, i) => this.settings.lanePadding + laneSpacing * i);
+      this.engine.scaleLanes(this.width / previousWidth);
       
       // Update starfield
       if (this.engine.starField) {
@@ -185,11 +287,362 @@ class SpaceLanesGame {
     if (prompt) prompt.remove();
   }
 
+  async loadLevel(name) {
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      this.overlayMessage.textContent = `Unknown level "${name}".`;
+      return;
+    }
+
+    if (this.startButton) this.startButton.disabled = true;
+    try {
+      const level = await fetchLevel(`levels/${name}.json`);
+      if (!this.engine.loadLevel(level)) {
+        throw new Error('Level file failed validation (see console)');
+      }
+      this.overlayTitle.textContent = level.name || 'Standby';
+      this.overlayMessage.textContent = level.description || 'Press "Start New Run" to enter the lanes.';
+    } catch (error) {
+      console.error('[SpaceLanesGame] Could not load level:', error);
+      this.overlayMessage.textContent = `Level "${name}" could not be loaded - starting an endless run instead.`;
+    } finally {
+      if (this.startButton) this.startButton.disabled = false;
+    }
+  }
+
+  async openSectorSelect() {
+    if (!this.sectorSelect) return;
+
+    if (!this.campaign) {
+      if (this.campaignButton) this.campaignButton.disabled = true;
+      try {
+        this.campaign = await fetchCampaign('campaign');
+        if (this.user) {
+          this.campaignProgress = this.storage.getCampaignProgress(this.user.username, this.campaign.id);
+        }
+      } catch (error) {
+        console.error('[SpaceLanesGame] Could not load campaign:', error);
+        this.overlayMessage.textContent = 'The campaign could not be loaded.';
+        return;
+      } finally {
+        if (this.campaignButton) this.campaignButton.disabled = false;
+      }
+    }
+
+    this.overlayTitle.textContent = 'Sector Select';
+    this.overlayMessage.textContent = this.user
+      ? 'Clear a sector to unlock the next one.'
+      : 'Clear a sector to unlock the next one. Log in to keep your progress.';
+    this.renderSectorList();
+    if (this.overlaySummary) this.overlaySummary.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = true;
+    this.sectorSelect.hidden = false;
+  }
+
+  closeSectorSelect() {
+    if (this.sectorSelect) this.sectorSelect.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = false;
+    this.overlayTitle.textContent = this.activeSector ? this.activeSector.level.name : 'Standby';
+    this.overlayMessage.textContent = this.activeSector
+      ? this.activeSector.level.description
+      : 'Press "Start New Run" to enter the lanes.';
+  }
+
+  renderSectorList() {
+    this.campaignName.textContent = this.campaign.name || 'Campaign';
+    this.sectorList.replaceChildren();
+
+    getSectorStatus(this.campaign, this.campaignProgress).forEach(sector => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'sector-card';
+      button.disabled = !sector.unlocked;
+
+      const name = document.createElement('span');
+      name.textContent = sector.unlocked ? sector.level.name : `Sector ${sector.index + 1}: Locked`;
+      const objective = document.createElement('span');
+      objective.className = 'sector-objective';
+      objective.textContent = sector.unlocked
+        ? `${this.describeObjective(sector.level.objective)}${sector.bestScore ? ` • Best ${sector.bestScore.toLocaleString()}` : ''}`
+        : 'Clear the previous sector to unlock';
+      const stars = document.createElement('span');
+      stars.className = 'sector-stars';
+      stars.textContent = this.formatStars(sector.stars);
+      stars.setAttribute('aria-label', `${sector.stars} of 3 stars`);
+
+      button.append(name, stars, objective);
+      button.addEventListener('click', () => this.startSector(sector));
+      item.appendChild(button);
+      this.sectorList.appendChild(item);
+    });
+  }
+
+  startSector(sector) {
+    if (!this.engine.loadLevel(sector.level)) {
+      this.overlayMessage.textContent = `${sector.level.name || sector.id} failed validation (see console).`;
+      return;
+    }
+
+    this.activeSector = sector;
+    if (this.startButton) this.startButton.textContent = 'Retry Sector';
+    if (this.campaignButton) this.campaignButton.textContent = 'Sector Select';
+    this.closeSectorSelect();
+    this.startRun();
+  }
+
+  leaveCampaign() {
+    this.activeSector = null;
+    this.engine.loadLevel(null);
+    if (this.startButton) this.startButton.textContent = 'Start New Run';
+    if (this.campaignButton) this.campaignButton.textContent = 'Campaign';
+    this.closeSectorSelect();
+  }
+
+  openHangar() {
+    if (!this.hangar) return;
+
+    this.overlayTitle.textContent = 'Hangar';
+    this.overlayMessage.textContent = this.meta
+      ? 'Spend credits from your runs on permanent upgrades.'
+      : 'Log in to earn credits and unlock permanent upgrades.';
+    this.renderHangar();
+    if (this.overlaySummary) this.overlaySummary.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = true;
+    this.hangar.hidden = false;
+  }
+
+  closeHangar() {
+    if (this.hangar) this.hangar.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = false;
+    this.overlayTitle.textContent = this.activeSector ? this.activeSector.level.name : 'Standby';
+    this.overlayMessage.textContent = this.activeSector
+      ? this.activeSector.level.description
+      : 'Press "Start New Run" to enter the lanes.';
+  }
+
+  renderHangar() {
+    const meta = this.meta || { credits: 0, unlocks: {}, loadout: { weapon: 'default' } };
+    this.hangarCredits.textContent = meta.credits.toLocaleString();
+    this.hangarList.replaceChildren();
+
+    Object.entries(HANGAR_UNLOCKS).forEach(([id, unlock]) => {
+      const owned = meta.unlocks[id] || 0;
+      const cost = getUnlockCost(id, owned);
+      const isWeapon = unlock.category === 'weapon';
+      const equipped = isWeapon && meta.loadout.weapon === id;
+
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'hangar-card';
+
+      const name = document.createElement('span');
+      name.textContent = unlock.costs.length > 1 ? `${unlock.name} ${owned}/${unlock.costs.length}` : unlock.name;
+      const description = document.createElement('span');
+      description.className = 'hangar-description';
+      description.textContent = unlock.description;
+      const status = document.createElement('span');
+      status.className = 'hangar-status';
+
+      if (isWeapon && owned > 0) {
+        // Owned weapons toggle as the starting weapon
+        status.textContent = equipped ? 'Equipped' : 'Equip';
+        button.addEventListener('click', () => this.equipWeapon(equipped ? 'default' : id));
+      } else if (cost === null) {
+        status.textContent = 'Maxed';
+        button.disabled = true;
+      } else {
+        status.textContent = `${cost.toLocaleString()} cr`;
+        button.disabled = !this.meta || meta.credits < cost;
+        button.addEventListener('click', () => this.buyUnlock(id, cost));
+      }
+
+      button.append(name, status, description);
+      item.appendChild(button);
+      this.hangarList.appendChild(item);
+    });
+  }
+
+  buyUnlock(id, cost) {
+    if (!this.meta) return;
+    const result = this.storage.purchaseUnlock(this.user.username, id, cost);
+    if (!result.success) {
+      this.overlayMessage.textContent = result.message;
+      return;
+    }
+    this.meta = result.meta;
+    // A newly bought weapon goes straight into the loadout
+    if (HANGAR_UNLOCKS[id].category === 'weapon') {
+      this.equipWeapon(id);
+      return;
+    }
+    this.engine.setLoadout(createLoadout(this.meta));
+    this.renderHangar();
+  }
+
+  equipWeapon(weapon) {
+    const result = this.storage.saveLoadout(this.user.username, { weapon });
+    if (!result.success) return;
+    this.meta = result.meta;
+    this.engine.setLoadout(createLoadout(this.meta));
+    this.renderHangar();
+  }
+
+  openHullPicker() {
+    if (!this.hullPicker) return;
+
+    this.overlayTitle.textContent = 'Hangar Bay';
+    this.overlayMessage.textContent = 'Pick the hull for your next run.';
+    this.renderHullList();
+    if (this.overlaySummary) this.overlaySummary.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = true;
+    this.hullPicker.hidden = false;
+  }
+
+  closeHullPicker() {
+    if (this.hullPicker) this.hullPicker.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = false;
+    this.overlayTitle.textContent = this.activeSector ? this.activeSector.level.name : 'Standby';
+    this.overlayMessage.textContent = this.activeSector
+      ? this.activeSector.level.description
+      : `Flying the ${HULLS[this.engine.getLiveConfigs()[0].hull].name}. Press "Start New Run" to enter the lanes.`;
+  }
+
+  renderHullList() {
+    this.hullList.replaceChildren();
+
+    const [config] = this.engine.getLiveConfigs();
+    Object.entries(HULLS).forEach(([id, hull]) => {
+      const selected = config.hull === id;
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'hull-card';
+      button.setAttribute('aria-pressed', String(selected));
+      button.style.color = hull.color;
+
+      const name = document.createElement('span');
+      name.textContent = `${hull.name} • ${hull.stats.health} hull`;
+      const description = document.createElement('span');
+      description.className = 'hull-description';
+      const actives = hull.actives.map(id => ABILITIES[id].name).join(', ');
+      description.textContent = `${hull.description}. ${hull.ability.name}: ${hull.ability.description}. Abilities: ${actives}.`;
+      const status = document.createElement('span');
+      status.className = 'hull-status';
+      status.textContent = selected ? 'Selected' : 'Select';
+
+      button.append(name, status, description);
+      button.addEventListener('click', () => this.selectHull(id));
+      item.appendChild(button);
+      this.hullList.appendChild(item);
+    });
+  }
+
+  selectHull(id) {
+    if (!this.engine.setHull(id)) return;
+    if (this.meta) {
+      const result = this.storage.saveLoadout(this.user.username, { hull: id });
+      if (result.success) this.meta = result.meta;
+    }
+    this.renderHullList();
+  }
+
+  openModePicker() {
+    if (!this.modePicker) return;
+
+    this.overlayTitle.textContent = 'Flight Mode';
+    this.overlayMessage.textContent = 'Each mode has its own leaderboard.';
+    this.renderModeList();
+    if (this.overlaySummary) this.overlaySummary.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = true;
+    this.modePicker.hidden = false;
+  }
+
+  closeModePicker() {
+    const [config] = this.engine.getLiveConfigs();
+    if (this.modePicker) this.modePicker.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = false;
+    this.overlayTitle.textContent = this.activeSector ? this.activeSector.level.name : 'Standby';
+    this.overlayMessage.textContent = this.activeSector
+      ? this.activeSector.level.description
+      : `${describeMode(config.mode, config.arena)} mode. Press "Start New Run" to launch.`;
+  }
+
+  renderModeList() {
+    this.modeList.replaceChildren();
+
+    // Lanes, then the space-sim mode once per arena
+    const [config] = this.engine.getLiveConfigs();
+    const choices = [
+      { mode: 'lane-shooter', arena: config.arena, description: MODES['lane-shooter'].description },
+      ...Object.entries(ARENAS).map(([arena, entry]) => ({
+        mode: 'space-sim',
+        arena,
+        description: `${MODES['space-sim'].description}. ${entry.description}`
+      }))
+    ];
+
+    choices.forEach(({ mode, arena, description }) => {
+      const selected = config.mode === mode && (mode !== 'space-sim' || config.arena === arena);
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'hull-card';
+      button.setAttribute('aria-pressed', String(selected));
+
+      const name = document.createElement('span');
+      name.textContent = describeMode(mode, arena);
+      const details = document.createElement('span');
+      details.className = 'hull-description';
+      details.textContent = `${description}.`;
+      const status = document.createElement('span');
+      status.className = 'hull-status';
+      status.textContent = selected ? 'Selected' : 'Select';
+
+      button.append(name, status, details);
+      button.addEventListener('click', () => {
+        if (this.engine.setMode(mode, arena)) this.renderModeList();
+      });
+      item.appendChild(button);
+      this.modeList.appendChild(item);
+    });
+  }
+
+  awardCredits(engineState) {
+    if (!this.meta || engineState.replaying) return 0;
+    const credits = calculateCredits({
+      score: Math.floor(engineState.score),
+      kills: engineState.kills,
+      wave: engineState.wave
+    });
+    const result = this.storage.addCredits(this.user.username, credits);
+    if (result.success) this.meta = result.meta;
+    return credits;
+  }
+
+  describeObjective(objective) {
+    if (!objective) return 'Endless';
+    const target = objective.target ?? 1;
+    switch (objective.type) {
+      case 'survive': return `Survive ${target}s`;
+      case 'boss': return target > 1 ? `Destroy ${target} bosses` : 'Destroy the boss';
+      case 'collect': return `Collect ${target} power-ups`;
+      default: return objective.type;
+    }
+  }
+
+  formatStars(count) {
+    return '★'.repeat(count) + '☆'.repeat(3 - count);
+  }
+
   startRun() {
     if (DEBUG) console.log('[Game] Starting new run...');
     
-    // Reset and start engine
+    // Reset and start engine (this also ends a replay left unfinished, which
+    // may have restored a different canvas size)
     this.engine.start();
+    this.width = this.canvas.width;
+    this.height = this.canvas.height;
     const engineState = this.engine.getState();
     if (DEBUG) console.log('[Game] Engine started:', engineState);
     
@@ -198,6 +651,7 @@ class SpaceLanesGame {
     // Hide overlay and reset button visibility
     if (this.overlay) {
       this.overlay.hidden = true;
+      if (this.overlaySummary) this.overlaySummary.hidden = true;
       if (this.resumeButton) this.resumeButton.style.display = 'none';
       if (this.startButton) this.startButton.style.display = 'inline-block';
     }
@@ -205,6 +659,27 @@ class SpaceLanesGame {
     if (DEBUG) console.log('[Game] Game started, engine state:', engineState.state);
   }
 
+  watchReplay() {
+    if (!this.engine.startReplay(this.pendingReplay)) {
+      this.pendingReplay = null;
+      this.overlayMessage.textContent = 'Replay data is corrupted and cannot be played.';
+      if (this.startButton) this.startButton.textContent = 'Start New Run';
+      return;
+    }
+
+    // Replay may restore a different canvas size (and lane layout)
+    this.width = this.canvas.width;
+    this.height = this.canvas.height;
+
+    this.lastFrame = performance.now();
+    if (this.overlay) {
+      this.overlay.hidden = true;
+      if (this.overlaySummary) this.overlaySummary.hidden = true;
+      if (this.resumeButton) this.resumeButton.style.display = 'none';
+      if (this.startButton) this.startButton.style.display = 'inline-block';
+    }
+  }
+
 
 
   pause() {
@@ -255,19 +730,25 @@ class SpaceLanesGame {
   }
 
   update(delta) {
-    // Update game engine
-    this.engine.update(delta);
+    // Advance the engine in fixed steps (it interpolates rendering between them)
+    this.engine.advance(delta);
     
     // Get engine state and update HUD
     const engineState = this.engine.getState();
     if (DEBUG) console.log('[Game] Update - Health:', engineState.health, 'State:', engineState.state, 'Time:', engineState.time.toFixed(2));
     
-    // Apply lane-based score multiplier
-    const currentLane = this.getCurrentLane();
-    const laneMultiplier = this.settings.laneScoreMultipliers[currentLane];
-    
-    this.updateHud(engineState, laneMultiplier);
+    this.updateHud(engineState);
+
+    // Levelled up - the engine waits for an upgrade pick
+    if (engineState.state === 'levelup') {
+      this.openUpgradeSelect(engineState);
+    }
     
+    // Campaign sector cleared
+    if (engineState.state === 'complete') {
+      this.handleSectorComplete(engineState);
+    }
+
     // Check for game over
     if (engineState.state === 'gameover') {
       if (DEBUG) console.log('[Game] Game over detected! Final health:', engineState.health);
@@ -277,9 +758,76 @@ class SpaceLanesGame {
 
 
 
-  updateHud(engineState, laneMultiplier = 1.0) {
-    // Format score with thousands separators
-    const displayScore = Math.max(0, Math.floor(engineState.score * laneMultiplier));
+  openUpgradeSelect(engineState) {
+    if (!this.upgradeSelect || !this.overlay) return;
+
+    this.overlay.hidden = false;
+    this.overlayTitle.textContent = `Level ${engineState.level - engineState.skillPoints + 1}`;
+    this.overlayMessage.textContent = engineState.skillPoints > 1
+      ? `Choose an upgrade (${engineState.skillPoints} to spend).`
+      : 'Choose an upgrade.';
+    if (this.overlayActions) this.overlayActions.hidden = true;
+    this.upgradeSelect.hidden = false;
+    this.upgradeList.replaceChildren();
+
+    engineState.upgradeChoices.forEach((choice, i) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'upgrade-card';
+
+      const name = document.createElement('span');
+      name.textContent = `${i + 1}. ${choice.icon} ${choice.name}`;
+      const description = document.createElement('span');
+      description.className = 'upgrade-description';
+      description.textContent = `${choice.description} • ${choice.branch}`;
+      const rank = document.createElement('span');
+      rank.className = 'upgrade-rank';
+      rank.textContent = `${choice.rank}/${choice.max}`;
+      rank.setAttribute('aria-label', `Rank ${choice.rank} of ${choice.max}`);
+
+      button.append(name, rank, description);
+      button.addEventListener('click', () => this.chooseUpgrade(choice.id));
+      item.appendChild(button);
+      this.upgradeList.appendChild(item);
+    });
+    this.upgradeList.querySelector('button')?.focus();
+  }
+
+  chooseUpgrade(id) {
+    if (!this.engine.chooseUpgrade(id)) return;
+
+    const engineState = this.engine.getState();
+    if (engineState.state === 'levelup') {
+      // More levels banked - next set of cards
+      this.openUpgradeSelect(engineState);
+      return;
+    }
+
+    this.upgradeSelect.hidden = true;
+    if (this.overlayActions) this.overlayActions.hidden = false;
+    this.overlay.hidden = true;
+    this.lastFrame = performance.now();
+  }
+
+  describeUpgrades(history) {
+    if (!history || history.length === 0) return 'Upgrades: none taken';
+    // Highest rank reached of each upgrade, in the order first taken
+    const ranks = new Map();
+    history.forEach(entry => ranks.set(entry.name, entry.rank));
+    return `Upgrades: ${[...ranks].map(([name, rank]) => rank > 1 ? `${name} ${rank}` : name).join(' • ')}`;
+  }
+
+  showRunSummary(engineState, credits) {
+    if (!this.overlaySummary) return;
+    const earned = this.meta ? `+${credits.toLocaleString()} credits` : 'Log in to earn hangar credits';
+    this.overlaySummary.textContent = `${this.describeUpgrades(engineState.upgradeHistory)} • ${earned}`;
+    this.overlaySummary.hidden = false;
+  }
+
+  updateHud(engineState) {
+    // Format score with thousands separators (lane bonuses are already in it)
+    const displayScore = Math.max(0, Math.floor(engineState.score));
     this.scoreValue.textContent = displayScore.toLocaleString();
     
     // Format time as MM:SS or SS.s
@@ -298,6 +846,17 @@ class SpaceLanesGame {
     this.xpBar.value = engineState.experience;
     this.xpBar.max = engineState.experienceToNext;
     
+    // Campaign objective progress
+    if (this.objectiveMetric) {
+      const objective = engineState.objective;
+      this.objectiveMetric.hidden = !objective;
+      if (objective) {
+        this.objectiveValue.textContent = objective.type === 'survive'
+          ? `${Math.floor(objective.progress)}/${objective.target}s`
+          : `${objective.progress}/${objective.target}`;
+      }
+    }
+
     // Display wave number as integer
     this.comboValue.textContent = `${engineState.combo}x (${engineState.comboMultiplier.toFixed(1)}x)`;
 
@@ -305,19 +864,65 @@ class SpaceLanesGame {
         this.comboMultiplierValue.textContent = `x${engineState.comboMultiplier.toFixed(1)}`;
     }
 
+    // Chain reaction going off (or just finished)
+    if (this.chainMetric) {
+      const chain = engineState.chain;
+      this.chainMetric.hidden = !chain;
+      if (chain) {
+        this.chainValue.textContent = `x${chain.links} (${chain.kills} rocks, +${chain.points})`;
+      }
+    }
+
     if (this.multiplierValue) {
-        this.multiplierValue.textContent = `x${laneMultiplier.toFixed(1)}`;
+        this.multiplierValue.textContent = `x${engineState.laneMultiplier.toFixed(1)}`;
     }
     
     // Display integrity percentage (health)
     const integrityDisplay = Math.max(0, Math.min(100, Math.floor((engineState.health / engineState.maxHealth) * 100)));
     this.integrityValue.textContent = `${integrityDisplay}%`;
     
-    // Update weapon HUD
+    // Update weapon HUD: name, level, then ammo, heat or charge
     if (this.weaponValue) {
-        const weaponName = engineState.weapon.charAt(0).toUpperCase() + engineState.weapon.slice(1);
-        const weaponTime = engineState.weaponTimer > 0 ? ` (${engineState.weaponTimer.toFixed(1)}s)` : '';
-        this.weaponValue.textContent = `${weaponName}${weaponTime}`;
+        const weapon = engineState.weapons.find(slot => slot.id === engineState.weapon);
+        const level = weapon.level > 1 ? ` Lv${weapon.level}` : '';
+        let status = '';
+        if (weapon.overheated) {
+          status = ' (OVERHEATED)';
+        } else if (engineState.weaponCharge > 0) {
+          status = ` (${Math.floor(engineState.weaponCharge * 100)}% charge)`;
+        } else if (weapon.ammo !== null) {
+          status = ` (${weapon.ammo})`;
+        } else if (weapon.heat > 0) {
+          status = ` (${Math.floor(weapon.heat * 100)}% heat)`;
+        }
+        const others = engineState.weapons.length > 1 ? ` [${engineState.weapons.length} - Q/Z]` : '';
+        this.weaponValue.textContent = `${weapon.name}${level}${status}${others}`;
+    }
+
+    // Shared shield/ability energy and ability cooldowns
+    if (this.energyBar) {
+        this.energyBar.value = engineState.energy;
+        this.energyBar.max = engineState.maxEnergy;
+    }
+    if (this.abilityValue) {
+        this.abilityValue.textContent = engineState.abilities.map(ability => {
+          const state = ability.cooldown > 0
+            ? `${ability.cooldown.toFixed(1)}s`
+            : engineState.energy < ability.energy ? 'low' : 'ready';
+          return `${ability.key.toUpperCase()} ${ability.name} ${state}`;
+        }).join(' · ') || '—';
+    }
+
+    // Timed power-up effects (with stacks) and spare lives
+    if (this.powerUpValue) {
+        const effects = engineState.powerUps.map(effect => {
+          const stacks = effect.stacks > 1 ? ` x${effect.stacks}` : '';
+          return `${effect.icon} ${effect.description}${stacks} ${Math.ceil(effect.timer)}s`;
+        });
+        if (engineState.extraLives > 0) {
+          effects.push(`♥ x${engineState.extraLives}`);
+        }
+        this.powerUpValue.textContent = effects.join(' · ') || '—';
     }
 
     // Add color coding for low health
@@ -330,25 +935,6 @@ class SpaceLanesGame {
     }
   }
 
-  // Helper to determine which lane the player is in
-  getCurrentLane() {
-    if (!this.engine.player) return 1; // Default to middle lane
-    
-    const playerX = this.engine.player.position.x;
-    let closestLane = 0;
-    let minDist = Infinity;
-    
-    this.lanes.forEach((laneX, index) => {
-      const dist = Math.abs(playerX - laneX);
-      if (dist < minDist) {
-        minDist = dist;
-        closestLane = index;
-      }
-    });
-    
-    return closestLane;
-  }
-
   // Removed dead functions: shiftLane, createTeleportEffect, pulse, moveBackward
   // Movement is now handled entirely by the engine
 
@@ -369,16 +955,39 @@ class SpaceLanesGame {
   }
 
   drawLanes() {
+    if (this.engine.config.mode !== 'lane-shooter') return;
+
+    const { layout, shift } = this.engine.laneSystem;
+    const warning = shift && shift.warning > 0 ? LANE_SHIFTS[shift.type] : null;
+    const flash = warning && Math.floor(shift.warning * 4) % 2 === 0;
+
     this.ctx.save();
     this.ctx.lineWidth = 2;
     this.ctx.setLineDash([10, 16]);
-    
-    // Draw three lane dividers
-    this.lanes.forEach((x, index) => {
+    this.ctx.font = 'bold 14px "Segoe UI"';
+    this.ctx.textAlign = 'center';
+
+    // Draw a divider per lane (the engine's live lane layout)
+    layout.forEach((lane, index) => {
+      const x = lane.x;
+      const warned = warning && shift.lanes.includes(index);
+
+      // Closed lanes are walled off
+      if (!lane.open) {
+        const spacing = layout.length > 1 ? (layout[layout.length - 1].x - layout[0].x) / (layout.length - 1) : this.width;
+        this.ctx.fillStyle = 'rgba(255, 0, 85, 0.12)';
+        this.ctx.fillRect(x - spacing / 2, 0, spacing, this.height);
+      }
+
       const gradient = this.ctx.createLinearGradient(x, 0, x, this.height);
-      gradient.addColorStop(0, 'rgba(0, 240, 255, 0.2)');
-      gradient.addColorStop(0.5, 'rgba(255, 0, 110, 0.3)');
-      gradient.addColorStop(1, 'rgba(139, 92, 246, 0.2)');
+      if (warned && flash) {
+        gradient.addColorStop(0, warning.color);
+        gradient.addColorStop(1, warning.color);
+      } else {
+        gradient.addColorStop(0, 'rgba(0, 240, 255, 0.2)');
+        gradient.addColorStop(0.5, lane.open ? 'rgba(255, 0, 110, 0.3)' : 'rgba(255, 0, 85, 0.6)');
+        gradient.addColorStop(1, 'rgba(139, 92, 246, 0.2)');
+      }
       this.ctx.strokeStyle = gradient;
       this.ctx.beginPath();
       this.ctx.moveTo(x, 0);
@@ -386,14 +995,17 @@ class SpaceLanesGame {
       this.ctx.stroke();
 
       // Lane label at top
-      this.ctx.setLineDash([]);
-      this.ctx.fillStyle = 'rgba(0, 240, 255, 0.4)';
-      this.ctx.font = 'bold 14px "Segoe UI"';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText(`LANE ${index + 1}`, x, 30);
-      this.ctx.setLineDash([10, 16]);
+      this.ctx.fillStyle = warned ? warning.color : lane.open ? 'rgba(0, 240, 255, 0.4)' : 'rgba(255, 0, 85, 0.6)';
+      this.ctx.fillText(lane.open ? `LANE ${index + 1}` : 'CLOSED', x, 30);
     });
-    
+
+    // Telegraph the coming shift
+    if (warning) {
+      this.ctx.fillStyle = warning.color;
+      this.ctx.font = 'bold 18px "Segoe UI"';
+      this.ctx.fillText(`⚠ ${warning.label} ${shift.warning.toFixed(1)}s`, this.width / 2, 56);
+    }
+
     this.ctx.restore();
   }
 
@@ -409,13 +1021,39 @@ class SpaceLanesGame {
     const duration = Math.max(1, Math.round(engineState.time));
     const finalScore = Math.max(0, Math.floor(engineState.score));
 
+    if (engineState.replaying) {
+      this.handleReplayComplete(finalScore);
+      return;
+    }
+
+    // Campaign runs don't go on the endless leaderboard
+    if (this.activeSector) {
+      if (this.overlay) {
+        this.overlay.hidden = false;
+        this.overlayTitle.textContent = 'Sector Failed';
+        this.overlayMessage.textContent = `${reason} ${this.describeObjective(this.activeSector.level.objective)} to clear ${this.activeSector.level.name}.`;
+        this.showRunSummary(engineState, this.awardCredits(engineState));
+      }
+      this.updateHud(engineState);
+      return;
+    }
+
     if (this.overlay) {
       this.overlay.hidden = false;
       this.overlayTitle.textContent = 'Run Complete';
+      this.showRunSummary(engineState, this.awardCredits(engineState));
       
       if (this.user) {
         this.overlayMessage.textContent = reason ?? 'Trajectory logged. Review your stats before re-entry.';
-        this.storage.saveScore(this.user.username, { score: finalScore, duration });
+        this.storage.saveScore(this.user.username, {
+          score: finalScore,
+          duration,
+          hull: engineState.hull,
+          mode: engineState.mode,
+          arena: engineState.arena,
+          breakdown: engineState.scoreBreakdown,
+          replay: this.engine.getReplay()
+        });
         this.updateProfile();
       } else {
         this.overlayMessage.innerHTML = `
@@ -432,7 +1070,62 @@ class SpaceLanesGame {
       }
     }
 
-    this.updateHud();
+    this.updateHud(engineState);
+  }
+
+  handleSectorComplete(engineState) {
+    const finalScore = Math.max(0, Math.floor(engineState.score));
+    const stars = engineState.objective.rating;
+
+    if (engineState.replaying || !this.activeSector) {
+      this.handleGameOver('Objective complete.', engineState);
+      return;
+    }
+
+    const sectorId = this.activeSector.id;
+    const previous = this.campaignProgress[sectorId];
+    if (this.user) {
+      const result = this.storage.saveSectorResult(this.user.username, this.campaign.id, sectorId, { stars, score: finalScore });
+      if (result.success) this.campaignProgress[sectorId] = result.record;
+    } else {
+      this.campaignProgress[sectorId] = {
+        stars: Math.max(previous ? previous.stars : 0, stars),
+        bestScore: Math.max(previous ? previous.bestScore : 0, finalScore)
+      };
+    }
+
+    const sectors = getSectorStatus(this.campaign, this.campaignProgress);
+    const next = sectors[this.activeSector.index + 1];
+    const unlocked = next && !previous ? ` ${next.level.name} unlocked.` : '';
+
+    if (this.overlay) {
+      this.overlay.hidden = false;
+      this.overlayTitle.textContent = `Sector Clear ${this.formatStars(stars)}`;
+      this.overlayMessage.textContent = `Score ${finalScore.toLocaleString()} in ${Math.round(engineState.time)}s.${unlocked}`;
+      this.showRunSummary(engineState, this.awardCredits(engineState));
+    }
+
+    this.updateHud(engineState);
+  }
+
+  handleReplayComplete(finalScore) {
+    const recorded = this.replayScore ? this.replayScore.score : this.pendingReplay.result?.score;
+    const verified = recorded === finalScore;
+
+    // Back to the viewer's own loadout, mode and canvas size for the next run
+    this.engine.endReplay();
+    this.width = this.canvas.width;
+    this.height = this.canvas.height;
+    this.pendingReplay = null;
+    if (this.startButton) this.startButton.textContent = 'Start New Run';
+
+    if (this.overlay) {
+      this.overlay.hidden = false;
+      this.overlayTitle.textContent = verified ? 'Replay Verified' : 'Replay Mismatch';
+      this.overlayMessage.textContent = verified
+        ? `Playback reproduced the recorded score of ${finalScore.toLocaleString()}.`
+        : `Playback scored ${finalScore.toLocaleString()} but the leaderboard records ${(recorded ?? 0).toLocaleString()}.`;
+    }
   }
 }
 
@@ -0,0 +1,61 @@
+/**
+ * Headless balance simulation
+ * Runs seeded games with the autopilot bot and prints score/survival stats.
+ *
+ * Usage (Node 22+, which loads the engine's ES modules without a package.json):
+ *   node tools/simulate.mjs --runs 500 --spawn-rate 1.6 --powerup-chance 0.2 --boss-interval 4
+ *   node tools/simulate.mjs --runs 200 --level levels/gauntlet.json
+ */
+
+import { readFileSync } from 'node:fs';
+
+// Engine modules log on load and on every spawn - keep the output to the report
+const log = console.log;
+console.log = () => {};
+
+const { runBatch } = await import('../js/engine/Simulation.js');
+
+const options = {
+  runs: 100,
+  seed: 1,
+  'max-time': 600,
+  'spawn-rate': null,
+  'powerup-chance': null,
+  'boss-interval': null,
+  level: null
+};
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+  const name = args[i].replace(/^--/, '');
+  if (!(name in options)) {
+    log(`Unknown option --${name}`);
+    process.exit(1);
+  }
+  options[name] = name === 'level' ? args[i + 1] : Number(args[i + 1]);
+}
+
+const config = {};
+if (options['spawn-rate'] !== null) config.asteroidSpawnRate = options['spawn-rate'];
+if (options['powerup-chance'] !== null) config.powerUpChance = options['powerup-chance'];
+if (options['boss-interval'] !== null) config.bossWaveInterval = options['boss-interval'];
+if (options.level !== null) config.level = JSON.parse(readFileSync(options.level, 'utf8'));
+
+const started = Date.now();
+const { summary } = runBatch({
+  runs: options.runs,
+  seedBase: options.seed,
+  maxTime: options['max-time'],
+  config
+});
+
+const row = (label, stats) =>
+  `${label.padEnd(8)} min ${stats.min.toFixed(1).padStart(9)}  median ${stats.median.toFixed(1).padStart(9)}  mean ${stats.mean.toFixed(1).padStart(9)}  max ${stats.max.toFixed(1).padStart(9)}`;
+
+log(`Runs: ${summary.count} (seeds ${options.seed}-${options.seed + summary.count - 1}) in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+log(`Config: ${JSON.stringify({ ...config, level: config.level ? config.level.id : undefined })}`);
+log(`Survived ${options['max-time']}s: ${(summary.survivalRate * 100).toFixed(1)}%`);
+log(row('Score', summary.score));
+log(row('Time', summary.time));
+log(row('Wave', summary.wave));
+log(row('Kills', summary.kills));